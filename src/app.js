@@ -11,7 +11,7 @@ import methodOverride from 'method-override';
 import swaggerUi from 'swagger-ui-express';
 
 import { connectToDatabase } from './config/database.config.js';
-import { configurePassport } from './config/passport.config.js';
+import { configureOidcStrategy, configurePassport } from './config/passport.config.js';
 import { configureSession } from './config/session.config.js';
 import { errorHandler, notFoundHandler } from './middlewares/error.middleware.js';
 import { generalLimiter } from './middlewares/rateLimiter.middleware.js';
@@ -21,10 +21,18 @@ import {
   requestLogger,
   securityHeaders,
 } from './middlewares/security.middleware.js';
+import apiKeyRoutes from './routes/apiKey.routes.js';
 import authRoutes from './routes/auth.routes.js';
 import cartRoutes from './routes/cart.routes.js';
+import categoryRoutes from './routes/category.routes.js';
 import productRoutes from './routes/product.routes.js';
+import roleRoutes from './routes/role.routes.js';
 import userRoutes from './routes/user.routes.js';
+import categoryService from './services/category.service.js';
+import roleService from './services/role.service.js';
+import ticketService from './services/ticket.service.js';
+import userAccountService from './services/userAccount.service.js';
+import { jwtService } from './utils/jwt.util.js';
 import { logger } from './utils/logger.util.js';
 
 // 📚 Cargar documentación Swagger
@@ -46,9 +54,22 @@ class EcommerceApp {
 
   async initializeApp() {
     try {
+      // 🔑 Verificar que producción no use secretos por defecto
+      jwtService.assertProductionSecrets();
+      ticketService.assertProductionSecrets();
+
       // 🔌 Conectar a la base de datos
       await connectToDatabase();
 
+      // 🎭 Cargar roles y permisos (sincroniza los roles del sistema)
+      await roleService.initialize();
+
+      // 🗂️ Cargar el árbol de categorías (crea las iniciales si no hay ninguna)
+      await categoryService.initialize();
+
+      // ✉️ Cuentas creadas antes de la verificación de email (pueden seguir comprando)
+      await userAccountService.verifyLegacyEmails();
+
       // 🛡️ Configurar seguridad HTTP
       this.configureSecurity();
 
@@ -56,7 +77,7 @@ class EcommerceApp {
       this.configureMiddlewares();
 
       // 🔐 Configurar autenticación
-      this.configureAuthentication();
+      await this.configureAuthentication();
 
       // 📚 Configurar documentación Swagger
       this.configureSwagger();
@@ -67,6 +88,9 @@ class EcommerceApp {
       // 🚨 Configurar manejo de errores (al final)
       this.configureErrorHandling();
 
+      // 🗑️ Eliminar cuentas cuyo período de gracia terminó
+      userAccountService.startErasureJob();
+
       // 🚀 Iniciar servidor
       this.startServer();
     } catch (error) {
@@ -103,10 +127,13 @@ class EcommerceApp {
     this.app.use(methodOverride('_method'));
   }
 
-  configureAuthentication() {
+  async configureAuthentication() {
     // 🔐 Configurar sesiones y Passport
     configureSession(this.app);
     configurePassport(this.app);
+
+    // 🌐 Login con proveedor de identidad externo (opcional)
+    await configureOidcStrategy();
   }
 
   /**
@@ -163,11 +190,20 @@ class EcommerceApp {
           auth: '/auth',
           users: '/api/users',
           products: '/api/products',
+          categories: '/api/categories',
           carts: '/api/carts',
+          apiKeys: '/api/api-keys',
+          roles: '/api/roles',
         },
       });
     });
 
+    // 🗝️ Claves públicas para que otros servicios verifiquen access tokens (RS256/ES256)
+    this.app.get('/.well-known/jwks.json', (req, res) => {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(jwtService.getJwks());
+    });
+
     // 🔐 Rutas de autenticación
     this.app.use('/auth', authRoutes);
 
@@ -177,8 +213,17 @@ class EcommerceApp {
     // 🛍️ Rutas de productos
     this.app.use('/api/products', productRoutes);
 
+    // 🗂️ Rutas de categorías
+    this.app.use('/api/categories', categoryRoutes);
+
     // 🛒 Rutas de carritos
     this.app.use('/api/carts', cartRoutes);
+
+    // 🔑 Rutas de API keys para integraciones
+    this.app.use('/api/api-keys', apiKeyRoutes);
+
+    // 🎭 Rutas de roles y permisos
+    this.app.use('/api/roles', roleRoutes);
   }
 
   configureErrorHandling() {
@@ -1,10 +1,21 @@
+import { randomBytes } from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+
+import jwt from 'jsonwebtoken';
 import passport from 'passport';
 import { Strategy as LocalStrategy } from 'passport-local';
+import OpenIDConnectStrategy from 'passport-openidconnect';
 
 import Cart from '../models/Cart.model.js';
 import User from '../models/User.model.js';
+import sessionService from '../services/session.service.js';
 import { logger } from '../utils/logger.util.js';
 
+// Demora base tras un intento fallido; se duplica con cada intento hasta LOGIN_DELAY_MAX_MS
+// (las cuentas bloqueadas responden sin demora: ya no se verifica la contraseña)
+const LOGIN_DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 500;
+const LOGIN_DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 2000;
+
 /**
  * 🔐 Configuración de estrategias de Passport
  */
@@ -44,11 +55,26 @@ class PassportConfig {
               return done(null, false, { message: 'Email o contraseña incorrectos' });
             }
 
+            // Rechazar cuentas bloqueadas por intentos fallidos
+            if (user.isLocked()) {
+              logger.security(`🔒 Intento de login en cuenta bloqueada: ${email}`);
+              return done(null, false, {
+                message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+                lockUntil: user.lockUntil,
+              });
+            }
+
             // Verificar contraseña
             const isPasswordValid = await user.comparePassword(password);
             if (!isPasswordValid) {
               logger.warning(`🚫 Contraseña incorrecta para: ${email}`);
-              return done(null, false, { message: 'Email o contraseña incorrectos' });
+              return done(null, false, await this._registerFailedLogin(user));
+            }
+
+            // Login correcto: reiniciar contador de intentos
+            // Con 2FA activado se reinicia recién al validar el segundo factor
+            if (!user.twoFactor?.enabled) {
+              await user.resetLoginAttempts();
             }
 
             logger.success(`✅ Usuario autenticado exitosamente: ${email}`);
@@ -91,19 +117,7 @@ class PassportConfig {
               password,
             });
 
-            const savedUser = await newUser.save();
-
-            // Crear carrito para el nuevo usuario
-            const newCart = new Cart({
-              user: savedUser._id,
-              products: [],
-            });
-
-            const savedCart = await newCart.save();
-
-            // Actualizar usuario con referencia al carrito
-            savedUser.cart = savedCart._id;
-            await savedUser.save();
+            const savedUser = await this._createUserWithCart(newUser);
 
             logger.success(`🎉 Usuario registrado exitosamente: ${email}`);
             return done(null, savedUser);
@@ -116,24 +130,210 @@ class PassportConfig {
     );
   }
 
+  /**
+   * 🌐 Estrategia OpenID Connect genérica (Keycloak, Auth0, Google, etc.)
+   * Los endpoints se descubren en `<issuer>/.well-known/openid-configuration` salvo que se indiquen
+   * en OIDC_AUTHORIZATION_URL y OIDC_TOKEN_URL
+   */
+  static async configureOidcStrategy() {
+    // Opcional: se habilita con OIDC_ISSUER y OIDC_CLIENT_ID
+    const { OIDC_ISSUER, OIDC_CLIENT_ID } = process.env;
+    if (!OIDC_ISSUER || !OIDC_CLIENT_ID) {
+      logger.info('🌐 Login OpenID Connect deshabilitado (falta OIDC_ISSUER u OIDC_CLIENT_ID)');
+      return;
+    }
+
+    const endpoints = await this._discoverOidcEndpoints(OIDC_ISSUER);
+
+    passport.use(
+      'oidc',
+      new OpenIDConnectStrategy(
+        {
+          issuer: OIDC_ISSUER,
+          ...endpoints,
+          clientID: OIDC_CLIENT_ID,
+          clientSecret: process.env.OIDC_CLIENT_SECRET,
+          callbackURL: process.env.OIDC_CALLBACK_URL || '/auth/oidc/callback',
+          // La librería antepone siempre `openid`
+          scope: (process.env.OIDC_SCOPES || 'profile email')
+            .split(/[\s,]+/)
+            .filter((scope) => scope && scope !== 'openid'),
+          nonce: true,
+        },
+        // Los datos del usuario (email, email_verified, nombre) se leen de los claims del ID token
+        async (issuer, profile, context, idToken, done) => {
+          try {
+            const result = await this._findOrCreateOidcUser(issuer, jwt.decode(idToken));
+            return done(null, result.user, result.info);
+          } catch (error) {
+            logger.error('❌ Error en login OpenID Connect:', error);
+            return done(error);
+          }
+        }
+      )
+    );
+
+    this.oidcEnabled = true;
+    logger.auth(`🌐 Login OpenID Connect habilitado con: ${OIDC_ISSUER}`);
+  }
+
+  /**
+   * 🔍 Resolver endpoints del proveedor: variables de entorno o documento de descubrimiento
+   */
+  static async _discoverOidcEndpoints(issuer) {
+    const configured = {
+      authorizationURL: process.env.OIDC_AUTHORIZATION_URL,
+      tokenURL: process.env.OIDC_TOKEN_URL,
+    };
+    if (configured.authorizationURL && configured.tokenURL) {
+      return configured;
+    }
+
+    const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`No se pudo obtener la configuración OpenID de ${issuer}`);
+    }
+
+    const metadata = await response.json();
+    return {
+      authorizationURL: configured.authorizationURL || metadata.authorization_endpoint,
+      tokenURL: configured.tokenURL || metadata.token_endpoint,
+    };
+  }
+
+  /**
+   * 🔗 Buscar usuario por identidad vinculada, vincular por email verificado o crear la cuenta
+   */
+  static async _findOrCreateOidcUser(issuer, claims) {
+    const linked = await User.findOne({
+      identities: { $elemMatch: { issuer, subject: claims.sub } },
+    });
+    if (linked) {
+      return { user: linked };
+    }
+
+    // Solo se confía en emails que el proveedor verificó
+    if (!claims.email || String(claims.email_verified) !== 'true') {
+      logger.security(`🌐 Login OpenID Connect rechazado: email no verificado (${claims.sub})`);
+      return { user: false, info: { message: 'El proveedor no verificó tu email' } };
+    }
+
+    const identity = { issuer, subject: claims.sub };
+    const existingUser = await User.findByEmail(claims.email);
+    if (existingUser) {
+      existingUser.identities.push(identity);
+      existingUser.emailVerified = true;
+      existingUser.emailVerifiedAt ??= new Date();
+      await existingUser.save();
+
+      logger.logSecurityEvent('IDENTITY_LINKED', {
+        userId: existingUser._id.toString(),
+        email: existingUser.email,
+        issuer,
+      });
+      return { user: existingUser };
+    }
+
+    // Cuenta nueva: contraseña aleatoria (puede establecer una con "olvidé mi contraseña")
+    const [emailName] = claims.email.split('@');
+    const newUser = new User({
+      first_name: claims.given_name || emailName,
+      last_name: claims.family_name || emailName,
+      email: claims.email,
+      password: randomBytes(24).toString('hex'),
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      identities: [identity],
+    });
+
+    const savedUser = await this._createUserWithCart(newUser);
+    logger.success(`🎉 Usuario registrado vía OpenID Connect: ${savedUser.email}`);
+    return { user: savedUser };
+  }
+
+  /**
+   * 🛒 Guardar un usuario nuevo junto con su carrito
+   */
+  static async _createUserWithCart(newUser) {
+    const savedUser = await newUser.save();
+
+    // Crear carrito para el nuevo usuario
+    const newCart = new Cart({
+      user: savedUser._id,
+      products: [],
+    });
+
+    const savedCart = await newCart.save();
+
+    // Actualizar usuario con referencia al carrito
+    savedUser.cart = savedCart._id;
+    await savedUser.save();
+
+    return savedUser;
+  }
+
+  /**
+   * 🚫 Registrar intento fallido: bloquea la cuenta al llegar al máximo y aplica demora progresiva
+   */
+  static async _registerFailedLogin(user) {
+    const { attempts, lockUntil } = await user.incLoginAttempts();
+
+    if (lockUntil) {
+      logger.logSecurityEvent('ACCOUNT_LOCKED', {
+        userId: user._id.toString(),
+        email: user.email,
+        attempts,
+        lockUntil: lockUntil.toISOString(),
+      });
+      return {
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        lockUntil,
+      };
+    }
+
+    // Demora progresiva para frenar ataques de fuerza bruta
+    await sleep(Math.min(LOGIN_DELAY_BASE_MS * 2 ** (attempts - 1), LOGIN_DELAY_MAX_MS));
+
+    return { message: 'Email o contraseña incorrectos' };
+  }
+
   /**
    * 📦 Pasar a JSON el usuario para la sesión
+   * Guarda también la versión de tokens y la sesión (dispositivo) del login, como los access tokens
    */
   static configureSerializeUser() {
-    passport.serializeUser((user, done) => {
+    passport.serializeUser((req, user, done) => {
       logger.debug(`📦 Serializando usuario: ${user._id}`);
-      done(null, user._id);
+      done(null, {
+        id: user._id.toString(),
+        tv: user.tokenVersion || 0,
+        sid: req.authSessionId,
+      });
     });
   }
 
   /**
    * 📤 Pasar a objeto el usuario desde la sesión
+   * La cookie deja de valer con las mismas revocaciones que los access tokens
+   * (cambio de contraseña, cierre de sesiones, "no fui yo"...)
    */
   static configureDeserializeUser() {
-    passport.deserializeUser(async (id, done) => {
+    passport.deserializeUser(async ({ id, tv, sid }, done) => {
       try {
         logger.debug(`📤 Deserializando usuario: ${id}`);
-        const user = await User.findById(id).populate('cart');
+        const user = id && (await User.findById(id).populate('cart'));
+
+        if (!user) {
+          return done(null, false);
+        }
+        if (
+          (tv || 0) !== (user.tokenVersion || 0) ||
+          !(await sessionService.isActive(sid, user._id))
+        ) {
+          logger.auth(`🚫 Sesión de cookie revocada para: ${user.email}`);
+          return done(null, false);
+        }
+
         done(null, user);
       } catch (error) {
         logger.error('❌ Error al deserializar usuario:', error);
@@ -144,3 +344,5 @@ class PassportConfig {
 }
 
 export const configurePassport = PassportConfig.configurePassport.bind(PassportConfig);
+export const configureOidcStrategy = PassportConfig.configureOidcStrategy.bind(PassportConfig);
+export const isOidcEnabled = () => PassportConfig.oidcEnabled === true;
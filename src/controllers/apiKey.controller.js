@@ -0,0 +1,73 @@
+import { throwBadRequest, throwNotFound } from '../middlewares/error.middleware.js';
+import apiKeyService from '../services/apiKey.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Controlador de API keys para integraciones máquina a máquina
+// Con manage:api-keys se gestiona cualquier key; con manage:own-api-keys solo las propias
+class ApiKeyController {
+  // Crear API key (el valor completo solo se muestra en esta respuesta)
+  static async createApiKey(req, res) {
+    let result;
+    try {
+      result = await apiKeyService.create(req.user, req.body);
+    } catch (error) {
+      logger.warning(`Error creando API key para ${req.user.email}: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdala en un lugar seguro: no volverá a mostrarse',
+      key: result.key,
+      apiKey: result.apiKey,
+    });
+  }
+
+  // Listar API keys
+  static async getApiKeys(req, res) {
+    const apiKeys = await apiKeyService.list(req.user);
+
+    res.json({
+      success: true,
+      apiKeys,
+    });
+  }
+
+  // Actualizar scopes de una API key
+  static async updateScopes(req, res) {
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.updateScopes(req.user, req.params.id, req.body.scopes);
+    } catch (error) {
+      logger.warning(`Error actualizando scopes de API key: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    if (!apiKey) {
+      throwNotFound('API key');
+    }
+
+    res.json({
+      success: true,
+      message: 'Scopes actualizados exitosamente',
+      apiKey,
+    });
+  }
+
+  // Revocar API key
+  static async revokeApiKey(req, res) {
+    const apiKey = await apiKeyService.revoke(req.user, req.params.id);
+
+    if (!apiKey) {
+      throwNotFound('API key');
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revocada exitosamente',
+      apiKey,
+    });
+  }
+}
+
+export default ApiKeyController;
@@ -1,9 +1,19 @@
 import bcrypt from 'bcrypt';
 import passport from 'passport';
 
+import { isOidcEnabled } from '../config/passport.config.js';
 import { UserDTO } from '../dto/index.js';
-import { throwBadRequest, throwUnauthorized } from '../middlewares/error.middleware.js';
+import { getCsrfToken } from '../middlewares/csrf.middleware.js';
+import {
+  throwBadRequest,
+  throwNotFound,
+  throwUnauthorized,
+} from '../middlewares/error.middleware.js';
 import userRepository from '../repositories/user.repository.js';
+import loginHistoryService from '../services/loginHistory.service.js';
+import refreshTokenService from '../services/refreshToken.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import { emailService } from '../utils/email.util.js';
 import { jwtService } from '../utils/jwt.util.js';
 import { logger } from '../utils/logger.util.js';
 import { passwordResetService } from '../utils/passwordReset.util.js';
@@ -21,37 +31,83 @@ class AuthController {
       throwBadRequest('El email ya está registrado');
     }
 
-    // Determinar rol basado en el email (para pruebas y desarrollo)
-    let role = 'user'; // Por defecto
-    if (email.toLowerCase().includes('admin')) {
-      role = 'admin';
-      logger.info(`Asignando rol admin a: ${email}`);
-    } else if (email.toLowerCase().includes('premium')) {
-      role = 'premium';
-      logger.info(`Asignando rol premium a: ${email}`);
-    }
-
     // Crear usuario usando repository
+    // Siempre con rol 'user': el upgrade a premium se solicita vía /api/users/premium-request
     const userData = {
       first_name,
       last_name,
       email,
       age: parseInt(age),
       password,
-      role, // Incluir el rol determinado
+      role: 'user',
     };
 
     const newUser = await userRepository.create(userData);
 
     logger.success(`Usuario registrado: ${newUser.email} con rol: ${newUser.role}`);
 
+    // Enviar email de verificación (un fallo de envío no impide el registro)
+    try {
+      await AuthController._sendVerificationEmail(newUser);
+    } catch (error) {
+      logger.warning(`No se pudo enviar verificación a ${newUser.email}: ${error.message}`);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Usuario registrado exitosamente',
+      message: 'Usuario registrado exitosamente. Revisa tu email para verificar tu cuenta',
       user: UserDTO.fromUser(newUser),
     });
   }
 
+  // Verificar email con el token enviado al registrarse
+  static async verifyEmail(req, res) {
+    const { token } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwtService.verifyEmailVerificationToken(token);
+    } catch (error) {
+      logger.warning(`Token de verificación rechazado: ${error.message}`);
+      throwBadRequest('Token de verificación inválido o expirado');
+    }
+
+    const user = await userRepository.findById(decoded.id);
+
+    // El token solo es válido para el email con el que fue emitido
+    if (!user || user.email !== decoded.email) {
+      throwBadRequest('Token de verificación inválido o expirado');
+    }
+
+    if (!user.emailVerified) {
+      await userRepository.update(user.id, { emailVerified: true, emailVerifiedAt: new Date() });
+      logger.success(`Email verificado: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verificado exitosamente',
+    });
+  }
+
+  // Reenviar email de verificación
+  static async resendVerification(req, res) {
+    const { email } = req.body;
+
+    const user = await userRepository.findByEmail(email);
+
+    // Por seguridad, siempre respondemos éxito aunque el email no exista
+    if (user && !user.emailVerified) {
+      await AuthController._sendVerificationEmail(UserDTO.fromUser(user));
+      logger.info(`Verificación de email reenviada a: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email existe y no está verificado, recibirás un nuevo enlace',
+    });
+  }
+
   // Login de usuario
   static login(req, res, next) {
     passport.authenticate('local-login', async (err, user, info) => {
@@ -61,39 +117,127 @@ class AuthController {
       }
 
       if (!user) {
-        logger.warning(`Intento de login fallido: ${req.body.email || 'email no proporcionado'}`);
+        return AuthController._sendLoginFailure(req, res, info);
+      }
 
-        return res.status(401).json({
-          success: false,
-          message: info?.message || 'Credenciales inválidas',
-        });
+      try {
+        // Con 2FA activado no se emiten tokens hasta verificar el segundo factor
+        if (user.twoFactor?.enabled) {
+          return AuthController._sendMfaChallenge(res, user, 'password');
+        }
+
+        await AuthController._completeLogin(req, res, next, user, 'password');
+      } catch (tokenError) {
+        logger.error('Error generando tokens:', tokenError);
+        next(tokenError);
       }
+    })(req, res, next);
+  }
+
+  // Segundo paso del login con 2FA: intercambia el token "MFA pendiente" y el código por los JWT
+  static async verifyLoginTwoFactor(req, res, next) {
+    const { mfaToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwtService.verifyMfaPendingToken(mfaToken);
+    } catch (error) {
+      logger.warning(`Token MFA rechazado: ${error.message}`);
+      throwUnauthorized('Token de verificación inválido o expirado');
+    }
+
+    const user = await userRepository.findAuthUserById(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      throwUnauthorized('Token de verificación inválido o expirado');
+    }
+
+    if (user.isLocked()) {
+      return AuthController._sendLockedResponse(res, {
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      return AuthController._handleInvalidTwoFactorCode(req, res, user, decoded.method);
+    }
+
+    await user.resetLoginAttempts();
+    await AuthController._completeLogin(req, res, next, user, decoded.method);
+  }
+
+  // Solicitar enlace mágico para iniciar sesión sin contraseña
+  static async requestMagicLink(req, res) {
+    const user = await userRepository.findByEmail(req.body.email);
+
+    // Por seguridad, siempre respondemos lo mismo exista o no la cuenta
+    if (user?.isActive) {
+      const { token, expires } = passwordResetService.generateMagicLinkToken();
+      await userRepository.setMagicLinkToken(user._id, token, expires);
 
       try {
-        // Generar tokens JWT
-        const tokens = jwtService.generateTokenPair(user);
+        await passwordResetService.sendMagicLinkEmail(
+          user.email,
+          token,
+          `${user.first_name} ${user.last_name}`
+        );
+        logger.auth(`Enlace mágico solicitado para: ${user.email}`);
+      } catch (error) {
+        logger.error(`Error enviando enlace mágico a ${user.email}:`, error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para iniciar sesión',
+    });
+  }
 
-        // Actualizar último login usando repository
-        await userRepository.update(user._id, { lastLogin: new Date() });
+  // Canjear enlace mágico por los tokens de sesión (mismas reglas que el login)
+  static async verifyMagicLink(req, res, next) {
+    const user = await userRepository.consumeMagicLinkToken(req.body.token);
 
-        // Establecer sesión
-        req.login(user, (loginErr) => {
-          if (loginErr) {
-            logger.error('Error estableciendo sesión:', loginErr);
-            return next(loginErr);
-          }
+    if (!user || !user.isActive) {
+      logger.warning('Enlace mágico inválido, expirado o ya usado');
+      throwUnauthorized('Enlace de acceso inválido o expirado');
+    }
 
-          const userDTO = UserDTO.currentUser(user);
+    logger.logSecurityEvent('MAGIC_LINK_LOGIN', { userId: user._id.toString(), email: user.email });
+    await AuthController._completePasswordlessLogin(req, res, next, user, 'magic-link');
+  }
 
-          logger.success(`Login exitoso: ${user.email}`);
+  // Iniciar login con el proveedor OpenID Connect (redirige a su página de login)
+  static oidcLogin(req, res, next) {
+    if (!isOidcEnabled()) {
+      throwNotFound('Login con proveedor de identidad');
+    }
 
-          res.json({
-            success: true,
-            message: 'Login exitoso',
-            user: userDTO,
-            tokens,
-          });
+    passport.authenticate('oidc')(req, res, next);
+  }
+
+  // Retorno del proveedor OpenID Connect: vincula o crea la cuenta y emite nuestros JWT
+  static oidcCallback(req, res, next) {
+    if (!isOidcEnabled()) {
+      throwNotFound('Login con proveedor de identidad');
+    }
+
+    passport.authenticate('oidc', async (err, user, info) => {
+      if (err) {
+        logger.error('Error en login OpenID Connect:', err);
+        return next(err);
+      }
+
+      if (!user || !user.isActive) {
+        logger.warning(`Login OpenID Connect rechazado: ${info?.message || 'cuenta inactiva'}`);
+        return res.status(401).json({
+          success: false,
+          message: info?.message || 'No se pudo iniciar sesión con el proveedor de identidad',
         });
+      }
+
+      try {
+        logger.logSecurityEvent('OIDC_LOGIN', { userId: user._id.toString(), email: user.email });
+        await AuthController._completePasswordlessLogin(req, res, next, user, 'oidc');
       } catch (tokenError) {
         logger.error('Error generando tokens:', tokenError);
         next(tokenError);
@@ -102,8 +246,21 @@ class AuthController {
   }
 
   // Logout de usuario
-  static logout(req, res) {
+  static async logout(req, res) {
     const userEmail = req.user?.email || 'Usuario no identificado';
+    const { refreshToken } = req.body;
+
+    // Revocar el refresh token del dispositivo (y toda su familia)
+    if (refreshToken) {
+      await refreshTokenService.revoke(refreshToken, req.user._id);
+    }
+
+    // Cerrar la sesión del dispositivo actual: sus access tokens dejan de valer (por el sid)
+    // Los demás dispositivos siguen conectados; para cerrarlos están DELETE /auth/sessions
+    // y el cambio de contraseña, que invalidan todos los tokens del usuario
+    if (req.authSessionId) {
+      await refreshTokenService.revokeSession(req.authSessionId, 'logout');
+    }
 
     req.logout((err) => {
       if (err) {
@@ -133,6 +290,15 @@ class AuthController {
     });
   }
 
+  // Token CSRF de la sesión actual (requerido en peticiones autenticadas por cookie de sesión)
+  static csrfToken(req, res) {
+    res.json({
+      success: true,
+      csrfToken: getCsrfToken(req),
+      header: 'X-CSRF-Token',
+    });
+  }
+
   // Usuario actual (ruta /current mejorada)
   static async current(req, res) {
     if (!req.user) {
@@ -152,6 +318,7 @@ class AuthController {
       success: true,
       message: 'Usuario actual',
       user: currentUser, // Ya es un DTO seguro sin información sensible
+      ...(req.impersonator && { impersonatedBy: req.impersonator }),
     });
   }
 
@@ -164,17 +331,11 @@ class AuthController {
     }
 
     try {
-      // Verificar refresh token
-      const decoded = jwtService.verifyRefreshToken(refreshToken);
-
-      // Buscar usuario
-      const user = await userRepository.findByEmail(decoded.email);
-      if (!user) {
-        throwUnauthorized('Usuario no encontrado');
-      }
-
-      // Generar nuevo par de tokens
-      const tokens = jwtService.generateTokenPair(user);
+      // Verificar, invalidar el token usado y emitir un nuevo par (rotación)
+      const { user, tokens } = await refreshTokenService.rotate(
+        refreshToken,
+        AuthController._getClientInfo(req)
+      );
 
       logger.info(`Token renovado para: ${user.email}`);
 
@@ -212,10 +373,7 @@ class AuthController {
       const { token, expires } = passwordResetService.generateResetToken();
 
       // Actualizar usuario con token
-      await userRepository.update(user._id, {
-        passwordResetToken: token,
-        passwordResetExpires: expires,
-      });
+      await userRepository.setPasswordResetToken(user._id, token, expires);
 
       // Enviar email (en un entorno real)
       await passwordResetService.sendResetEmail(
@@ -255,19 +413,9 @@ class AuthController {
       throwBadRequest('El token ha expirado. Solicita uno nuevo');
     }
 
-    // Validar que la nueva contraseña sea diferente a la anterior
-    await passwordResetService.validateNewPassword(newPassword, user.password);
-
-    // Hashear nueva contraseña
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-
-    // Actualizar contraseña y limpiar tokens
-    await userRepository.update(user._id, {
-      password: hashedPassword,
-      passwordResetToken: undefined,
-      passwordResetExpires: undefined,
-    });
+    // Actualizar contraseña (invalida los access tokens) y cerrar todas las sesiones
+    await AuthController._setNewPassword(user, newPassword);
+    await refreshTokenService.revokeAllForUser(user._id, 'password-reset');
 
     // Enviar confirmación
     await passwordResetService.sendPasswordChangedConfirmation(
@@ -282,6 +430,246 @@ class AuthController {
       message: 'Contraseña restablecida exitosamente',
     });
   }
+
+  // Cambiar contraseña del usuario autenticado (requiere la contraseña actual)
+  static async changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await userRepository.findAuthUserById(req.user._id);
+    if (!user) {
+      throwUnauthorized('Usuario no encontrado');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      logger.warning(`🚫 Contraseña actual incorrecta al cambiar contraseña: ${user.email}`);
+      throwBadRequest('La contraseña actual es incorrecta');
+    }
+
+    // Actualizar contraseña (invalida los access tokens) y cerrar las demás sesiones
+    const updatedUser = await AuthController._setNewPassword(user, newPassword);
+    await refreshTokenService.revokeAllForUser(user._id, 'password-change');
+
+    // Nuevo par de tokens para el dispositivo actual
+    const tokens = await refreshTokenService.issueTokenPair(
+      updatedUser,
+      AuthController._getClientInfo(req)
+    );
+
+    await passwordResetService.sendPasswordChangedConfirmation(
+      user.email,
+      `${user.first_name} ${user.last_name}`
+    );
+
+    logger.success(`Contraseña cambiada exitosamente para: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Contraseña actualizada. Se cerraron las sesiones en otros dispositivos',
+      tokens,
+    });
+  }
+
+  // Métodos privados
+  // Validar, hashear y guardar la nueva contraseña
+  static async _setNewPassword(user, newPassword) {
+    try {
+      await passwordResetService.validateNewPassword(
+        newPassword,
+        user.password,
+        user.passwordHistory
+      );
+    } catch (error) {
+      throwBadRequest(error.message);
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    return userRepository.updatePassword(user._id, hashedPassword, user.password);
+  }
+
+  // Emitir tokens, registrar el login y establecer la sesión
+  static async _completeLogin(req, res, next, user, method = 'password') {
+    // Cuenta desactivada o suspendida por un admin: no se emiten tokens
+    if (!user.isActive || user.isBanned()) {
+      return AuthController._sendAccountRestrictedResponse(req, res, user, method);
+    }
+
+    // Contraseña vencida: no se emiten tokens hasta que el usuario la cambie
+    if (user.isPasswordExpired()) {
+      return AuthController._sendPasswordExpiredResponse(res, user);
+    }
+
+    // Generar tokens JWT y registrar el refresh token del dispositivo
+    const clientInfo = AuthController._getClientInfo(req);
+    const tokens = await refreshTokenService.issueTokenPair(user, clientInfo);
+
+    // Historial de logins (avisa por email si el acceso es sospechoso)
+    await loginHistoryService.recordSuccess(user, clientInfo, method);
+
+    // Actualizar último login usando repository
+    await userRepository.update(user._id, { lastLogin: new Date() });
+
+    // Establecer sesión (la cookie queda ligada a la misma sesión de dispositivo que los tokens)
+    req.authSessionId = jwtService.decodeToken(tokens.accessToken).payload.sid;
+    req.login(user, (loginErr) => {
+      if (loginErr) {
+        logger.error('Error estableciendo sesión:', loginErr);
+        return next(loginErr);
+      }
+
+      const userDTO = UserDTO.currentUser(user);
+
+      logger.success(`Login exitoso: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Login exitoso',
+        user: userDTO,
+        tokens,
+      });
+    });
+  }
+
+  // Login sin contraseña (enlace mágico, proveedor de identidad): mismo bloqueo y 2FA que el login
+  static async _completePasswordlessLogin(req, res, next, user, method) {
+    if (user.isLocked()) {
+      return AuthController._sendLockedResponse(res, {
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    // Reemplaza a la contraseña, no al segundo factor
+    if (user.twoFactor?.enabled) {
+      return AuthController._sendMfaChallenge(res, user, method);
+    }
+
+    await AuthController._completeLogin(req, res, next, user, method);
+  }
+
+  static async _sendLoginFailure(req, res, info) {
+    logger.warning(`Intento de login fallido: ${req.body.email || 'email no proporcionado'}`);
+
+    await loginHistoryService.recordFailure(
+      { email: req.body.email },
+      AuthController._getClientInfo(req),
+      info?.lockUntil ? 'account-locked' : 'invalid-credentials'
+    );
+
+    if (info?.lockUntil) {
+      return AuthController._sendLockedResponse(res, info);
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: info?.message || 'Credenciales inválidas',
+    });
+  }
+
+  static async _sendAccountRestrictedResponse(req, res, user, method) {
+    const banned = user.isBanned();
+
+    await loginHistoryService.recordFailure(
+      { user },
+      AuthController._getClientInfo(req),
+      banned ? 'account-banned' : 'account-inactive',
+      method
+    );
+    logger.security(
+      `🚫 Login rechazado, cuenta ${banned ? 'suspendida' : 'inactiva'}: ${user.email}`
+    );
+
+    return res.status(403).json({
+      success: false,
+      error: banned ? 'ACCOUNT_BANNED' : 'ACCOUNT_INACTIVE',
+      message: banned ? user.getBanMessage() : 'Tu cuenta está inactiva. Contacta al administrador',
+      ...(banned && { banExpiresAt: user.ban.expiresAt }),
+    });
+  }
+
+  // El enlace para cambiarla se envía por email, igual que en la recuperación de contraseña
+  // (la respuesta no incluye el token: el login no reemplaza el acceso al email)
+  static async _sendPasswordExpiredResponse(res, user) {
+    const { token, expires } = passwordResetService.generateResetToken();
+    await userRepository.setPasswordResetToken(user._id, token, expires);
+    await passwordResetService.sendResetEmail(
+      user.email,
+      token,
+      `${user.first_name} ${user.last_name}`
+    );
+
+    logger.security(`⏰ Contraseña vencida, se exige cambio: ${user.email}`);
+
+    return res.status(403).json({
+      success: false,
+      error: 'PASSWORD_EXPIRED',
+      message: 'Tu contraseña venció. Te enviamos un email con el enlace para establecer una nueva',
+    });
+  }
+
+  // Los códigos incorrectos cuentan como intentos fallidos para el bloqueo de cuenta
+  static async _handleInvalidTwoFactorCode(req, res, user, method) {
+    await loginHistoryService.recordFailure(
+      { user },
+      AuthController._getClientInfo(req),
+      'invalid-2fa-code',
+      method
+    );
+
+    const lockUntil = await twoFactorService.registerFailedCode(user);
+    if (lockUntil) {
+      return AuthController._sendLockedResponse(res, {
+        message: 'Cuenta bloqueada temporalmente por múltiples intentos fallidos',
+        lockUntil,
+      });
+    }
+    throwUnauthorized('Código de verificación inválido');
+  }
+
+  static _sendMfaChallenge(res, user, method) {
+    logger.auth(`Login pendiente de segundo factor: ${user.email}`);
+
+    return res.json({
+      success: true,
+      mfaRequired: true,
+      message: 'Ingresa el código de tu app autenticadora o un código de respaldo',
+      mfaToken: jwtService.generateMfaPendingToken(user, method),
+    });
+  }
+
+  static _sendVerificationEmail(userDTO) {
+    const token = jwtService.generateEmailVerificationToken({
+      _id: userDTO.id,
+      email: userDTO.email,
+    });
+
+    return emailService.sendVerificationEmail(
+      userDTO.email,
+      token,
+      `${userDTO.firstName} ${userDTO.lastName}`
+    );
+  }
+
+  static _sendLockedResponse(res, { message, lockUntil }) {
+    const retryAfterSeconds = Math.max(Math.ceil((lockUntil - Date.now()) / 1000), 0);
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(423).json({
+      success: false,
+      message,
+      error: 'ACCOUNT_LOCKED',
+      lockUntil,
+      retryAfter: retryAfterSeconds,
+    });
+  }
+
+  static _getClientInfo(req) {
+    return {
+      userAgent: req.get('User-Agent') || 'Unknown',
+      ip: req.ip,
+    };
+  }
 }
 
 export default AuthController;
@@ -33,7 +33,7 @@ class CartController {
 
   // Agregar producto al carrito existente o crear uno nuevo
   static async addToCart(req, res) {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
     const parsedQuantity = parseInt(quantity);
 
     // Validar datos de entrada básicos
@@ -45,8 +45,9 @@ class CartController {
       throwNotFound('Producto');
     }
 
-    // Verificar permisos de usuario y stock disponible
-    CartController._validateProductForCart(req.user, product, parsedQuantity);
+    // Verificar variante elegida, permisos de usuario y stock disponible
+    const variant = CartController._resolveVariant(product, variantId);
+    CartController._validateProductForCart(req.user, product, parsedQuantity, variant);
 
     // Obtener carrito activo o crear uno nuevo
     let cart = await cartDAO.findActiveByUser(req.user._id);
@@ -54,19 +55,20 @@ class CartController {
       cart = await cartDAO.create({ user: req.user._id, products: [] });
     }
 
-    // Verificar si producto ya está en el carrito
-    const existingProduct = cart.products.find((item) => item.product.toString() === productId);
+    // Verificar si producto (o la misma variante) ya está en el carrito
+    const existingProduct = CartController._findCartLine(cart, productId, variantId);
 
     if (existingProduct) {
       // Sumar cantidad al producto existente
       await cartDAO.updateProductQuantity(
         cart._id,
         productId,
-        existingProduct.quantity + parsedQuantity
+        existingProduct.quantity + parsedQuantity,
+        variantId
       );
     } else {
       // Agregar producto nuevo al carrito
-      await cartDAO.addProduct(cart._id, productId, parsedQuantity);
+      await cartDAO.addProduct(cart._id, productId, parsedQuantity, variantId);
     }
 
     // Traer carrito actualizado y convertir a DTO
@@ -87,6 +89,7 @@ class CartController {
   // Cambiar cantidad de un producto específico en el carrito
   static async updateProductQuantity(req, res) {
     const { pid } = req.params;
+    const { variantId = null } = req.query; // Línea de una variante: ?variantId=
     const { quantity } = req.body;
     const parsedQuantity = parseInt(quantity);
 
@@ -99,25 +102,30 @@ class CartController {
       throwNotFound('Carrito');
     }
 
-    const productInCart = cart.products.find((item) => item.product.toString() === pid);
+    const productInCart = CartController._findCartLine(cart, pid, variantId);
     if (!productInCart) {
       throwNotFound('Producto en el carrito');
     }
 
-    // Verificar que hay suficiente stock
+    // Verificar que hay suficiente stock (de la variante si la línea tiene una)
     const product = await productRepository.findById(pid);
     if (!product) {
       throwNotFound('Producto');
     }
 
-    if (product.stock < parsedQuantity) {
-      throwBadRequest(
-        `Stock insuficiente para ${product.title}. Solicitado: ${parsedQuantity}, Disponible: ${product.stock}`
-      );
-    }
+    CartController._validateStock(
+      product,
+      CartController._resolveVariant(product, variantId),
+      parsedQuantity
+    );
 
     // Actualizar cantidad en BD
-    const updatedCart = await cartDAO.updateProductQuantity(cart._id, pid, parsedQuantity);
+    const updatedCart = await cartDAO.updateProductQuantity(
+      cart._id,
+      pid,
+      parsedQuantity,
+      variantId
+    );
     const cartDTO = CartDTO.fromCart(updatedCart);
 
     logger.success(
@@ -134,19 +142,20 @@ class CartController {
   // Eliminar un producto completo del carrito
   static async removeFromCart(req, res) {
     const { pid } = req.params;
+    const { variantId = null } = req.query; // Línea de una variante: ?variantId=
 
     const cart = await cartDAO.findActiveByUser(req.user._id);
     if (!cart) {
       throwNotFound('Carrito');
     }
 
-    const productInCart = cart.products.find((item) => item.product.toString() === pid);
+    const productInCart = CartController._findCartLine(cart, pid, variantId);
     if (!productInCart) {
       throwNotFound('Producto en el carrito');
     }
 
-    // Remover producto completamente del carrito
-    const updatedCart = await cartDAO.removeProduct(cart._id, pid);
+    // Remover la línea completa del carrito
+    const updatedCart = await cartDAO.removeProduct(cart._id, pid, variantId);
     const cartDTO = CartDTO.fromCart(updatedCart);
 
     logger.success(`Producto eliminado del carrito: ${pid} por ${req.user.email}`);
@@ -218,19 +227,54 @@ class CartController {
     }
   }
 
-  static _validateProductForCart(user, product, quantity) {
-    // Usuarios premium no pueden agregar sus propios productos
-    if (user.role === 'premium' && product.owner && product.owner.id === user._id.toString()) {
+  static _validateProductForCart(user, product, quantity, variant) {
+    // Nadie puede agregar sus propios productos
+    if (product.owner && product.owner.id === user._id.toString()) {
       throwForbidden('No puedes agregar tu propio producto al carrito');
     }
 
     // Verificar que hay stock suficiente
-    if (product.stock < quantity) {
+    CartController._validateStock(product, variant, quantity);
+  }
+
+  // Stock de la variante elegida si el producto tiene variantes
+  static _validateStock(product, variant, quantity) {
+    const available = variant ? variant.stock : product.stock;
+    if (available < quantity) {
       throwBadRequest(
-        `Stock insuficiente para ${product.title}. Solicitado: ${quantity}, Disponible: ${product.stock}`
+        `Stock insuficiente para ${product.title}. Solicitado: ${quantity}, Disponible: ${available}`
       );
     }
   }
+
+  // Variante elegida: obligatoria si el producto tiene variantes, no admitida si no las tiene
+  static _resolveVariant(product, variantId) {
+    if (!product.variants.length) {
+      if (variantId) {
+        throwBadRequest(`${product.title} no tiene variantes`);
+      }
+      return null;
+    }
+
+    if (!variantId) {
+      throwBadRequest(`Debes elegir una variante de ${product.title}`);
+    }
+
+    const variant = product.variants.find((candidate) => candidate.id.toString() === variantId);
+    if (!variant) {
+      throwNotFound('Variante');
+    }
+    return variant;
+  }
+
+  // Línea del carrito para un producto y variante (null = producto sin variantes)
+  static _findCartLine(cart, productId, variantId) {
+    return cart.products.find(
+      (item) =>
+        item.product?._id.toString() === productId &&
+        (item.variant?.toString() || null) === variantId
+    );
+  }
 }
 
 export default CartController;
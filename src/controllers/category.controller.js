@@ -0,0 +1,98 @@
+import { throwBadRequest, throwNotFound } from '../middlewares/error.middleware.js';
+import categoryService from '../services/category.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Controlador del árbol de categorías
+// Lectura pública; crear, modificar y eliminar requiere el permiso manage:categories
+class CategoryController {
+  // Árbol completo de categorías
+  static async getCategories(req, res) {
+    await categoryService.refreshIfStale();
+
+    res.json({
+      success: true,
+      categories: categoryService.getTree(),
+    });
+  }
+
+  // Categoría con sus subcategorías
+  static async getCategory(req, res) {
+    await categoryService.refreshIfStale();
+
+    const category = categoryService.getSubtree(req.params.slug);
+    if (!category) {
+      throwNotFound('Categoría');
+    }
+
+    res.json({
+      success: true,
+      category,
+    });
+  }
+
+  // Crear categoría (raíz o subcategoría)
+  static async createCategory(req, res) {
+    let category;
+    try {
+      category = await categoryService.create(req.body);
+    } catch (error) {
+      logger.warning(`Error creando categoría: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    logger.success(`Categoría creada: ${category.slug} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Categoría creada exitosamente',
+      category,
+    });
+  }
+
+  // Actualizar nombre, descripción o mover la categoría a otro padre
+  static async updateCategory(req, res) {
+    let category;
+    try {
+      category = await categoryService.update(req.params.slug, req.body);
+    } catch (error) {
+      logger.warning(`Error actualizando categoría: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    if (!category) {
+      throwNotFound('Categoría');
+    }
+
+    logger.success(`Categoría actualizada: ${category.slug} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Categoría actualizada exitosamente',
+      category,
+    });
+  }
+
+  // Eliminar categoría sin subcategorías ni productos
+  static async deleteCategory(req, res) {
+    let category;
+    try {
+      category = await categoryService.delete(req.params.slug);
+    } catch (error) {
+      logger.warning(`Error eliminando categoría: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    if (!category) {
+      throwNotFound('Categoría');
+    }
+
+    logger.success(`Categoría eliminada: ${category.slug} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Categoría eliminada exitosamente',
+    });
+  }
+}
+
+export default CategoryController;
@@ -0,0 +1,41 @@
+import { throwBadRequest } from '../middlewares/error.middleware.js';
+import loginHistoryService from '../services/loginHistory.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Máximo de registros por consulta del historial
+const MAX_HISTORY_LIMIT = 100;
+
+// Controlador del historial de logins y de los avisos de acceso sospechoso
+class LoginHistoryController {
+  // Listar los últimos intentos de login del usuario actual (?limit=, 20 por defecto)
+  static async getLoginHistory(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_HISTORY_LIMIT);
+
+    const history = await loginHistoryService.listForUser(req.user._id, limit);
+
+    res.json({
+      success: true,
+      history,
+    });
+  }
+
+  // "No fui yo" desde el aviso por email: cierra todas las sesiones del usuario
+  static async secureAccount(req, res) {
+    let user;
+    try {
+      user = await loginHistoryService.secureAccount(req.body.token);
+    } catch (error) {
+      logger.warning(`Enlace "no fui yo" rechazado: ${error.message}`);
+      throwBadRequest('El enlace es inválido, expiró o ya fue utilizado');
+    }
+
+    logger.security(`🔒 Sesiones cerradas desde el aviso de login: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Cerramos todas las sesiones de tu cuenta. Te recomendamos cambiar tu contraseña',
+    });
+  }
+}
+
+export default LoginHistoryController;
@@ -0,0 +1,140 @@
+import { throwBadRequest, throwConflict, throwNotFound } from '../middlewares/error.middleware.js';
+import premiumRequestRepository from '../repositories/premiumRequest.repository.js';
+import userRepository from '../repositories/user.repository.js';
+import { emailService } from '../utils/email.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Controlador del flujo de upgrade a premium (vendedor)
+// Los usuarios solicitan el rol y un administrador aprueba o rechaza
+class PremiumRequestController {
+  // Crear solicitud de upgrade para el usuario actual
+  static async createRequest(req, res) {
+    if (req.user.role !== 'user') {
+      throwBadRequest(`Tu cuenta ya tiene el rol ${req.user.role}`);
+    }
+
+    if (await premiumRequestRepository.hasPendingRequest(req.user._id)) {
+      throwBadRequest('Ya tienes una solicitud premium pendiente de revisión');
+    }
+
+    const request = await premiumRequestRepository.create({
+      ...req.body,
+      user: req.user._id,
+    });
+
+    logger.info(`Solicitud premium enviada por: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Solicitud enviada. Un administrador la revisará pronto',
+      request,
+    });
+  }
+
+  // Listar solicitudes (solo admin), filtrables por estado
+  static async getAllRequests(req, res) {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const result = await premiumRequestRepository.getAll({ page, limit, status });
+
+    logger.info(`Solicitudes premium consultadas por admin: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Lista de solicitudes premium obtenida',
+      ...result,
+    });
+  }
+
+  // Aprobar solicitud: el usuario pasa a rol premium
+  // Solo si sigue existiendo y conserva el rol user (una solicitud vieja no pisa un rol asignado después)
+  static async approveRequest(req, res) {
+    const { user } = await PremiumRequestController._findRequest(req.params.rid);
+    if (!user) {
+      throwConflict('El usuario de la solicitud ya no existe');
+    }
+
+    // Cambio atómico: falla si el rol ya no es user
+    if (!(await userRepository.changeRole(user.id, 'user', 'premium'))) {
+      throwConflict(`El usuario ya tiene el rol ${user.role}: la solicitud no puede aprobarse`);
+    }
+
+    let request;
+    try {
+      request = await PremiumRequestController._resolveRequest(req.params.rid, {
+        status: 'approved',
+        reviewedBy: req.user._id,
+      });
+    } catch (error) {
+      // Otro admin la revisó mientras tanto: devolver el rol anterior
+      await userRepository.changeRole(user.id, 'premium', 'user');
+      throw error;
+    }
+
+    await emailService.sendPremiumRequestDecision(request.user.email, request.user.name, {
+      approved: true,
+    });
+
+    logger.success(`Solicitud premium aprobada: ${request.user.email} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Solicitud aprobada. El usuario ahora es premium',
+      request,
+    });
+  }
+
+  // Rechazar solicitud con motivo
+  // (si el usuario fue eliminado se rechaza igual, sin enviar el email)
+  static async rejectRequest(req, res) {
+    const { reason } = req.body;
+
+    await PremiumRequestController._findRequest(req.params.rid);
+    const request = await PremiumRequestController._resolveRequest(req.params.rid, {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      rejectionReason: reason,
+    });
+
+    if (request.user) {
+      await emailService.sendPremiumRequestDecision(request.user.email, request.user.name, {
+        approved: false,
+        reason,
+      });
+    }
+
+    logger.info(
+      `Solicitud premium rechazada: ${request.user?.email || 'usuario eliminado'} por ${req.user.email}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Solicitud rechazada',
+      request,
+    });
+  }
+
+  // Métodos privados
+  static async _findRequest(requestId) {
+    const request = await premiumRequestRepository.findById(requestId);
+    if (!request) {
+      throwNotFound('Solicitud');
+    }
+    if (request.status !== 'pending') {
+      throwBadRequest('La solicitud ya fue revisada');
+    }
+    return request;
+  }
+
+  static async _resolveRequest(requestId, reviewData) {
+    // Resolución atómica: solo se resuelven solicitudes pendientes
+    const request = await premiumRequestRepository.resolve(requestId, reviewData);
+    if (!request) {
+      throwBadRequest('La solicitud ya fue revisada');
+    }
+
+    return request;
+  }
+}
+
+export default PremiumRequestController;
@@ -1,31 +1,77 @@
 import { throwBadRequest, throwForbidden, throwNotFound } from '../middlewares/error.middleware.js';
 import productRepository from '../repositories/product.repository.js';
+import categoryService from '../services/category.service.js';
+import roleService from '../services/role.service.js';
 import { logger } from '../utils/logger.util.js';
 
 // Manejo de productos con Repository pattern
 class ProductController {
-  // Obtener todos los productos con paginación y filtros
+  // Búsqueda facetada: productos paginados y conteos para la barra de filtros
+  // (query ya validada y convertida por productSearchValidation)
   static async getAllProducts(req, res) {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      search,
-      sort = 'createdAt',
-      order = 'desc',
-    } = req.query;
+    const { category, ...filters } = req.query;
+
+    // Filtrar por las categorías elegidas y todas sus subcategorías
+    await categoryService.refreshIfStale();
+    const categories = category
+      ? [...new Set(category.flatMap((slug) => categoryService.getWithDescendants(slug)))]
+      : undefined;
 
-    const filters = { page, limit, category, search, sort, order };
-    const result = await productRepository.findAll(filters);
+    const result = await productRepository.findAll({ ...filters, categories });
 
     logger.info(
-      `Lista de productos solicitada - Página: ${page}, Total: ${result.pagination.total}`
+      `Lista de productos solicitada - Página: ${filters.page}, Total: ${result.pagination.total}`
     );
 
     res.json({
       success: true,
       products: result.products,
       pagination: result.pagination,
+      facets: result.facets,
+      // true si no hubo coincidencias exactas y se buscó tolerando errores de tipeo
+      fuzzy: result.fuzzy,
+    });
+  }
+
+  // Autocompletado del buscador: productos (título o código) y categorías que empiezan con q
+  static async suggestProducts(req, res) {
+    const { q, limit } = req.query;
+
+    await categoryService.refreshIfStale();
+    const [products, categories] = await Promise.all([
+      productRepository.suggest(q, limit),
+      categoryService.suggest(q, limit),
+    ]);
+
+    res.json({
+      success: true,
+      query: q,
+      suggestions: { products, categories },
+    });
+  }
+
+  // Búsquedas sin resultados más repetidas (para corregir el catálogo)
+  static async getSearchMisses(req, res) {
+    const searchMisses = await productRepository.findSearchMisses(req.query.limit);
+
+    res.json({
+      success: true,
+      searchMisses,
+    });
+  }
+
+  // Descartar una búsqueda sin resultados una vez corregido el catálogo
+  static async deleteSearchMiss(req, res) {
+    const searchMiss = await productRepository.deleteSearchMiss(req.params.id);
+    if (!searchMiss) {
+      throwNotFound('Búsqueda');
+    }
+
+    logger.info(`Búsqueda sin resultados descartada: "${searchMiss.query}" por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Búsqueda descartada exitosamente',
     });
   }
 
@@ -48,10 +94,21 @@ class ProductController {
 
   // Crear nuevo producto
   static async createProduct(req, res) {
-    const { title, description, price, stock, category } = req.body;
+    const { title, description, price, category } = req.body;
+    const variants = ProductController._toVariantData(req.body.variants);
+    // Con variantes, el stock del producto es la suma del de sus variantes
+    const stock = variants.length ? ProductController._variantStock(variants) : req.body.stock;
 
     // Validar datos requeridos
-    ProductController._validateRequiredFields({ title, description, price, stock, category });
+    ProductController._validateRequiredFields({
+      title,
+      description,
+      price,
+      stock,
+      category,
+      hasVariants: variants.length > 0,
+    });
+    await ProductController._validateCategory(category);
 
     // Determinar propietario
     const owner = ProductController._determineOwner(req.user, req.body.owner);
@@ -65,6 +122,8 @@ class ProductController {
       code: req.body.code || `PROD-${Date.now()}`,
       thumbnails: req.body.thumbnails || [],
       owner,
+      options: req.body.options || [],
+      variants,
     };
 
     const product = await productRepository.create(productData);
@@ -89,7 +148,8 @@ class ProductController {
     }
 
     // Verificar permisos
-    if (req.user.role === 'premium' && existingProduct.owner.id !== req.user._id.toString()) {
+    const canUpdateAll = roleService.hasPermission(req.user.role, 'update:all-products');
+    if (!canUpdateAll && existingProduct.owner.id !== req.user._id.toString()) {
       throwForbidden('Solo puedes actualizar productos de tu propiedad');
     }
 
@@ -101,11 +161,14 @@ class ProductController {
       throwBadRequest('El stock no puede ser negativo');
     }
 
-    // No permitir cambiar el propietario a menos que sea admin
-    if (updateData.owner && req.user.role !== 'admin') {
+    // Solo quien gestiona todo el catálogo puede cambiar el propietario
+    if (updateData.owner && !canUpdateAll) {
       delete updateData.owner;
     }
 
+    ProductController._applyVariantUpdate(existingProduct, updateData);
+    await ProductController._validateCategory(updateData.category);
+
     const updatedProduct = await productRepository.update(pid, updateData);
 
     logger.success(`Producto actualizado: ${updatedProduct.title} por ${req.user.email}`);
@@ -127,7 +190,10 @@ class ProductController {
     }
 
     // Verificar permisos
-    if (req.user.role === 'premium' && product.owner.id !== req.user._id.toString()) {
+    if (
+      !roleService.hasPermission(req.user.role, 'delete:all-products') &&
+      product.owner.id !== req.user._id.toString()
+    ) {
       throwForbidden('Solo puedes eliminar productos de tu propiedad');
     }
 
@@ -145,8 +211,11 @@ class ProductController {
   static async getProductsByOwner(req, res) {
     const ownerId = req.params.ownerId || req.user._id;
 
-    // Solo admin puede ver productos de otros usuarios
-    if (req.user.role !== 'admin' && ownerId !== req.user._id.toString()) {
+    // Solo quien gestiona todo el catálogo puede ver productos de otros usuarios
+    if (
+      !roleService.hasPermission(req.user.role, 'update:all-products') &&
+      ownerId.toString() !== req.user._id.toString()
+    ) {
       throwForbidden('Solo puedes ver tus propios productos');
     }
 
@@ -162,21 +231,53 @@ class ProductController {
   }
 
   // Métodos privados para reducir complejidad
-  static _validateRequiredFields({ title, description, price, stock, category }) {
+  static _validateRequiredFields({ title, description, price, stock, category, hasVariants }) {
     if (!title) throwBadRequest('El título es requerido');
     if (!description) throwBadRequest('La descripción es requerida');
     if (!price || price <= 0) throwBadRequest('El precio debe ser mayor a 0');
-    if (!stock || stock < 0) throwBadRequest('El stock no puede ser negativo');
+    if (!hasVariants && (!stock || stock < 0)) throwBadRequest('El stock no puede ser negativo');
     if (!category) throwBadRequest('La categoría es requerida');
   }
 
-  static _determineOwner(user, requestedOwner) {
-    if (user.role === 'premium') {
-      return user._id;
+  // La categoría debe existir en la colección (los admins la gestionan en /api/categories)
+  static async _validateCategory(category) {
+    if (!category) {
+      return;
+    }
+
+    await categoryService.refreshIfStale();
+    if (!categoryService.exists(category)) {
+      throwBadRequest(`La categoría ${category} no existe. Consulta GET /api/categories`);
+    }
+  }
+
+  // Variantes recibidas → subdocumentos (el id conserva la variante que referencian los carritos)
+  static _toVariantData(variants = []) {
+    return variants.map(({ id, ...variant }) => ({ ...variant, ...(id && { _id: id }) }));
+  }
+
+  static _variantStock(variants) {
+    return variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  // Al reemplazar las variantes se recalcula el stock total; sin ellas no se puede pisar
+  static _applyVariantUpdate(existingProduct, updateData) {
+    if (updateData.variants) {
+      updateData.variants = ProductController._toVariantData(updateData.variants);
+      updateData.stock = ProductController._variantStock(updateData.variants);
+    } else if (existingProduct.variants.length && updateData.stock !== undefined) {
+      throwBadRequest('El stock de un producto con variantes se actualiza en cada variante');
     }
-    if (user.role === 'admin') {
+  }
+
+  static _determineOwner(user, requestedOwner) {
+    // Quien gestiona todo el catálogo puede asignar el producto a otro dueño
+    if (roleService.hasPermission(user.role, 'update:all-products')) {
       return requestedOwner || user._id;
     }
+    if (roleService.hasPermission(user.role, 'create:products')) {
+      return user._id;
+    }
     return null;
   }
 }
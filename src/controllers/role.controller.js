@@ -0,0 +1,118 @@
+import { RoleDTO } from '../dto/index.js';
+import { throwBadRequest, throwForbidden, throwNotFound } from '../middlewares/error.middleware.js';
+import { PERMISSIONS } from '../models/Role.model.js';
+import roleService from '../services/role.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Controlador de roles y permisos (solo con permiso manage:roles)
+// Los roles del sistema (user, premium, admin) son de solo lectura
+class RoleController {
+  // Listar roles y el catálogo de permisos disponibles
+  static async getRoles(req, res) {
+    const roles = await roleService.list();
+
+    res.json({
+      success: true,
+      roles: roles.map((role) => RoleDTO.fromRole(role)),
+      availablePermissions: PERMISSIONS,
+    });
+  }
+
+  // Crear rol personalizado (ej: soporte, encargado de inventario)
+  static async createRole(req, res) {
+    RoleController._assertCanGrant(req.user, req.body.permissions);
+
+    let role;
+    try {
+      role = await roleService.create(req.body);
+    } catch (error) {
+      logger.warning(`Error creando rol: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    logger.success(`Rol creado: ${role.name} por ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      role: RoleDTO.fromRole(role),
+    });
+  }
+
+  // Actualizar descripción o permisos de un rol personalizado
+  static async updateRole(req, res) {
+    // Agregar o quitar permisos exige tener tanto los nuevos como los que ya tiene el rol
+    if (req.body.permissions) {
+      RoleController._assertCanGrant(req.user, [
+        ...new Set([...roleService.getPermissions(req.params.name), ...req.body.permissions]),
+      ]);
+    }
+
+    const role = await roleService.update(req.params.name, req.body);
+
+    if (!role) {
+      throwNotFound('Rol personalizado');
+    }
+
+    logger.success(`Rol actualizado: ${role.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      role: RoleDTO.fromRole(role),
+    });
+  }
+
+  // Configurar el límite de solicitudes del rol (también para los roles del sistema)
+  static async updateRateLimit(req, res) {
+    const role = await roleService.setRateLimit(req.params.name, req.body.requestsPerWindow);
+
+    if (!role) {
+      throwNotFound('Rol');
+    }
+
+    logger.success(`Límite de solicitudes del rol ${role.name} actualizado por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Límite de solicitudes actualizado exitosamente',
+      role: RoleDTO.fromRole(role),
+    });
+  }
+
+  // Eliminar rol personalizado (sin usuarios asignados)
+  static async deleteRole(req, res) {
+    let role;
+    try {
+      role = await roleService.delete(req.params.name);
+    } catch (error) {
+      logger.warning(`Error eliminando rol: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    if (!role) {
+      throwNotFound('Rol personalizado');
+    }
+
+    logger.success(`Rol eliminado: ${role.name} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Rol eliminado exitosamente',
+    });
+  }
+
+  // Métodos privados
+  // Otorgar o quitar permisos no puede escalar privilegios: quien edita el rol debe tenerlos
+  static _assertCanGrant(assigner, permissions) {
+    const beyond = roleService.getPermissionsBeyond(permissions, assigner.role);
+    if (beyond.length > 0) {
+      logger.security(`🚫 Intento de escalar privilegios al editar roles por: ${assigner.email}`, {
+        permissions: beyond,
+      });
+      throwForbidden(`No puedes otorgar ni quitar permisos que no tienes: ${beyond.join(', ')}`);
+    }
+  }
+}
+
+export default RoleController;
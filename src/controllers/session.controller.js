@@ -0,0 +1,47 @@
+import { throwNotFound } from '../middlewares/error.middleware.js';
+import sessionService from '../services/session.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Controlador de sesiones activas: dónde tiene iniciada sesión el usuario
+class SessionController {
+  // Listar sesiones activas del usuario actual
+  static async getSessions(req, res) {
+    const sessions = await sessionService.listActive(req.user._id, req.authSessionId);
+
+    res.json({
+      success: true,
+      sessions,
+    });
+  }
+
+  // Cerrar una sesión específica (sus tokens dejan de funcionar de inmediato)
+  static async revokeSession(req, res) {
+    const { id } = req.params;
+
+    if (!(await sessionService.revoke(req.user._id, id))) {
+      throwNotFound('Sesión');
+    }
+
+    logger.security(`💻 Sesión cerrada por el usuario: ${req.user.email}`, { sessionId: id });
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente',
+    });
+  }
+
+  // Cerrar sesión en todos los demás dispositivos
+  static async revokeOtherSessions(req, res) {
+    const revoked = await sessionService.revokeOthers(req.user._id, req.authSessionId);
+
+    logger.security(`💻 Sesiones cerradas en otros dispositivos: ${req.user.email}`, { revoked });
+
+    res.json({
+      success: true,
+      message: 'Se cerró la sesión en los demás dispositivos',
+      revoked,
+    });
+  }
+}
+
+export default SessionController;
@@ -0,0 +1,80 @@
+import { throwBadRequest } from '../middlewares/error.middleware.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import { logger } from '../utils/logger.util.js';
+
+import AuthController from './auth.controller.js';
+
+// Controlador de enrolamiento y gestión de 2FA (TOTP)
+class TwoFactorController {
+  // Iniciar enrolamiento: retorna secreto y URI otpauth para la app autenticadora
+  static async setup(req, res) {
+    try {
+      const { secret, otpauthUrl } = await twoFactorService.startEnrollment(req.user);
+
+      res.json({
+        success: true,
+        message: 'Escanea el código en tu app autenticadora y confirma con un código',
+        secret,
+        otpauthUrl,
+      });
+    } catch (error) {
+      logger.warning(`Error iniciando enrolamiento 2FA: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+  }
+
+  // Confirmar enrolamiento: activa 2FA y entrega los códigos de respaldo (una sola vez)
+  static async enable(req, res) {
+    try {
+      const backupCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Autenticación de dos factores activada. Guarda tus códigos de respaldo',
+        backupCodes,
+      });
+    } catch (error) {
+      logger.warning(`Error activando 2FA para ${req.user.email}: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+  }
+
+  // Desactivar 2FA
+  static async disable(req, res) {
+    try {
+      await twoFactorService.disable(req.user, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Autenticación de dos factores desactivada',
+      });
+    } catch (error) {
+      logger.warning(`Error desactivando 2FA para ${req.user.email}: ${error.message}`);
+      if (error.lockUntil) {
+        return AuthController._sendLockedResponse(res, error);
+      }
+      throwBadRequest(error.message);
+    }
+  }
+
+  // Regenerar códigos de respaldo
+  static async regenerateBackupCodes(req, res) {
+    try {
+      const backupCodes = await twoFactorService.regenerateBackupCodes(req.user, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Códigos de respaldo regenerados. Los anteriores ya no son válidos',
+        backupCodes,
+      });
+    } catch (error) {
+      logger.warning(`Error regenerando códigos 2FA para ${req.user.email}: ${error.message}`);
+      if (error.lockUntil) {
+        return AuthController._sendLockedResponse(res, error);
+      }
+      throwBadRequest(error.message);
+    }
+  }
+}
+
+export default TwoFactorController;
@@ -1,7 +1,12 @@
 import bcrypt from 'bcrypt';
 
-import { throwBadRequest, throwNotFound } from '../middlewares/error.middleware.js';
+import { UserDTO } from '../dto/index.js';
+import { throwBadRequest, throwForbidden, throwNotFound } from '../middlewares/error.middleware.js';
 import userRepository from '../repositories/user.repository.js';
+import roleService from '../services/role.service.js';
+import userAccountService from '../services/userAccount.service.js';
+import { emailService } from '../utils/email.util.js';
+import { jwtService } from '../utils/jwt.util.js';
 import { logger } from '../utils/logger.util.js';
 import { passwordResetService } from '../utils/passwordReset.util.js';
 
@@ -25,6 +30,146 @@ class UserController {
     });
   }
 
+  // Actualizar perfil propio (nombre, apellido, edad)
+  static async updateCurrentUser(req, res) {
+    const user = await userRepository.update(req.user._id, req.body);
+
+    if (!user) {
+      throwNotFound('Usuario');
+    }
+
+    logger.info(`Perfil actualizado por: ${req.user.email}`, { fields: Object.keys(req.body) });
+
+    res.json({
+      success: true,
+      message: 'Perfil actualizado exitosamente',
+      user,
+    });
+  }
+
+  // Solicitar cambio de email: se confirma desde la nueva dirección antes de aplicarlo
+  static async requestEmailChange(req, res) {
+    const { newEmail, currentPassword } = req.body;
+
+    const user = await userRepository.findAuthUserById(req.user._id);
+    if (!user) {
+      throwNotFound('Usuario');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      logger.warning(`🚫 Contraseña incorrecta al solicitar cambio de email: ${user.email}`);
+      throwBadRequest('La contraseña actual es incorrecta');
+    }
+
+    if (newEmail === user.email) {
+      throwBadRequest('El nuevo email debe ser diferente al actual');
+    }
+
+    if (await userRepository.findByEmail(newEmail)) {
+      throwBadRequest('El email ya está registrado');
+    }
+
+    const userName = `${user.first_name} ${user.last_name}`;
+    const token = jwtService.generateEmailChangeToken(user, newEmail);
+
+    await emailService.sendEmailChangeConfirmation(newEmail, token, userName);
+    await emailService.sendEmailChangeNotice(user.email, userName, newEmail);
+
+    logger.security(`📨 Cambio de email solicitado: ${user.email} -> ${newEmail}`);
+
+    res.json({
+      success: true,
+      message: 'Te enviamos un enlace de confirmación al nuevo email',
+    });
+  }
+
+  // Confirmar cambio de email con el token enviado a la nueva dirección
+  static async confirmEmailChange(req, res) {
+    let decoded;
+    try {
+      decoded = jwtService.verifyEmailChangeToken(req.body.token);
+    } catch (error) {
+      logger.warning(`Token de cambio de email rechazado: ${error.message}`);
+      throwBadRequest('Token de confirmación inválido o expirado');
+    }
+
+    // El token deja de ser válido una vez que el email cambió
+    const user = await userRepository.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      throwBadRequest('Token de confirmación inválido o expirado');
+    }
+
+    if (await userRepository.findByEmail(decoded.newEmail)) {
+      throwBadRequest('El email ya está registrado');
+    }
+
+    // El nuevo email queda verificado porque el usuario confirmó desde esa dirección
+    const updatedUser = await userRepository.update(user.id, {
+      email: decoded.newEmail,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+
+    logger.logSecurityEvent('EMAIL_CHANGED', {
+      userId: user.id.toString(),
+      previousEmail: decoded.email,
+      newEmail: decoded.newEmail,
+    });
+
+    res.json({
+      success: true,
+      message: 'Email actualizado exitosamente',
+      user: updatedUser,
+    });
+  }
+
+  // Descargar todos los datos personales del usuario actual (JSON)
+  static async exportCurrentUserData(req, res) {
+    const bundle = await userAccountService.exportData(req.user);
+    const filename = `datos-personales-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(bundle);
+  }
+
+  // Solicitar la eliminación de la cuenta propia (se ejecuta al terminar el período de gracia)
+  static async requestAccountErasure(req, res) {
+    const user = await userRepository.findAuthUserById(req.user._id);
+
+    // Las cuentas creadas desde un proveedor de identidad no tienen una contraseña conocida
+    const requiresPassword = !user.identities.length;
+    if (requiresPassword && !(await user.comparePassword(req.body.currentPassword || ''))) {
+      logger.warning(`🚫 Contraseña incorrecta al solicitar eliminación de cuenta: ${user.email}`);
+      throwBadRequest('La contraseña actual es incorrecta');
+    }
+
+    if (user.erasureScheduledFor) {
+      throwBadRequest('La eliminación de tu cuenta ya está programada');
+    }
+
+    const scheduledFor = await userAccountService.scheduleErasure(user);
+
+    res.status(202).json({
+      success: true,
+      message: 'La eliminación de tu cuenta quedó programada. Puedes cancelarla hasta esa fecha',
+      scheduledFor,
+    });
+  }
+
+  // Cancelar la eliminación programada de la cuenta propia
+  static async cancelAccountErasure(req, res) {
+    if (!req.user.erasureScheduledFor) {
+      throwBadRequest('No hay una eliminación de cuenta programada');
+    }
+
+    await userAccountService.cancelErasure(req.user);
+
+    res.json({
+      success: true,
+      message: 'Eliminación de cuenta cancelada',
+    });
+  }
+
   // Obtener todos los usuarios (solo admin)
   static async getAllUsers(req, res) {
     const { page = 1, limit = 10 } = req.query;
@@ -61,6 +206,19 @@ class UserController {
     const { uid } = req.params;
     const updateData = req.body;
 
+    // Solo campos simples: operadores ($set, $unset...) o rutas con punto esquivarían el filtro
+    const invalidFields = Object.keys(updateData).filter(
+      (field) => field.startsWith('$') || field.includes('.')
+    );
+    if (invalidFields.length > 0) {
+      throwBadRequest(`Campos no permitidos: ${invalidFields.join(', ')}`);
+    }
+
+    if ('role' in updateData) {
+      await UserController._validateRoleChange(req.user, uid, updateData.role);
+    }
+    await UserController._findManageableUser(req);
+
     const user = await userRepository.update(uid, updateData);
 
     if (!user) {
@@ -74,23 +232,146 @@ class UserController {
     });
   }
 
-  // Eliminar usuario
-  static async deleteUser(req, res) {
+  // Desbloquear cuenta bloqueada por intentos fallidos (solo admin)
+  static async unlockUser(req, res) {
     const { uid } = req.params;
 
-    const user = await userRepository.delete(uid);
+    const user = await userRepository.unlockAccount(uid);
 
     if (!user) {
       throwNotFound('Usuario');
     }
 
+    logger.logSecurityEvent('ACCOUNT_UNLOCKED', {
+      userId: uid,
+      email: user.email,
+      unlockedBy: req.user.email,
+    });
+
     res.json({
       success: true,
-      message: 'Usuario eliminado exitosamente',
+      message: 'Cuenta desbloqueada exitosamente',
+      user,
+    });
+  }
+
+  // Suplantar usuario (soporte): access token de corta duración con el admin en el claim `act`
+  static async impersonateUser(req, res) {
+    const { uid } = req.params;
+
+    const target = await userRepository.findAuthUserById(uid);
+
+    if (!target) {
+      throwNotFound('Usuario');
+    }
+    if (target._id.toString() === req.user._id.toString()) {
+      throwBadRequest('No puedes suplantarte a ti mismo');
+    }
+    // Un admin no puede adquirir los permisos de otro usuario con permiso de suplantación
+    if (roleService.hasPermission(target.role, 'impersonate:users')) {
+      throwForbidden('No puedes suplantar a otro administrador');
+    }
+    if (!target.isActive || target.isBanned()) {
+      throwBadRequest('La cuenta del usuario está inactiva o suspendida');
+    }
+
+    const accessToken = jwtService.generateImpersonationToken(target, req.user);
+
+    logger.logSecurityEvent('IMPERSONATION_STARTED', {
+      impersonator: req.user.email,
+      impersonatorId: req.user._id.toString(),
+      user: target.email,
+      userId: uid,
+      reason: req.body.reason,
+      expiresIn: jwtService.impersonationExpiry,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Suplantando a ${target.email}`,
+      accessToken,
+      expiresIn: jwtService.impersonationExpiry,
+      user: UserDTO.fromUser(target),
+    });
+  }
+
+  // Desactivar cuenta (solo admin): cierra todas sus sesiones
+  static async deactivateUser(req, res) {
+    const target = await UserController._findManageableUser(req);
+
+    const user = await userAccountService.deactivate(target, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Cuenta desactivada exitosamente',
+      user,
+    });
+  }
+
+  // Reactivar cuenta desactivada (solo admin)
+  static async activateUser(req, res) {
+    const target = await UserController._findManageableUser(req);
+
+    const user = await userAccountService.activate(target, req.user);
+
+    res.json({
+      success: true,
+      message: 'Cuenta reactivada exitosamente',
       user,
     });
   }
 
+  // Suspender cuenta con motivo y vencimiento opcional (solo admin)
+  static async banUser(req, res) {
+    const target = await UserController._findManageableUser(req);
+
+    const user = await userAccountService.ban(target, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: req.body.expiresAt ? 'Cuenta suspendida temporalmente' : 'Cuenta suspendida',
+      user,
+    });
+  }
+
+  // Levantar suspensión (solo admin)
+  static async unbanUser(req, res) {
+    const target = await UserController._findManageableUser(req);
+
+    if (!target.isBanned()) {
+      throwBadRequest('La cuenta no está suspendida');
+    }
+
+    const user = await userAccountService.unban(target, req.user);
+
+    res.json({
+      success: true,
+      message: 'Suspensión levantada exitosamente',
+      user,
+    });
+  }
+
+  // Eliminar usuario (baja lógica): se anonimiza, conserva sus tickets
+  // y sus productos pasan a `transferProductsTo` o se despublican
+  static async deleteUser(req, res) {
+    const target = await UserController._findManageableUser(req);
+
+    let result;
+    try {
+      result = await userAccountService.softDelete(target, req.user, req.body);
+    } catch (error) {
+      logger.warning(`Baja de usuario rechazada: ${error.message}`);
+      throwBadRequest(error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Usuario eliminado exitosamente',
+      ...result,
+    });
+  }
+
   // Solicitar recuperación de contraseña
   static async requestPasswordReset(req, res) {
     const { email } = req.body;
@@ -113,10 +394,7 @@ class UserController {
     const { token, expires } = passwordResetService.generateResetToken();
 
     // Actualizar usuario con token y expiración
-    await userRepository.update(user._id, {
-      passwordResetToken: token,
-      passwordResetExpires: expires,
-    });
+    await userRepository.setPasswordResetToken(user._id, token, expires);
 
     // Enviar email de recuperación
     await passwordResetService.sendResetEmail(
@@ -179,6 +457,59 @@ class UserController {
       message: 'Contraseña restablecida exitosamente',
     });
   }
+
+  // Usuario sobre el que un admin puede aplicar acciones de cuenta (nunca la propia ni otro admin)
+  static async _findManageableUser(req) {
+    const target = await userRepository.findAuthUserById(req.params.uid);
+
+    if (!target || target.deletedAt) {
+      throwNotFound('Usuario');
+    }
+    if (target._id.equals(req.user._id)) {
+      throwBadRequest('No puedes aplicar esta acción sobre tu propia cuenta');
+    }
+    if (roleService.hasPermission(target.role, 'delete:users')) {
+      throwForbidden('No puedes modificar la cuenta de otro administrador');
+    }
+
+    return target;
+  }
+
+  // Cambiar el rol requiere manage:roles y no puede escalar privilegios: el rol asignado y el
+  // rol actual del usuario no pueden tener permisos sobre otros usuarios que quien lo cambia no tiene
+  static async _validateRoleChange(assigner, uid, role) {
+    if (!roleService.hasPermission(assigner.role, 'manage:roles')) {
+      throwForbidden('Cambiar el rol de un usuario requiere el permiso manage:roles');
+    }
+    if (!roleService.exists(role)) {
+      throwBadRequest(`El rol ${role} no existe`);
+    }
+    if (assigner._id.equals(uid)) {
+      throwForbidden('No puedes cambiar tu propio rol');
+    }
+
+    const target = await userRepository.findAuthUserById(uid);
+    if (!target) {
+      throwNotFound('Usuario');
+    }
+
+    const beyond = [
+      ...new Set([
+        ...roleService.getPermissionsBeyond(roleService.getPermissions(role), assigner.role),
+        ...roleService.getPermissionsBeyond(roleService.getPermissions(target.role), assigner.role),
+      ]),
+    ];
+    if (beyond.length > 0) {
+      logger.security(`🚫 Intento de escalar privilegios al asignar rol por: ${assigner.email}`, {
+        target: target.email,
+        role,
+        permissions: beyond,
+      });
+      throwForbidden(
+        `No puedes asignar ni quitar un rol con permisos que no tienes: ${beyond.join(', ')}`
+      );
+    }
+  }
 }
 
 export default UserController;
@@ -0,0 +1,86 @@
+import { isValidObjectId } from 'mongoose';
+
+import ApiKey from '../models/ApiKey.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de API Keys
+ */
+class ApiKeyDAO {
+  /**
+   * Registrar una nueva API key
+   */
+  create(apiKeyData) {
+    return ApiKey.create(apiKeyData);
+  }
+
+  /**
+   * Buscar API key por ID
+   */
+  findById(id) {
+    // Validar que el ID sea un ObjectId válido
+    if (!isValidObjectId(id)) {
+      return null;
+    }
+    return ApiKey.findById(id).populate('owner', 'first_name last_name email role');
+  }
+
+  /**
+   * Buscar API key por el hash de su valor
+   */
+  findByHash(keyHash) {
+    return ApiKey.findOne({ keyHash });
+  }
+
+  /**
+   * Listar API keys (filtradas por dueño si se indica)
+   */
+  findAll(filter = {}) {
+    return ApiKey.find(filter)
+      .populate('owner', 'first_name last_name email role')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Actualizar los scopes de una API key activa
+   */
+  updateScopes(id, scopes) {
+    return ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { scopes } },
+      { new: true, runValidators: true }
+    ).populate('owner', 'first_name last_name email role');
+  }
+
+  /**
+   * Revocar una API key
+   */
+  revoke(id, revokedBy) {
+    return ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    ).populate('owner', 'first_name last_name email role');
+  }
+
+  /**
+   * Revocar todas las API keys vigentes de un dueño
+   */
+  revokeAllByOwner(ownerId, revokedBy) {
+    return ApiKey.updateMany(
+      { owner: ownerId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } }
+    );
+  }
+
+  /**
+   * Registrar uso de la API key
+   */
+  markUsed(id, ip) {
+    return ApiKey.updateOne(
+      { _id: id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+    );
+  }
+}
+
+export default new ApiKeyDAO();
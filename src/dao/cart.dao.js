@@ -16,7 +16,7 @@ class CartDAO {
    */
   findById(id) {
     return Cart.findById(id)
-      .populate('products.product', 'title price thumbnail stock')
+      .populate('products.product', 'title price thumbnail stock variants')
       .populate('user', 'first_name last_name email');
   }
 
@@ -25,7 +25,7 @@ class CartDAO {
    */
   findActiveByUser(userId) {
     return Cart.findOne({ user: userId, status: 'active' })
-      .populate('products.product', 'title price thumbnail stock')
+      .populate('products.product', 'title price thumbnail stock variants')
       .populate('user', 'first_name last_name email');
   }
 
@@ -35,7 +35,7 @@ class CartDAO {
   updateById(id, updateData) {
     return Cart.findByIdAndUpdate(id, updateData, { new: true }).populate(
       'products.product',
-      'title price thumbnail stock'
+      'title price thumbnail stock variants'
     );
   }
 
@@ -46,6 +46,22 @@ class CartDAO {
     return Cart.findByIdAndDelete(id);
   }
 
+  /**
+   * Buscar todos los carritos de un usuario (activos e históricos)
+   */
+  findAllByUser(userId) {
+    return Cart.find({ user: userId })
+      .populate('products.product', 'title price')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Eliminar todos los carritos de un usuario
+   */
+  deleteByUser(userId) {
+    return Cart.deleteMany({ user: userId });
+  }
+
   /**
    * Limpiar productos del carrito
    */
@@ -54,40 +70,40 @@ class CartDAO {
   }
 
   /**
-   * Agregar producto al carrito
+   * Agregar producto (o una variante) al carrito
    */
-  addProduct(cartId, productId, quantity) {
+  addProduct(cartId, productId, quantity, variantId = null) {
     return Cart.findByIdAndUpdate(
       cartId,
       {
         $push: {
-          products: { product: productId, quantity },
+          products: { product: productId, variant: variantId, quantity },
         },
       },
       { new: true }
-    ).populate('products.product', 'title price thumbnail stock');
+    ).populate('products.product', 'title price thumbnail stock variants');
   }
 
   /**
-   * Actualizar cantidad de producto en carrito
+   * Actualizar cantidad de producto (o variante) en carrito
    */
-  updateProductQuantity(cartId, productId, quantity) {
+  updateProductQuantity(cartId, productId, quantity, variantId = null) {
     return Cart.findOneAndUpdate(
-      { _id: cartId, 'products.product': productId },
+      { _id: cartId, products: { $elemMatch: { product: productId, variant: variantId } } },
       { $set: { 'products.$.quantity': quantity } },
       { new: true }
-    ).populate('products.product', 'title price thumbnail stock');
+    ).populate('products.product', 'title price thumbnail stock variants');
   }
 
   /**
-   * Remover producto del carrito
+   * Remover producto (o variante) del carrito
    */
-  removeProduct(cartId, productId) {
+  removeProduct(cartId, productId, variantId = null) {
     return Cart.findByIdAndUpdate(
       cartId,
-      { $pull: { products: { product: productId } } },
+      { $pull: { products: { product: productId, variant: variantId } } },
       { new: true }
-    ).populate('products.product', 'title price thumbnail stock');
+    ).populate('products.product', 'title price thumbnail stock variants');
   }
 }
 
@@ -0,0 +1,75 @@
+import Category from '../models/Category.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Categorías
+ */
+class CategoryDAO {
+  /**
+   * Crear una categoría
+   */
+  create(categoryData) {
+    return Category.create(categoryData);
+  }
+
+  /**
+   * Crear una categoría inicial si no existe (no pisa cambios de los admins)
+   */
+  upsertDefault({ slug, name }) {
+    return Category.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { slug, name } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Obtener todas las categorías
+   */
+  findAll() {
+    return Category.find().sort({ name: 1 });
+  }
+
+  /**
+   * Buscar categoría por slug
+   */
+  findBySlug(slug) {
+    return Category.findOne({ slug: String(slug).toLowerCase() });
+  }
+
+  /**
+   * Contar categorías
+   */
+  count() {
+    return Category.countDocuments();
+  }
+
+  /**
+   * Contar subcategorías directas
+   */
+  countChildren(parentId) {
+    return Category.countDocuments({ parent: parentId });
+  }
+
+  /**
+   * Actualizar categoría por slug
+   */
+  updateBySlug(slug, updateData) {
+    return Category.findOneAndUpdate(
+      { slug },
+      { $set: updateData },
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+  }
+
+  /**
+   * Eliminar categoría por slug
+   */
+  deleteBySlug(slug) {
+    return Category.findOneAndDelete({ slug });
+  }
+}
+
+export default new CategoryDAO();
@@ -0,0 +1,61 @@
+import LoginHistory from '../models/LoginHistory.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos del Historial de Login
+ */
+class LoginHistoryDAO {
+  /**
+   * Registrar un intento de login
+   */
+  create(entryData) {
+    return LoginHistory.create(entryData);
+  }
+
+  /**
+   * Listar los intentos de un usuario (más recientes primero)
+   */
+  findByUser(userId, limit = 20) {
+    return LoginHistory.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Buscar el último login exitoso de un usuario
+   */
+  findLastSuccess(userId) {
+    return LoginHistory.findOne({ user: userId, success: true }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Verificar si el usuario ya inició sesión con este dispositivo
+   */
+  existsSuccessFromDevice(userId, userAgent) {
+    return LoginHistory.exists({ user: userId, success: true, userAgent });
+  }
+
+  /**
+   * Contar intentos fallidos de un usuario desde una fecha
+   */
+  countFailuresSince(userId, since) {
+    return LoginHistory.countDocuments({
+      user: userId,
+      success: false,
+      createdAt: { $gt: since },
+    });
+  }
+
+  /**
+   * Buscar el historial completo de un usuario
+   */
+  findAllByUser(userId) {
+    return LoginHistory.find({ user: userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Eliminar el historial de un usuario
+   */
+  deleteByUser(userId) {
+    return LoginHistory.deleteMany({ user: userId });
+  }
+}
+
+export default new LoginHistoryDAO();
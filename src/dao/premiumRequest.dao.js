@@ -0,0 +1,73 @@
+import { isValidObjectId } from 'mongoose';
+
+import PremiumRequest from '../models/PremiumRequest.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Solicitudes Premium
+ */
+class PremiumRequestDAO {
+  /**
+   * Crear una nueva solicitud
+   */
+  create(requestData) {
+    return PremiumRequest.create(requestData);
+  }
+
+  /**
+   * Buscar solicitud por ID
+   */
+  findById(id) {
+    // Validar que el ID sea un ObjectId válido
+    if (!isValidObjectId(id)) {
+      return null;
+    }
+    return PremiumRequest.findById(id)
+      .populate('user', 'first_name last_name email role')
+      .populate('reviewedBy', 'first_name last_name email');
+  }
+
+  /**
+   * Buscar solicitud pendiente de un usuario
+   */
+  findPendingByUser(userId) {
+    return PremiumRequest.findOne({ user: userId, status: 'pending' });
+  }
+
+  /**
+   * Buscar solicitudes con filtro de estado y paginación
+   */
+  findAll({ status, page = 1, limit = 10 }) {
+    const query = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    return PremiumRequest.find(query)
+      .populate('user', 'first_name last_name email role')
+      .populate('reviewedBy', 'first_name last_name email')
+      .limit(limit)
+      .skip(skip)
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Contar solicitudes por estado
+   */
+  count({ status }) {
+    return PremiumRequest.countDocuments(status ? { status } : {});
+  }
+
+  /**
+   * Resolver una solicitud pendiente de forma atómica
+   * Retorna null si la solicitud ya fue revisada
+   */
+  resolvePending(id, reviewData) {
+    return PremiumRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { ...reviewData, reviewedAt: new Date() } },
+      { new: true }
+    )
+      .populate('user', 'first_name last_name email role')
+      .populate('reviewedBy', 'first_name last_name email');
+  }
+}
+
+export default new PremiumRequestDAO();
@@ -1,6 +1,34 @@
-import { isValidObjectId } from 'mongoose';
+import { isValidObjectId, Types } from 'mongoose';
 
-import Product from '../models/Product.model.js';
+import Product, { PRICE_RANGES } from '../models/Product.model.js';
+
+// Escapar caracteres especiales para usar texto del usuario dentro de una expresión regular
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Patrón que acepta la palabra con un error de tipeo (una letra de más, de menos o cambiada)
+ * al comienzo de cualquier palabra del texto: "iphne" encuentra "iPhone", "head" encuentra "headphones"
+ * Las palabras cortas solo se buscan como prefijo exacto
+ */
+const fuzzyPattern = (term) => {
+  const chars = [...term.slice(0, 30)].map(escapeRegex);
+  const variants = [chars.join('')];
+
+  if (chars.length >= 4) {
+    chars.forEach((_, i) => {
+      const before = chars.slice(0, i).join('');
+      variants.push(
+        `${before}.?${chars.slice(i + 1).join('')}`,
+        `${before}.${chars.slice(i).join('')}`
+      );
+    });
+  }
+
+  return `(^|\\W)(${variants.join('|')})`;
+};
+
+// Palabras de la búsqueda (como máximo 5) convertidas a patrones tolerantes
+const fuzzyPatterns = (search) => search.trim().split(/\s+/).slice(0, 5).map(fuzzyPattern);
 
 /**
  * 🗄️ DAO para operaciones de base de datos de Producto
@@ -25,44 +53,156 @@ class ProductDAO {
   }
 
   /**
-   * Buscar todos los productos con filtros y paginación
+   * Búsqueda facetada en una sola agregación: página de productos, total y conteos
+   * por categoría, rango de precio y disponibilidad.
+   * Cada facet ignora su propio filtro para que la UI siga mostrando las demás opciones.
+   * Con texto se ordena por relevancia salvo que se pida otro orden;
+   * fuzzy: true busca por prefijos tolerando errores de tipeo en lugar del índice de texto.
+   */
+  search({ page = 1, limit = 10, sort, order = 'desc', ...filters }) {
+    const sortField = sort || (filters.search ? 'relevance' : 'createdAt');
+    const facetMatches = this._facetMatches(filters);
+    const matchAllExcept = (facet) =>
+      Object.assign(
+        {},
+        ...Object.entries(facetMatches)
+          .filter(([name]) => name !== facet)
+          .map(([, match]) => match)
+      );
+    const allFilters = matchAllExcept(null);
+
+    return Product.aggregate([
+      // $text debe ir en la primera etapa
+      { $match: this._baseMatch(filters) },
+      ...(filters.search ? [{ $addFields: { relevance: this._relevance(filters) } }] : []),
+      {
+        $facet: {
+          products: [
+            { $match: allFilters },
+            { $sort: { [sortField]: order === 'desc' ? -1 : 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ],
+          total: [{ $match: allFilters }, { $count: 'count' }],
+          categories: [
+            { $match: matchAllExcept('category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          priceRanges: [
+            { $match: matchAllExcept('price') },
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_RANGES,
+                default: PRICE_RANGES.at(-1),
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          availability: [
+            { $match: matchAllExcept('availability') },
+            { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Filtros comunes a todos los facets (publicados, texto, vendedor y fecha de alta)
    */
-  findAll({ page = 1, limit = 10, category, search, sort = 'createdAt', order = 'desc' }) {
-    const query = { status: true };
+  _baseMatch({ search, fuzzy, owner, createdFrom, createdTo }) {
+    const match = { status: true };
 
-    if (category) {
-      query.category = category;
+    // Cada palabra debe aparecer (con tolerancia) en el título, la descripción o el código
+    if (search && fuzzy) {
+      match.$and = fuzzyPatterns(search).map((pattern) => ({
+        $or: ['title', 'description', 'code'].map((field) => ({
+          [field]: { $regex: pattern, $options: 'i' },
+        })),
+      }));
+    } else if (search) {
+      match.$text = { $search: search };
     }
 
-    if (search) {
-      query.$text = { $search: search };
+    if (owner) {
+      match.owner = new Types.ObjectId(owner);
     }
 
-    const sortOptions = { [sort]: order === 'desc' ? -1 : 1 };
-    const skip = (page - 1) * limit;
+    if (createdFrom || createdTo) {
+      match.createdAt = {
+        ...(createdFrom && { $gte: createdFrom }),
+        ...(createdTo && { $lte: createdTo }),
+      };
+    }
 
-    return Product.find(query)
-      .populate('owner', 'first_name last_name email')
-      .limit(limit)
-      .skip(skip)
-      .sort(sortOptions);
+    return match;
   }
 
   /**
-   * Contar productos con filtros
+   * Puntaje de relevancia: el de MongoDB para el índice de texto; en la búsqueda tolerante
+   * cada palabra suma 2 si aparece en el título y 1 si aparece en la descripción
    */
-  count({ category, search }) {
-    const query = { status: true };
+  _relevance({ search, fuzzy }) {
+    if (!fuzzy) {
+      return { $meta: 'textScore' };
+    }
 
-    if (category) {
-      query.category = category;
+    const matches = (field, pattern, weight) => ({
+      $cond: [{ $regexMatch: { input: field, regex: pattern, options: 'i' } }, weight, 0],
+    });
+    return {
+      $add: fuzzyPatterns(search).flatMap((pattern) => [
+        matches('$title', pattern, 2),
+        matches('$description', pattern, 1),
+      ]),
+    };
+  }
+
+  /**
+   * Filtros que tienen facet propio
+   * (categories: slugs de las categorías elegidas y sus subcategorías)
+   */
+  _facetMatches({ categories, minPrice, maxPrice, inStock }) {
+    const matches = {};
+
+    if (categories) {
+      matches.category = { category: { $in: categories } };
     }
 
-    if (search) {
-      query.$text = { $search: search };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      matches.price = {
+        price: {
+          ...(minPrice !== undefined && { $gte: minPrice }),
+          ...(maxPrice !== undefined && { $lte: maxPrice }),
+        },
+      };
     }
 
-    return Product.countDocuments(query);
+    if (inStock) {
+      matches.availability = { stock: { $gt: 0 } };
+    }
+
+    return matches;
+  }
+
+  /**
+   * Autocompletado: productos publicados con una palabra del título o el código
+   * que empieza con el texto
+   */
+  suggest(prefix, limit = 8) {
+    const escaped = escapeRegex(prefix.trim());
+    return Product.find({
+      status: true,
+      $or: [
+        { title: { $regex: `(^|\\W)${escaped}`, $options: 'i' } },
+        { code: { $regex: `^${escaped}`, $options: 'i' } },
+      ],
+    })
+      .select('title code category')
+      .sort({ title: 1 })
+      .limit(limit);
   }
 
   /**
@@ -74,6 +214,27 @@ class ProductDAO {
       .sort({ createdAt: -1 });
   }
 
+  /**
+   * Contar productos de una categoría (publicados o no)
+   */
+  countByCategory(category) {
+    return Product.countDocuments({ category });
+  }
+
+  /**
+   * Transferir todos los productos de un propietario a otro
+   */
+  transferOwnership(fromOwnerId, toOwnerId) {
+    return Product.updateMany({ owner: fromOwnerId }, { $set: { owner: toOwnerId } });
+  }
+
+  /**
+   * Despublicar todos los productos de un propietario
+   */
+  unpublishByOwner(ownerId) {
+    return Product.updateMany({ owner: ownerId, status: true }, { $set: { status: false } });
+  }
+
   /**
    * Actualizar producto por ID
    */
@@ -98,6 +259,17 @@ class ProductDAO {
     return Product.findByIdAndUpdate(id, { $inc: { stock: -quantity } }, { new: true });
   }
 
+  /**
+   * Descontar stock de una variante (y el total del producto) solo si alcanza
+   */
+  decrementVariantStock(id, variantId, quantity) {
+    return Product.findOneAndUpdate(
+      { _id: id, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+      { new: true }
+    );
+  }
+
   /**
    * Verificar disponibilidad de stock
    */
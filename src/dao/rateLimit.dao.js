@@ -0,0 +1,46 @@
+import RateLimit from '../models/RateLimit.model.js';
+
+/**
+ * 🗄️ DAO para los contadores de rate limiting
+ */
+class RateLimitDAO {
+  /**
+   * Sumar un hit al contador; si su ventana venció (o no existe) se reinicia de forma atómica
+   */
+  increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    return RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Restar un hit dentro de la ventana vigente
+   */
+  decrement(key) {
+    return RateLimit.updateOne(
+      { key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  /**
+   * Reiniciar el contador de un cliente
+   */
+  reset(key) {
+    return RateLimit.deleteOne({ key });
+  }
+}
+
+export default new RateLimitDAO();
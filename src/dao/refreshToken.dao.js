@@ -0,0 +1,61 @@
+import RefreshToken from '../models/RefreshToken.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Refresh Tokens
+ */
+class RefreshTokenDAO {
+  /**
+   * Registrar un nuevo refresh token
+   */
+  create(tokenData) {
+    return RefreshToken.create(tokenData);
+  }
+
+  /**
+   * Buscar token por su JWT ID
+   */
+  findByJti(jti) {
+    return RefreshToken.findOne({ jti });
+  }
+
+  /**
+   * Marcar un token como rotado de forma atómica
+   * Retorna null si el token ya había sido revocado (posible reutilización)
+   */
+  markRotated(jti) {
+    return RefreshToken.findOneAndUpdate(
+      { jti, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Registrar el token que reemplazó a otro
+   */
+  setReplacedBy(jti, replacedBy) {
+    return RefreshToken.updateOne({ jti }, { $set: { replacedBy } });
+  }
+
+  /**
+   * Revocar todos los tokens activos de una familia
+   */
+  revokeFamily(family, reason) {
+    return RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Revocar todos los tokens activos de un usuario
+   */
+  revokeAllByUser(userId, reason) {
+    return RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+}
+
+export default new RefreshTokenDAO();
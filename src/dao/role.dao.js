@@ -0,0 +1,76 @@
+import Role from '../models/Role.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Roles
+ */
+class RoleDAO {
+  /**
+   * Crear un rol
+   */
+  create(roleData) {
+    return Role.create(roleData);
+  }
+
+  /**
+   * Obtener todos los roles
+   */
+  findAll() {
+    return Role.find().sort({ isSystem: -1, name: 1 });
+  }
+
+  /**
+   * Buscar rol por nombre
+   */
+  findByName(name) {
+    return Role.findOne({ name: String(name).toLowerCase() });
+  }
+
+  /**
+   * Crear o sincronizar un rol del sistema
+   */
+  upsertSystemRole({ name, description, permissions, requestsPerWindow = null }) {
+    return Role.findOneAndUpdate(
+      { name },
+      {
+        $set: { description, permissions, isSystem: true },
+        // El límite inicial no pisa el configurado por un admin
+        $setOnInsert: { requestsPerWindow },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Actualizar un rol personalizado (los roles del sistema no se modifican)
+   */
+  updateCustomRole(name, updateData) {
+    return Role.findOneAndUpdate(
+      { name, isSystem: false },
+      { $set: updateData },
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+  }
+
+  /**
+   * Configurar el límite de solicitudes de un rol (también de los roles del sistema)
+   */
+  setRateLimit(name, requestsPerWindow) {
+    return Role.findOneAndUpdate(
+      { name },
+      { $set: { requestsPerWindow } },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Eliminar un rol personalizado
+   */
+  deleteCustomRole(name) {
+    return Role.findOneAndDelete({ name, isSystem: false });
+  }
+}
+
+export default new RoleDAO();
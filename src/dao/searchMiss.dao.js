@@ -0,0 +1,38 @@
+import { isValidObjectId } from 'mongoose';
+
+import SearchMiss from '../models/SearchMiss.model.js';
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Búsquedas sin resultados
+ */
+class SearchMissDAO {
+  /**
+   * Registrar una búsqueda sin resultados (suma una vez si ya existía)
+   */
+  record(query) {
+    return SearchMiss.findOneAndUpdate(
+      { query },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Listar las búsquedas más repetidas
+   */
+  findTop(limit = 20) {
+    return SearchMiss.find().sort({ count: -1, lastSearchedAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Eliminar una búsqueda (cuando el catálogo ya se corrigió)
+   */
+  deleteById(id) {
+    if (!isValidObjectId(id)) {
+      return null;
+    }
+    return SearchMiss.findByIdAndDelete(id);
+  }
+}
+
+export default new SearchMissDAO();
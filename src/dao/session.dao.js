@@ -0,0 +1,77 @@
+import { isValidObjectId } from 'mongoose';
+
+import Session from '../models/Session.model.js';
+
+// Filtro de sesiones vigentes (no revocadas ni expiradas)
+const activeFilter = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * 🗄️ DAO para operaciones de base de datos de Sesiones
+ */
+class SessionDAO {
+  /**
+   * Abrir una nueva sesión
+   */
+  create(sessionData) {
+    return Session.create(sessionData);
+  }
+
+  /**
+   * Buscar sesión vigente por ID
+   */
+  findActiveById(id) {
+    // Familias anteriores a las sesiones no son ObjectId
+    if (!isValidObjectId(id)) {
+      return null;
+    }
+    return Session.findOne({ _id: id, ...activeFilter() });
+  }
+
+  /**
+   * Listar sesiones vigentes de un usuario (más recientes primero)
+   */
+  findActiveByUser(userId) {
+    return Session.find({ user: userId, ...activeFilter() }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Registrar actividad de la sesión (y datos del dispositivo si se conocen)
+   */
+  touch(id, { userAgent, ip, expiresAt } = {}) {
+    const update = { lastSeenAt: new Date() };
+    if (userAgent) update.userAgent = userAgent;
+    if (ip) update.ip = ip;
+    if (expiresAt) update.expiresAt = expiresAt;
+
+    return Session.updateOne({ _id: id }, { $set: update });
+  }
+
+  /**
+   * Revocar una sesión
+   */
+  revoke(id, reason) {
+    if (!isValidObjectId(id)) {
+      return null;
+    }
+    return Session.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revocar todas las sesiones activas de un usuario
+   */
+  revokeAllByUser(userId, reason) {
+    return Session.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+}
+
+export default new SessionDAO();
@@ -1,4 +1,4 @@
-import User from '../models/User.model.js';
+import User, { PASSWORD_HISTORY_LIMIT } from '../models/User.model.js';
 
 /**
  * 🗄️ DAO para operaciones de base de datos de Usuario
@@ -41,10 +41,284 @@ class UserDAO {
   }
 
   /**
-   * Eliminar usuario por ID
+   * Cambiar el rol solo si el usuario conserva el rol esperado (invalida los access tokens)
+   * Retorna null si el usuario no existe o ya tiene otro rol
    */
-  deleteById(id) {
-    return User.findByIdAndDelete(id);
+  changeRole(id, currentRole, newRole) {
+    return User.findOneAndUpdate(
+      { _id: id, role: currentRole },
+      { $set: { role: newRole }, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Incrementar versión de tokens (invalida los access tokens emitidos)
+   */
+  incrementTokenVersion(id) {
+    return User.findByIdAndUpdate(id, { $inc: { tokenVersion: 1 } }, { new: true });
+  }
+
+  /**
+   * Guardar nueva contraseña (ya hasheada), limpiar el token de reset e invalidar access tokens
+   * El hash anterior se agrega al historial: junto con la contraseña actual suman
+   * las últimas PASSWORD_HISTORY_LIMIT contraseñas que no pueden reutilizarse
+   */
+  updatePassword(id, hashedPassword, previousHash) {
+    const update = {
+      $set: { password: hashedPassword, passwordChangedAt: new Date() },
+      $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+      $inc: { tokenVersion: 1 },
+    };
+
+    if (PASSWORD_HISTORY_LIMIT <= 1) {
+      // Sin historial (solo cuenta la actual): descartar los hashes guardados con un límite anterior
+      update.$set.passwordHistory = [];
+    } else if (previousHash) {
+      update.$push = {
+        passwordHistory: { $each: [previousHash], $slice: -(PASSWORD_HISTORY_LIMIT - 1) },
+      };
+    }
+
+    return User.findByIdAndUpdate(id, update, { new: true });
+  }
+
+  /**
+   * Guardar token de recuperación de contraseña
+   */
+  setPasswordResetToken(id, token, expires) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { passwordResetToken: token, passwordResetExpires: expires } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Guardar el hash del token de enlace mágico (reemplaza cualquier enlace anterior)
+   */
+  setMagicLinkToken(id, tokenHash, expires) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { magicLinkToken: tokenHash, magicLinkExpires: expires } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Consumir token de enlace mágico vigente (atómico: solo puede usarse una vez)
+   */
+  consumeMagicLinkToken(tokenHash) {
+    return User.findOneAndUpdate(
+      { magicLinkToken: tokenHash, magicLinkExpires: { $gt: Date.now() } },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Marcar como verificadas las cuentas creadas antes de la verificación de email
+   * (no tienen el campo guardado; las nuevas lo guardan en false al registrarse)
+   */
+  verifyLegacyEmails() {
+    return User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+  }
+
+  /**
+   * Desbloquear cuenta (reiniciar intentos de login fallidos)
+   */
+  unlockById(id) {
+    return User.findByIdAndUpdate(
+      id,
+      { $unset: { loginAttempts: 1, lockUntil: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Activar o desactivar la cuenta (al desactivar se invalidan los access tokens)
+   */
+  setActive(id, isActive) {
+    const update = { $set: { isActive } };
+    if (!isActive) {
+      update.$inc = { tokenVersion: 1 };
+    }
+    return User.findByIdAndUpdate(id, update, { new: true });
+  }
+
+  /**
+   * Suspender cuenta e invalidar los access tokens emitidos
+   */
+  setBan(id, ban) {
+    return User.findByIdAndUpdate(id, { $set: { ban }, $inc: { tokenVersion: 1 } }, { new: true });
+  }
+
+  /**
+   * Levantar la suspensión de la cuenta
+   */
+  clearBan(id) {
+    return User.findByIdAndUpdate(id, { $unset: { ban: 1 } }, { new: true });
+  }
+
+  /**
+   * Baja lógica: reemplaza los datos personales, elimina credenciales e invalida los access tokens
+   */
+  anonymize(id, anonymousData) {
+    return User.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          ...anonymousData,
+          role: 'user',
+          isActive: false,
+          emailVerified: false,
+          emailVerifiedAt: null,
+          cart: null,
+          passwordHistory: [],
+          identities: [],
+          twoFactor: {},
+          deletedAt: new Date(),
+          erasureScheduledFor: null,
+        },
+        $unset: {
+          age: 1,
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          magicLinkToken: 1,
+          magicLinkExpires: 1,
+          loginAttempts: 1,
+          lockUntil: 1,
+          ban: 1,
+        },
+        $inc: { tokenVersion: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Programar la eliminación de la cuenta solicitada por el usuario
+   */
+  scheduleErasure(id, scheduledFor) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { erasureRequestedAt: new Date(), erasureScheduledFor: scheduledFor } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Cancelar la eliminación programada
+   */
+  cancelErasure(id) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { erasureRequestedAt: null, erasureScheduledFor: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Tomar una eliminación vencida de forma atómica (cada cuenta la procesa una sola instancia)
+   */
+  claimDueErasure() {
+    return User.findOneAndUpdate(
+      { erasureScheduledFor: { $lte: new Date() }, deletedAt: null },
+      { $set: { erasureScheduledFor: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Guardar secreto 2FA pendiente de confirmación
+   */
+  setTwoFactorPendingSecret(id, secret) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { 'twoFactor.pendingSecret': secret } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Activar 2FA con el secreto confirmado y los hashes de códigos de respaldo
+   */
+  enableTwoFactor(id, secret, backupCodeHashes) {
+    return User.findOneAndUpdate(
+      { _id: id, 'twoFactor.pendingSecret': secret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': secret,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.backupCodes': backupCodeHashes,
+          'twoFactor.lastUsedStep': null,
+          'twoFactor.enabledAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Desactivar 2FA y eliminar secretos
+   */
+  disableTwoFactor(id) {
+    return User.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          'twoFactor.enabled': false,
+          'twoFactor.secret': null,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.backupCodes': [],
+          'twoFactor.lastUsedStep': null,
+          'twoFactor.enabledAt': null,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Reemplazar los códigos de respaldo
+   */
+  setBackupCodes(id, backupCodeHashes) {
+    return User.findByIdAndUpdate(
+      id,
+      { $set: { 'twoFactor.backupCodes': backupCodeHashes } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Consumir un código de respaldo de forma atómica
+   * Retorna null si el código no existe o ya fue usado
+   */
+  consumeBackupCode(id, backupCodeHash) {
+    return User.findOneAndUpdate(
+      { _id: id, 'twoFactor.backupCodes': backupCodeHash },
+      { $pull: { 'twoFactor.backupCodes': backupCodeHash } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Registrar el intervalo TOTP usado (solo si es posterior al último)
+   * Retorna null si el código ya había sido usado
+   */
+  markTotpStepUsed(id, step) {
+    return User.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+      { new: true }
+    );
   }
 
   /**
@@ -53,7 +327,9 @@ class UserDAO {
   findAll(page = 1, limit = 10) {
     const skip = (page - 1) * limit;
     return User.find()
-      .select('-password -passwordResetToken -passwordResetExpires')
+      .select(
+        '-password -passwordHistory -passwordResetToken -passwordResetExpires -magicLinkToken -magicLinkExpires -twoFactor'
+      )
       .limit(limit)
       .skip(skip)
       .sort({ createdAt: -1 });
@@ -65,6 +341,13 @@ class UserDAO {
   count() {
     return User.countDocuments();
   }
+
+  /**
+   * Contar usuarios con un rol
+   */
+  countByRole(role) {
+    return User.countDocuments({ role });
+  }
 }
 
 export default new UserDAO();
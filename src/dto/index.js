@@ -1,3 +1,5 @@
+import roleService from '../services/role.service.js';
+
 /**
  * 📦 DTO para información pública del usuario
  * Excluye información sensible como contraseñas y tokens
@@ -8,10 +10,18 @@ export class UserDTO {
     this.firstName = user.first_name;
     this.lastName = user.last_name;
     this.email = user.email;
+    this.emailVerified = user.emailVerified;
     this.age = user.age;
     this.role = user.role;
     this.isActive = user.isActive;
+    this.twoFactorEnabled = user.twoFactor?.enabled || false;
     this.lastLogin = user.lastLogin;
+    this.lockedUntil = user.lockUntil > Date.now() ? user.lockUntil : null;
+    this.ban = user.isBanned?.()
+      ? { reason: user.ban.reason, expiresAt: user.ban.expiresAt }
+      : null;
+    this.deletedAt = user.deletedAt || null;
+    this.erasureScheduledFor = user.erasureScheduledFor || null;
     this.createdAt = user.createdAt;
     this.updatedAt = user.updatedAt;
   }
@@ -36,55 +46,21 @@ export class UserDTO {
       lastName: user.last_name,
       fullName: `${user.first_name} ${user.last_name}`,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
       isActive: user.isActive,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
       lastLogin: user.lastLogin,
+      erasureScheduledFor: user.erasureScheduledFor || null,
       permissions: UserDTO.getRolePermissions(user.role),
     };
   }
 
   /**
-   * Obtener permisos basados en el rol
+   * Obtener permisos basados en el rol (definidos en la colección Role)
    */
   static getRolePermissions(role) {
-    const permissions = new Map([
-      [
-        'user',
-        [
-          'read:own-profile',
-          'update:own-profile',
-          'use:cart',
-          'read:products',
-          'purchase:products',
-        ],
-      ],
-      [
-        'premium',
-        [
-          'read:own-profile',
-          'update:own-profile',
-          'create:products',
-          'update:own-products',
-          'delete:own-products',
-          'read:products',
-        ],
-      ],
-      [
-        'admin',
-        [
-          'read:all-profiles',
-          'update:all-profiles',
-          'delete:users',
-          'create:products',
-          'update:all-products',
-          'delete:all-products',
-          'read:products',
-          'manage:system',
-        ],
-      ],
-    ]);
-
-    return permissions.get(role) || [];
+    return roleService.getPermissions(role);
   }
 }
 
@@ -109,6 +85,11 @@ export class ProductDTO {
           email: product.owner.email,
         }
       : null;
+    // Matriz de variantes y disponibilidad agregada
+    this.options = (product.options || []).map(({ name, values }) => ({ name, values }));
+    this.variants = (product.variants || []).map((variant) => toVariantSummary(product, variant));
+    this.availableStock = availableStock(product);
+    this.inStock = this.availableStock > 0;
     this.createdAt = product.createdAt;
     this.updatedAt = product.updatedAt;
   }
@@ -129,10 +110,38 @@ export class ProductDTO {
       category: product.category,
       thumbnail: product.thumbnails?.[0] || null,
       status: product.status,
+      variantCount: product.variants?.length || 0,
+      availableStock: availableStock(product),
+    };
+  }
+
+  // Sugerencia de autocompletado
+  static suggestion(product) {
+    return {
+      id: product._id,
+      title: product.title,
+      code: product.code,
+      category: product.category,
     };
   }
 }
 
+// Stock disponible: con variantes es la suma de todas ellas
+const availableStock = (product) =>
+  product.variants?.length
+    ? product.variants.reduce((total, variant) => total + variant.stock, 0)
+    : product.stock;
+
+// Variante con su precio efectivo (hereda el del producto si no tiene propio)
+const toVariantSummary = (product, variant) => ({
+  id: variant._id,
+  sku: variant.sku,
+  options: variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options,
+  price: variant.price ?? product.price,
+  stock: variant.stock,
+  inStock: variant.stock > 0,
+});
+
 /**
  * 📦 DTO para información de carritos
  */
@@ -146,18 +155,7 @@ export class CartDTO {
           email: cart.user.email,
         }
       : null;
-    this.products =
-      cart.products?.map((item) => ({
-        product: {
-          id: item.product._id,
-          title: item.product.title,
-          price: item.product.price,
-          thumbnail: item.product.thumbnail,
-          stock: item.product.stock,
-        },
-        quantity: item.quantity,
-        subtotal: item.product.price * item.quantity,
-      })) || [];
+    this.products = cart.products?.map((item) => CartDTO._line(item)) || [];
     this.total = this.products.reduce((sum, item) => sum + item.subtotal, 0);
     this.totalItems = this.products.reduce((sum, item) => sum + item.quantity, 0);
     this.status = cart.status;
@@ -168,4 +166,190 @@ export class CartDTO {
   static fromCart(cart) {
     return new CartDTO(cart);
   }
+
+  // Línea del carrito; si referencia una variante se cobra el precio de esa variante
+  static _line(item) {
+    const variant = item.variant
+      ? item.product.variants?.find((candidate) => candidate._id.equals(item.variant))
+      : null;
+    const price = variant ? (variant.price ?? item.product.price) : item.product.price;
+
+    return {
+      product: {
+        id: item.product._id,
+        title: item.product.title,
+        price: item.product.price,
+        thumbnail: item.product.thumbnail,
+        stock: item.product.stock,
+      },
+      variant: variant ? toVariantSummary(item.product, variant) : null,
+      quantity: item.quantity,
+      subtotal: price * item.quantity,
+    };
+  }
+}
+
+// Resumen de un usuario referenciado (populado o solo ID)
+const toUserSummary = (user) => {
+  if (!user) {
+    return null;
+  }
+  // Referencia sin popular: solo el ID
+  if (!user.email) {
+    return { id: user };
+  }
+  return {
+    id: user._id,
+    name: `${user.first_name} ${user.last_name}`,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+/**
+ * 📦 DTO para solicitudes de upgrade a premium
+ */
+export class PremiumRequestDTO {
+  constructor(request) {
+    this.id = request._id;
+    this.user = PremiumRequestDTO._userSummary(request.user);
+    this.businessName = request.businessName;
+    this.taxId = request.taxId;
+    this.businessDescription = request.businessDescription;
+    this.website = request.website;
+    this.phone = request.phone;
+    this.status = request.status;
+    this.reviewedBy = PremiumRequestDTO._userSummary(request.reviewedBy);
+    this.reviewedAt = request.reviewedAt;
+    this.rejectionReason = request.rejectionReason;
+    this.createdAt = request.createdAt;
+    this.updatedAt = request.updatedAt;
+  }
+
+  static fromRequest(request) {
+    return new PremiumRequestDTO(request);
+  }
+
+  static _userSummary(user) {
+    return toUserSummary(user);
+  }
+}
+
+/**
+ * 📦 DTO para sesiones activas (dispositivos)
+ */
+export class SessionDTO {
+  constructor(session, currentSessionId) {
+    this.id = session._id;
+    this.userAgent = session.userAgent;
+    this.ip = session.ip;
+    this.createdAt = session.createdAt;
+    this.lastSeenAt = session.lastSeenAt;
+    this.current = session.id === currentSessionId;
+  }
+
+  static fromSession(session, currentSessionId) {
+    return new SessionDTO(session, currentSessionId);
+  }
+}
+
+/**
+ * 📦 DTO para el historial de login
+ */
+export class LoginHistoryDTO {
+  constructor(entry) {
+    this.id = entry._id;
+    this.success = entry.success;
+    this.method = entry.method;
+    this.failureReason = entry.failureReason;
+    this.ip = entry.ip;
+    this.userAgent = entry.userAgent;
+    this.suspicious = entry.suspicious;
+    this.suspiciousReasons = entry.suspiciousReasons;
+    this.createdAt = entry.createdAt;
+  }
+
+  static fromEntry(entry) {
+    return new LoginHistoryDTO(entry);
+  }
+}
+
+/**
+ * 📦 DTO para API keys (nunca incluye el hash ni el valor de la key)
+ */
+export class ApiKeyDTO {
+  constructor(apiKey) {
+    this.id = apiKey._id;
+    this.name = apiKey.name;
+    this.prefix = apiKey.prefix;
+    this.owner = toUserSummary(apiKey.owner);
+    this.scopes = apiKey.scopes;
+    this.expiresAt = apiKey.expiresAt;
+    this.lastUsedAt = apiKey.lastUsedAt;
+    this.lastUsedIp = apiKey.lastUsedIp;
+    this.usageCount = apiKey.usageCount;
+    this.revokedAt = apiKey.revokedAt;
+    this.active = apiKey.isActive();
+    this.createdAt = apiKey.createdAt;
+  }
+
+  static fromApiKey(apiKey) {
+    return new ApiKeyDTO(apiKey);
+  }
+}
+
+/**
+ * 📦 DTO para roles y sus permisos
+ */
+export class RoleDTO {
+  constructor(role) {
+    this.id = role._id;
+    this.name = role.name;
+    this.description = role.description;
+    this.permissions = role.permissions;
+    this.requestsPerWindow = role.requestsPerWindow ?? null;
+    this.isSystem = role.isSystem;
+    this.createdAt = role.createdAt;
+    this.updatedAt = role.updatedAt;
+  }
+
+  static fromRole(role) {
+    return new RoleDTO(role);
+  }
+}
+
+/**
+ * 📦 DTO para categorías (el padre se expone por slug)
+ */
+export class CategoryDTO {
+  constructor(category, parentSlug = null) {
+    this.id = category._id;
+    this.slug = category.slug;
+    this.name = category.name;
+    this.description = category.description;
+    this.parent = parentSlug;
+    this.createdAt = category.createdAt;
+    this.updatedAt = category.updatedAt;
+  }
+
+  static fromCategory(category, parentSlug) {
+    return new CategoryDTO(category, parentSlug);
+  }
+}
+
+/**
+ * 🔎 DTO para Búsquedas sin resultados
+ */
+export class SearchMissDTO {
+  constructor(miss) {
+    this.id = miss._id;
+    this.query = miss.query;
+    this.count = miss.count;
+    this.firstSearchedAt = miss.createdAt;
+    this.lastSearchedAt = miss.lastSearchedAt;
+  }
+
+  static fromSearchMiss(miss) {
+    return new SearchMissDTO(miss);
+  }
 }
@@ -0,0 +1,45 @@
+import apiKeyService from '../services/apiKey.service.js';
+import { logger } from '../utils/logger.util.js';
+
+import { throwForbidden } from './error.middleware.js';
+
+/**
+ * 🔑 Middleware de autenticación por API key (header X-API-Key)
+ * Se aplica junto a authenticateJWT en las rutas habilitadas para integraciones,
+ * indicando el scope que requiere la ruta. Sin header, delega en authenticateJWT.
+ */
+export const authenticateApiKey = (requiredScope) => async (req, res, next) => {
+  const key = req.get('X-API-Key');
+  if (!key) {
+    return next();
+  }
+
+  const result = await apiKeyService.authenticate(key, req.ip);
+  if (!result) {
+    logger.security('🚫 API key inválida, expirada o revocada', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      message: 'API key inválida, expirada o revocada',
+    });
+  }
+
+  if (!result.scopes.includes(requiredScope)) {
+    logger.security('🚨 API key sin el scope requerido', {
+      apiKeyId: result.apiKey._id.toString(),
+      requiredScope,
+      path: req.path,
+      method: req.method,
+    });
+    return throwForbidden(`La API key no tiene el permiso requerido: ${requiredScope}`);
+  }
+
+  req.user = result.user;
+  req.apiKey = { id: result.apiKey._id, name: result.apiKey.name, scopes: result.scopes };
+  req.isApiKeyAuth = true;
+  logger.auth(`✅ Request autenticada via API key "${result.apiKey.name}" (${result.user.email})`);
+  next();
+};
@@ -1,3 +1,5 @@
+import roleService from '../services/role.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
 import { logger } from '../utils/logger.util.js';
 
 import { throwForbidden, throwNotFound, throwUnauthorized } from './error.middleware.js';
@@ -45,25 +47,28 @@ export const requireGuest = (req, res, next) => {
 // ========================================
 
 /**
- * Verificar rol específico
+ * Verificar que el rol del usuario tenga alguno de los permisos indicados
+ * Los permisos de cada rol se definen en la colección Role
  */
-export const requireRole =
-  (...allowedRoles) =>
-  (req, res, next) => {
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
     if (!req.user) {
       return throwUnauthorized('Debes estar autenticado');
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      logger.security('🚨 Acceso denegado por rol insuficiente', {
+    await roleService.refreshIfStale();
+
+    if (!roleService.hasPermission(req.user.role, ...permissions)) {
+      logger.security('🚨 Acceso denegado por permisos insuficientes', {
         user: req.user.email,
         userRole: req.user.role,
-        requiredRoles: allowedRoles,
+        requiredPermissions: permissions,
         path: req.path,
         method: req.method,
         ip: req.ip,
       });
-      return throwForbidden(`Acceso denegado. Roles requeridos: ${allowedRoles.join(', ')}`);
+      return throwForbidden(`Acceso denegado. Permiso requerido: ${permissions.join(' o ')}`);
     }
 
     next();
@@ -86,83 +91,99 @@ export const requireActiveAccount = (req, res, next) => {
     return throwForbidden('Tu cuenta está inactiva. Contacta al administrador');
   }
 
+  if (req.user.isBanned()) {
+    logger.warning('🚫 Intento de acceso con cuenta suspendida', {
+      user: req.user.email,
+      path: req.path,
+      method: req.method,
+    });
+    return throwForbidden(req.user.getBanMessage());
+  }
+
   next();
 };
 
-// ========================================
-// 🎯 REGLAS DE NEGOCIO ESPECÍFICAS
-// ========================================
-
 /**
- * Admins y premium pueden modificar productos
+ * Verificar que el email del usuario esté confirmado
  */
-export const requireAdminOrPremiumForProducts = (req, res, next) => {
-  const { method } = req;
-
-  // Solo verificar para operaciones de modificación
-  if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
-    if (!req.user) {
-      return throwUnauthorized('Debes estar autenticado');
-    }
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return throwUnauthorized('Debes estar autenticado');
+  }
 
-    if (!['admin', 'premium'].includes(req.user.role)) {
-      logger.security('🚨 Intento de modificación de productos sin permisos', {
-        user: req.user.email,
-        userRole: req.user.role,
-        method,
-        path: req.path,
-        ip: req.ip,
-      });
-      return throwForbidden(
-        'Solo los administradores y usuarios premium pueden crear, actualizar o eliminar productos'
-      );
-    }
+  if (!req.user.emailVerified) {
+    logger.warning('✉️ Intento de operación con email sin verificar', {
+      user: req.user.email,
+      path: req.path,
+      method: req.method,
+    });
+    return throwForbidden('Debes verificar tu email antes de realizar compras');
   }
 
   next();
 };
 
 /**
- * Solo usuarios (no admins ni premium) pueden usar carritos
+ * Exigir 2FA activado para los roles donde es obligatorio (TWO_FACTOR_REQUIRED_ROLES)
  */
-export const requireUserForCart = (req, res, next) => {
+export const requireTwoFactorEnrollment = (req, res, next) => {
   if (!req.user) {
-    return throwUnauthorized('Debes estar autenticado para gestionar tu carrito');
+    return throwUnauthorized('Debes estar autenticado');
   }
 
-  if (req.user.role === 'admin') {
-    logger.warning('⚠️ Admin intentando usar funciones de carrito', {
+  // Las API keys solo las crean usuarios que ya cumplen el requisito de 2FA
+  if (req.isApiKeyAuth) {
+    return next();
+  }
+
+  if (twoFactorService.isRequiredForRole(req.user.role) && !req.user.twoFactor?.enabled) {
+    logger.security('🔐 Operación bloqueada: 2FA obligatorio no activado', {
       user: req.user.email,
+      userRole: req.user.role,
       path: req.path,
       method: req.method,
     });
-    return throwForbidden('Los administradores no pueden usar carritos de compra');
+    return throwForbidden(
+      'Debes activar la autenticación de dos factores para realizar esta operación'
+    );
   }
 
-  if (req.user.role === 'premium') {
-    logger.warning('⚠️ Usuario premium intentando usar funciones de carrito', {
-      user: req.user.email,
+  next();
+};
+
+/**
+ * Bloquear acciones sensibles durante una suplantación (cambio de contraseña, compras, etc.)
+ */
+export const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    logger.security('🎭 Acción sensible bloqueada durante suplantación', {
+      impersonator: req.impersonator.email,
+      user: req.user?.email,
       path: req.path,
       method: req.method,
     });
-    return throwForbidden('Los usuarios premium no pueden usar carritos de compra');
+    return throwForbidden('Esta acción no está permitida durante una suplantación');
   }
 
   next();
 };
 
+// ========================================
+// 🎯 REGLAS DE NEGOCIO ESPECÍFICAS
+// ========================================
+
 /**
- * Verificar propiedad de recurso (para usuarios premium)
+ * Verificar propiedad de recurso
+ * Con el permiso `allPermission` (ej: update:all-products) se accede a recursos de cualquier dueño
  */
 export const requireOwnership =
-  (resourceType = 'product') =>
+  (resourceType = 'product', allPermission = null) =>
   async (req, res, next) => {
     if (!req.user) {
       return throwUnauthorized('Debes estar autenticado');
     }
 
-    // Admin siempre tiene acceso
-    if (req.user.role === 'admin') {
+    if (allPermission && roleService.hasPermission(req.user.role, allPermission)) {
       return next();
     }
 
@@ -178,8 +199,8 @@ export const requireOwnership =
           return throwNotFound('Producto no encontrado');
         }
 
-        // Verificar que el usuario premium sea propietario
-        if (req.user.role === 'premium' && resource.owner.toString() !== req.user._id.toString()) {
+        // Verificar que el usuario sea propietario
+        if (resource.owner.toString() !== req.user._id.toString()) {
           logger.security('🚨 Intento de acceso a producto ajeno', {
             user: req.user.email,
             productId: resourceId,
@@ -204,29 +225,38 @@ export const requireOwnership =
 // ========================================
 
 export const authRules = {
-  // Solo administradores
-  adminOnly: [requireAuth, requireActiveAccount, requireRole('admin')],
-
-  // Administradores y premium
-  adminOrPremium: [requireAuth, requireActiveAccount, requireRole('admin', 'premium')],
+  // Usuarios con alguno de los permisos indicados (ej: authRules.can('delete:users'))
+  can: (...permissions) => [
+    requireAuth,
+    requireActiveAccount,
+    requirePermission(...permissions),
+    requireTwoFactorEnrollment,
+  ],
 
   // Cualquier usuario autenticado
   authenticated: [requireAuth, requireActiveAccount],
 
-  // Solo usuarios (no admins) para carritos
-  userOnly: [requireAuth, requireActiveAccount, requireUserForCart],
-
-  // Verificar propiedad para premium
-  ownership: (resourceType) => [requireAuth, requireActiveAccount, requireOwnership(resourceType)],
+  // Solo el titular de la cuenta (credenciales, 2FA, sesiones): nunca en suplantación
+  accountOwner: [requireAuth, requireActiveAccount, forbidImpersonation],
 
-  // Reglas específicas para productos
-  products: {
-    read: [], // Lectura pública
-    modify: [requireAuth, requireActiveAccount, requireAdminOrPremiumForProducts],
-  },
+  // Verificar propiedad (con el permiso indicado se accede a recursos de cualquier dueño)
+  ownership: (resourceType, allPermission) => [
+    requireAuth,
+    requireActiveAccount,
+    requireOwnership(resourceType, allPermission),
+  ],
 
   // Reglas para carritos
-  carts: [requireAuth, requireActiveAccount, requireUserForCart],
+  carts: [requireAuth, requireActiveAccount, requirePermission('use:cart')],
+
+  // Compras: además requiere email verificado
+  purchase: [
+    requireAuth,
+    requireActiveAccount,
+    requirePermission('purchase:products'),
+    requireVerifiedEmail,
+    forbidImpersonation,
+  ],
 
   // Solo invitados (no autenticados)
   guestOnly: [requireGuest],
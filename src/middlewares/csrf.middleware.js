@@ -0,0 +1,63 @@
+import { randomBytes, timingSafeEqual } from 'crypto';
+
+import createError from 'http-errors';
+
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * 🛡️ Protección CSRF (synchronizer token) para peticiones autenticadas por cookie de sesión
+ * El navegador envía la cookie de sesión también en peticiones cross-site; el token vive en
+ * la sesión y el cliente debe reenviarlo en el header X-CSRF-Token (o en el campo _csrf).
+ * Las peticiones con JWT o API key no usan cookies y quedan fuera de esta verificación.
+ */
+
+// Métodos que no modifican estado
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Obtener el token CSRF de la sesión, generándolo la primera vez
+export const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+// Se invoca desde authenticateJWT cuando la petición se autenticó por sesión
+export const verifyCsrfToken = (req, res, next) => {
+  if (req.isJWTAuth !== false || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!_tokensMatch(req.session?.csrfToken, req.get('X-CSRF-Token') || req.body?._csrf)) {
+    logger.security('🚨 Petición con sesión sin token CSRF válido', {
+      user: req.user?.email,
+      path: req.originalUrl,
+      method: req.method,
+      ip: req.ip,
+      origin: req.get('Origin'),
+    });
+    return next(
+      createError(403, 'Token CSRF inválido o ausente. Obtén uno en GET /auth/csrf-token', {
+        code: 'CSRF_TOKEN_INVALID',
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * 🔧 Funciones privadas
+ */
+const _tokensMatch = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+};
@@ -27,6 +27,10 @@ export const throwNotFound = (resource = 'Recurso') => {
   throw createError(404, `${resource} no encontrado`);
 };
 
+export const throwConflict = (message = 'Conflicto con el estado actual del recurso') => {
+  throw createError(409, message);
+};
+
 export const throwTooManyRequests = (message = 'Demasiadas solicitudes') => {
   throw createError(429, message);
 };
@@ -105,6 +109,11 @@ const _createErrorResponse = (err, req, statusCode, message) => {
     type: _getErrorType(statusCode),
   };
 
+  // Código específico del error cuando es público (ej: CSRF_TOKEN_INVALID)
+  if (err.expose && err.code) {
+    errorResponse.code = err.code;
+  }
+
   // En desarrollo, incluir más información para debugging
   if (!isProduction) {
     errorResponse.stack = err.stack;
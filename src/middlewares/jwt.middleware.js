@@ -1,19 +1,26 @@
 import User from '../models/User.model.js';
+import roleService from '../services/role.service.js';
+import sessionService from '../services/session.service.js';
 import { jwtService } from '../utils/jwt.util.js';
 import { logger } from '../utils/logger.util.js';
 
+import { verifyCsrfToken } from './csrf.middleware.js';
+
 /**
  * 🔐 Middleware de autenticación JWT - Refactorizado
  * Permite autenticación tanto por JWT como por sesión (para compatibilidad)
  */
 export const authenticateJWT = async (req, res, next) => {
+  // Ya autenticado por API key (authenticateApiKey)
+  if (req.isApiKeyAuth) {
+    return next();
+  }
+
   try {
     // Intentar autenticación JWT primero
     const jwtAuthResult = await _tryJWTAuthentication(req);
     if (jwtAuthResult.success) {
-      req.user = jwtAuthResult.user;
-      req.isJWTAuth = true;
-      logger.auth(`✅ Usuario autenticado via JWT: ${jwtAuthResult.user.email}`);
+      _applyJWTAuthentication(req, res, jwtAuthResult);
       return next();
     }
 
@@ -21,9 +28,11 @@ export const authenticateJWT = async (req, res, next) => {
     const sessionAuthResult = _trySessionAuthentication(req);
     if (sessionAuthResult.success) {
       req.user = sessionAuthResult.user;
+      req.authSessionId = sessionAuthResult.sessionId;
       req.isJWTAuth = false;
       logger.auth(`✅ Usuario autenticado via Sesión: ${sessionAuthResult.user.email}`);
-      return next();
+      // La cookie de sesión viaja también en peticiones cross-site: exigir token CSRF
+      return verifyCsrfToken(req, res, next);
     }
 
     // No hay autenticación válida
@@ -59,15 +68,84 @@ const _tryJWTAuthentication = async (req) => {
       return { success: false };
     }
 
-    return { success: true, user };
+    // Rechazar tokens emitidos antes de un logout, reset de contraseña, cambio de rol, etc.
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      logger.auth(`🚫 Access token revocado para: ${user.email}`);
+      return { success: false, error: 'Token revocado' };
+    }
+
+    // Rechazar tokens de sesiones cerradas desde otro dispositivo
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid, user._id))) {
+      logger.auth(`🚫 Sesión revocada para: ${user.email}`);
+      return { success: false, error: 'Sesión revocada' };
+    }
+
+    // Token de suplantación: el admin que actúa debe seguir habilitado
+    if (decoded.act) {
+      return _tryImpersonation(decoded.act, user);
+    }
+
+    return { success: true, user, sessionId: decoded.sid };
   } catch (jwtError) {
     return { success: false, error: jwtError.message };
   }
 };
 
+const _applyJWTAuthentication = (req, res, { user, sessionId, impersonator }) => {
+  req.user = user;
+  req.authSessionId = sessionId;
+  req.isJWTAuth = true;
+  logger.auth(`✅ Usuario autenticado via JWT: ${user.email}`);
+
+  // Auditar una sola vez aunque el middleware se aplique en varios niveles
+  if (impersonator && !req.impersonator) {
+    req.impersonator = impersonator;
+    _auditImpersonatedRequest(req, res);
+  }
+};
+
+const _tryImpersonation = async (act, user) => {
+  const impersonator = await _resolveImpersonator(act);
+  if (!impersonator) {
+    logger.auth(`🚫 Suplantación de ${user.email} ya no autorizada`);
+    return { success: false, error: 'Suplantación revocada' };
+  }
+  return { success: true, user, impersonator };
+};
+
+const _resolveImpersonator = async (act) => {
+  const actor = await User.findById(act.id);
+  await roleService.refreshIfStale();
+
+  const authorized =
+    actor?.isActive &&
+    (act.tv || 0) === (actor.tokenVersion || 0) &&
+    roleService.hasPermission(actor.role, 'impersonate:users');
+
+  return authorized ? { id: actor._id.toString(), email: actor.email } : null;
+};
+
+// Registrar en el log de seguridad cada petición hecha en suplantación (con su resultado)
+const _auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    logger.security('🎭 Petición en suplantación', {
+      impersonator: req.impersonator.email,
+      impersonatorId: req.impersonator.id,
+      user: req.user.email,
+      userId: req.user._id.toString(),
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      ip: req.ip,
+    });
+  });
+};
+
+// Usuario de la cookie de sesión: req.login lo guarda en req.session.passport y
+// passport.session() lo carga en req.user en cada petición (si la sesión no fue revocada)
 const _trySessionAuthentication = (req) => {
-  if (req.session && req.session.user) {
-    return { success: true, user: req.session.user };
+  if (req.isAuthenticated?.() && req.user) {
+    return { success: true, user: req.user, sessionId: req.session.passport.user.sid };
   }
   return { success: false };
 };
@@ -1,43 +1,116 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 
+import roleService from '../services/role.service.js';
+import { jwtService } from '../utils/jwt.util.js';
 import { logger } from '../utils/logger.util.js';
+import { MongoRateLimitStore } from '../utils/rateLimitStore.util.js';
 
 /**
  * 🛡️ Configuración de Rate Limiting para protección contra ataques de fuerza bruta
+ * Los contadores se guardan en MongoDB: sobreviven a reinicios y se comparten entre instancias
  */
 
-// Rate limiter general para la API
+// Límites configurables por entorno (el general puede ajustarse por rol desde /api/roles)
+const GENERAL_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const GENERAL_MAX = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+const LOGIN_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 5;
+const REGISTER_MAX = parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 3;
+const FORGOT_PASSWORD_MAX = parseInt(process.env.FORGOT_PASSWORD_RATE_LIMIT_MAX) || 3;
+const VERIFICATION_EMAIL_MAX = parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_MAX) || 3;
+const MAGIC_LINK_MAX = parseInt(process.env.MAGIC_LINK_RATE_LIMIT_MAX) || 5;
+const MAGIC_LINK_EMAIL_MAX = parseInt(process.env.MAGIC_LINK_EMAIL_RATE_LIMIT_MAX) || 3;
+const ADMIN_MAX = parseInt(process.env.ADMIN_RATE_LIMIT_MAX) || 50;
+
+const GENERAL_WINDOW_TEXT = `${Math.round(GENERAL_WINDOW_MS / 60000)} minutos`;
+
+// Opciones comunes: store compartido y, si MongoDB falla, no bloquear la API
+const sharedOptions = (name) => ({
+  store: new MongoRateLimitStore(`rl:${name}`),
+  passOnStoreError: true,
+  standardHeaders: true, // Incluir headers `RateLimit-*`
+  legacyHeaders: false, // Deshabilitar headers `X-RateLimit-*`
+});
+
+/**
+ * 🔧 Funciones privadas: identificar al cliente por usuario autenticado o por IP
+ * El limitador general corre antes de la autenticación, por eso se lee el access token
+ */
+const _resolveClient = (req) => {
+  if (req.rateLimitClient === undefined) {
+    req.rateLimitClient = req.user
+      ? { id: req.user._id.toString(), role: req.user.role }
+      : _decodeBearerClient(req);
+  }
+  return req.rateLimitClient;
+};
+
+const _decodeBearerClient = (req) => {
+  const token = jwtService.extractTokenFromHeader(req.headers.authorization);
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const { id, role } = jwtService.verifyAccessToken(token);
+    return { id, role };
+  } catch {
+    return null;
+  }
+};
+
+const _userOrIpKey = (req) => {
+  const client = _resolveClient(req);
+  return client ? `user:${client.id}` : ipKeyGenerator(req.ip);
+};
+
+// Email del cuerpo normalizado (o la IP si no viene): limita envíos a una misma casilla
+const _emailOrIpKey = (req) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `email:${email}` : ipKeyGenerator(req.ip);
+};
+
+// Límite del cliente: el configurado para su rol o el general
+const _generalLimitFor = async (req) => {
+  const client = _resolveClient(req);
+  if (!client) {
+    return GENERAL_MAX;
+  }
+
+  await roleService.refreshIfStale();
+  return roleService.getRateLimit(client.role) || GENERAL_MAX;
+};
+
+// Rate limiter general para la API (por usuario autenticado o por IP)
 export const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // Máximo 100 requests por ventana de tiempo
+  ...sharedOptions('general'),
+  windowMs: GENERAL_WINDOW_MS, // 15 minutos por defecto
+  max: _generalLimitFor, // Límite del rol del usuario o RATE_LIMIT_MAX_REQUESTS
+  keyGenerator: _userOrIpKey,
   message: {
     success: false,
-    message: 'Demasiadas solicitudes. Intenta de nuevo en 15 minutos.',
-    retryAfter: '15 minutos',
+    message: `Demasiadas solicitudes. Intenta de nuevo en ${GENERAL_WINDOW_TEXT}.`,
+    retryAfter: GENERAL_WINDOW_TEXT,
   },
-  standardHeaders: true, // Incluir headers `RateLimit-*`
-  legacyHeaders: false, // Deshabilitar headers `X-RateLimit-*`
   handler: (req, res) => {
-    logger.warning(`🚫 Rate limit excedido para IP: ${req.ip}`);
+    logger.warning(`🚫 Rate limit excedido para: ${_userOrIpKey(req)}`);
     res.status(429).json({
       success: false,
-      message: 'Demasiadas solicitudes. Intenta de nuevo en 15 minutos.',
-      retryAfter: '15 minutos',
+      message: `Demasiadas solicitudes. Intenta de nuevo en ${GENERAL_WINDOW_TEXT}.`,
+      retryAfter: GENERAL_WINDOW_TEXT,
     });
   },
 });
 
 // Rate limiter estricto para login (protección anti fuerza bruta)
 export const loginLimiter = rateLimit({
+  ...sharedOptions('login'),
   windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 5, // Máximo 5 intentos de login por IP cada 15 minutos
+  max: LOGIN_MAX, // Máximo 5 intentos de login por IP cada 15 minutos
   message: {
     success: false,
     message: 'Demasiados intentos de inicio de sesión. Intenta de nuevo en 15 minutos.',
     retryAfter: '15 minutos',
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   skipSuccessfulRequests: true, // No contar requests exitosos
   handler: (req, res) => {
     logger.security(
@@ -48,6 +121,7 @@ export const loginLimiter = rateLimit({
       message:
         'Demasiados intentos de inicio de sesión fallidos. Por seguridad, espera 15 minutos antes de intentar de nuevo.',
       retryAfter: '15 minutos',
+      unlockAt: req.rateLimit?.resetTime || null,
       security: 'Este IP ha sido temporalmente bloqueado por seguridad',
     });
   },
@@ -55,15 +129,14 @@ export const loginLimiter = rateLimit({
 
 // Rate limiter para registro de usuarios
 export const registerLimiter = rateLimit({
+  ...sharedOptions('register'),
   windowMs: 60 * 60 * 1000, // 1 hora
-  max: 3, // Máximo 3 registros por hora por IP
+  max: REGISTER_MAX, // Máximo 3 registros por hora por IP
   message: {
     success: false,
     message: 'Demasiados registros desde esta IP. Intenta de nuevo en 1 hora.',
     retryAfter: '1 hora',
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   handler: (req, res) => {
     logger.security(`🚨 ALERTA: Múltiples registros desde IP: ${req.ip}`);
     res.status(429).json({
@@ -76,15 +149,14 @@ export const registerLimiter = rateLimit({
 
 // Rate limiter para recuperación de contraseñas
 export const forgotPasswordLimiter = rateLimit({
+  ...sharedOptions('forgot-password'),
   windowMs: 60 * 60 * 1000, // 1 hora
-  max: 3, // Máximo 3 solicitudes de recuperación por hora
+  max: FORGOT_PASSWORD_MAX, // Máximo 3 solicitudes de recuperación por hora
   message: {
     success: false,
     message: 'Demasiadas solicitudes de recuperación de contraseña. Intenta de nuevo en 1 hora.',
     retryAfter: '1 hora',
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   handler: (req, res) => {
     logger.security(
       `🚨 Múltiples solicitudes de recuperación desde IP: ${req.ip} - Email: ${req.body?.email || 'No especificado'}`
@@ -97,17 +169,62 @@ export const forgotPasswordLimiter = rateLimit({
   },
 });
 
-// Rate limiter para endpoints de administrador
+// Rate limiter para reenvío del email de verificación (evita usarlo para saturar casillas ajenas)
+export const verificationEmailLimiter = rateLimit({
+  ...sharedOptions('verification-email'),
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: VERIFICATION_EMAIL_MAX, // Máximo 3 reenvíos por hora
+  handler: (req, res) => {
+    logger.security(
+      `🚨 Múltiples reenvíos de verificación desde IP: ${req.ip} - Email: ${req.body?.email || 'No especificado'}`
+    );
+    res.status(429).json({
+      success: false,
+      message: 'Demasiadas solicitudes de verificación de email. Intenta de nuevo en 1 hora.',
+      retryAfter: '1 hora',
+    });
+  },
+});
+
+// Rate limiters para solicitar enlaces mágicos: cuentan todas las solicitudes (la respuesta
+// siempre es 200), por IP y por email, para que no sirvan para inundar casillas ajenas
+const _sendMagicLinkLimitResponse = (req, res) => {
+  logger.security(
+    `🚨 Múltiples solicitudes de enlace mágico desde IP: ${req.ip} - Email: ${req.body?.email || 'No especificado'}`
+  );
+  res.status(429).json({
+    success: false,
+    message: 'Demasiadas solicitudes de enlace de acceso. Intenta de nuevo en 1 hora.',
+    retryAfter: '1 hora',
+  });
+};
+
+export const magicLinkLimiter = rateLimit({
+  ...sharedOptions('magic-link'),
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: MAGIC_LINK_MAX, // Máximo 5 solicitudes por hora por IP
+  handler: _sendMagicLinkLimitResponse,
+});
+
+export const magicLinkEmailLimiter = rateLimit({
+  ...sharedOptions('magic-link-email'),
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: MAGIC_LINK_EMAIL_MAX, // Máximo 3 enlaces por hora a un mismo email
+  keyGenerator: _emailOrIpKey,
+  handler: _sendMagicLinkLimitResponse,
+});
+
+// Rate limiter para endpoints de administrador (por usuario)
 export const adminLimiter = rateLimit({
+  ...sharedOptions('admin'),
   windowMs: 5 * 60 * 1000, // 5 minutos
-  max: 50, // Máximo 50 requests cada 5 minutos para admins
+  max: ADMIN_MAX, // Máximo 50 requests cada 5 minutos para admins
+  keyGenerator: _userOrIpKey,
   message: {
     success: false,
     message: 'Demasiadas solicitudes administrativas. Intenta de nuevo en 5 minutos.',
     retryAfter: '5 minutos',
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   handler: (req, res) => {
     logger.warning(
       `🚫 Rate limit excedido para admin desde IP: ${req.ip} - Usuario: ${req.user?.email || 'No identificado'}`
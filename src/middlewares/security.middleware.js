@@ -45,6 +45,7 @@ export const corsOptions = {
     'Cache-Control',
     'Pragma',
     'X-API-Key',
+    'X-CSRF-Token',
     'User-Agent',
   ],
   credentials: true, // Permitir cookies y headers de autenticación
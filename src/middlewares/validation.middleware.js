@@ -4,8 +4,17 @@ import { logger } from '../utils/logger.util.js';
  * 🛡️ Middleware de validación usando Joi - Versión Limpia
  */
 
-export const validateRequest = (schema) => (req, res, next) => {
-  const { error, value } = schema.validate(req.body, {
+export const validateRequest = (schema) => _validateSource(schema, 'body');
+
+// Validar parámetros de consulta (?page=&limit=...) con los mismos mensajes que el body
+export const validateQuery = (schema) => _validateSource(schema, 'query');
+
+// Alias para compatibilidad
+export const validateBody = validateRequest;
+
+const _validateSource = (schema, source) => (req, res, next) => {
+  const isQuery = source === 'query';
+  const { error, value } = schema.validate(isQuery ? req.query : req.body, {
     abortEarly: false,
     stripUnknown: true,
     convert: true,
@@ -32,9 +41,10 @@ export const validateRequest = (schema) => (req, res, next) => {
   }
 
   // Asignar valores validados y convertidos
-  req.body = value;
+  if (isQuery) {
+    req.query = value;
+  } else {
+    req.body = value;
+  }
   next();
 };
-
-// Alias para compatibilidad
-export const validateBody = validateRequest;
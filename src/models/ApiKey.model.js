@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Scopes disponibles para las API keys y los permisos de rol que habilitan cada uno
+// El dueño de la key necesita alguno de esos permisos para otorgar (y usar) el scope
+export const API_KEY_SCOPE_PERMISSIONS = new Map([
+  ['products:read', ['update:own-products', 'update:all-products']],
+  ['products:write', ['create:products']],
+  ['users:read', ['read:all-profiles']],
+]);
+
+export const API_KEY_SCOPES = [...API_KEY_SCOPE_PERMISSIONS.keys()];
+
+/**
+ * 🔑 Modelo de API Key para integraciones máquina a máquina
+ * Se guarda solo el hash SHA-256 de la key; el valor completo se muestra una única vez
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'El nombre de la API key es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+    // Usuario dueño de la key: las requests se autentican en su nombre
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Primeros caracteres de la key para identificarla en listados
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [String],
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Scope inválido: {VALUE}',
+      },
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Seguimiento de uso
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    // Campos de revocación
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Método para verificar si la key sigue siendo utilizable
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Índices para optimización
+apiKeySchema.index({ owner: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
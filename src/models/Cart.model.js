@@ -15,6 +15,11 @@ const cartSchema = new mongoose.Schema(
           ref: 'Product',
           required: true,
         },
+        // Variante elegida (_id dentro de product.variants); null si el producto no tiene variantes
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
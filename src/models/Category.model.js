@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Categorías iniciales: se crean solo si la colección está vacía, luego las gestionan los admins
+export const DEFAULT_CATEGORIES = [
+  { slug: 'electronics', name: 'Electrónica' },
+  { slug: 'clothing', name: 'Ropa' },
+  { slug: 'books', name: 'Libros' },
+  { slug: 'home', name: 'Hogar' },
+  { slug: 'sports', name: 'Deportes' },
+  { slug: 'beauty', name: 'Belleza' },
+  { slug: 'toys', name: 'Juguetes' },
+  { slug: 'automotive', name: 'Automotor' },
+  { slug: 'other', name: 'Otros' },
+];
+
+/**
+ * 🗂️ Modelo de Categoría con jerarquía (cada categoría puede tener una categoría padre)
+ * Los productos referencian la categoría por slug (campo `category`)
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, 'El slug de la categoría es obligatorio'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9-]{0,49}$/, 'Slug de categoría inválido'],
+    },
+    name: {
+      type: String,
+      required: [true, 'El nombre de la categoría es obligatorio'],
+      trim: true,
+      maxlength: [50, 'El nombre no puede exceder 50 caracteres'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+      default: '',
+    },
+    // Categoría padre (null = categoría raíz)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+categorySchema.index({ parent: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
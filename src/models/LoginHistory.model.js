@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Días que se conservan los registros de login (se eliminan automáticamente)
+export const LOGIN_HISTORY_RETENTION_DAYS =
+  parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+/**
+ * 📜 Modelo de Historial de Login
+ * Un registro por intento (exitoso o fallido) con los datos del dispositivo
+ */
+const loginHistorySchema = new mongoose.Schema(
+  {
+    // null si el email no corresponde a ninguna cuenta
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Información del dispositivo
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: 'Unknown',
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // Vía de acceso: password, magic-link, oidc (con 2FA se registra al validar el código)
+    method: {
+      type: String,
+      default: 'password',
+    },
+    // Motivo del fallo (contraseña incorrecta, código 2FA inválido, cuenta bloqueada...)
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    // Heurística de login sospechoso
+    suspicious: {
+      type: Boolean,
+      default: false,
+    },
+    suspiciousReasons: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Índices para optimización
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, success: 1, userAgent: 1 });
+// TTL: MongoDB elimina los registros al superar la retención
+loginHistorySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+export default LoginHistory;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * 💎 Modelo de Solicitud Premium
+ * Un usuario solicita convertirse en vendedor y un administrador la aprueba o rechaza
+ */
+const premiumRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Datos del negocio
+    businessName: {
+      type: String,
+      required: [true, 'El nombre del negocio es obligatorio'],
+      trim: true,
+      minlength: [2, 'El nombre del negocio debe tener al menos 2 caracteres'],
+      maxlength: [100, 'El nombre del negocio no puede exceder 100 caracteres'],
+    },
+    taxId: {
+      type: String,
+      required: [true, 'La identificación fiscal es obligatoria'],
+      trim: true,
+      uppercase: true,
+    },
+    businessDescription: {
+      type: String,
+      required: [true, 'La descripción del negocio es obligatoria'],
+      trim: true,
+      minlength: [10, 'La descripción debe tener al menos 10 caracteres'],
+      maxlength: [1000, 'La descripción no puede exceder 1000 caracteres'],
+    },
+    website: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Estado de la revisión
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Índices para optimización
+premiumRequestSchema.index({ status: 1, createdAt: -1 });
+// Un usuario solo puede tener una solicitud pendiente a la vez
+premiumRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const PremiumRequest = mongoose.model('PremiumRequest', premiumRequestSchema);
+
+export default PremiumRequest;
@@ -4,6 +4,37 @@ import mongoose from 'mongoose';
  * 🛍️ Modelo de Producto
  */
 
+// Límites de los rangos de precio de la búsqueda facetada (el último agrupa todo lo que lo supera)
+export const PRICE_RANGES = [0, 50, 100, 250, 500, 1000];
+
+// Variante vendible: una combinación de opciones con SKU, precio y stock propios
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'El SKU de la variante es obligatorio'],
+    trim: true,
+    uppercase: true,
+  },
+  // Valor elegido en cada eje (ej: { talle: 'M', color: 'rojo' })
+  options: {
+    type: Map,
+    of: String,
+    required: true,
+  },
+  // Sin precio propio la variante usa el precio del producto
+  price: {
+    type: Number,
+    min: [0, 'El precio no puede ser negativo'],
+    default: null,
+  },
+  stock: {
+    type: Number,
+    required: [true, 'El stock de la variante es obligatorio'],
+    min: [0, 'El stock no puede ser negativo'],
+    default: 0,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     title: {
@@ -42,21 +73,12 @@ const productSchema = new mongoose.Schema(
       min: [0, 'El stock no puede ser negativo'],
       default: 0,
     },
+    // Slug de una categoría de la colección Category
     category: {
       type: String,
       required: [true, 'La categoría es obligatoria'],
       trim: true,
-      enum: [
-        'electronics',
-        'clothing',
-        'books',
-        'home',
-        'sports',
-        'beauty',
-        'toys',
-        'automotive',
-        'other',
-      ],
+      lowercase: true,
     },
     status: {
       type: Boolean,
@@ -67,6 +89,16 @@ const productSchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // Ejes de variación con sus valores posibles (ej: talle S/M/L, color rojo/azul)
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true, lowercase: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    // Con variantes, stock es la suma del stock de todas ellas
+    variants: [variantSchema],
   },
   {
     timestamps: true,
@@ -92,12 +124,28 @@ productSchema.methods.reduceStock = function (quantity) {
   return this.save();
 };
 
+/**
+ * 🎨 Métodos de variantes
+ */
+productSchema.methods.hasVariants = function () {
+  return this.variants.length > 0;
+};
+
+productSchema.methods.getVariant = function (variantId) {
+  return this.variants.id(variantId);
+};
+
 /**
  * 🏷️ Índices para optimización
  */
 productSchema.index({ category: 1 });
 productSchema.index({ status: 1 });
 productSchema.index({ title: 'text', description: 'text' });
+// SKU único entre todos los productos (solo los que tienen variantes)
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 const Product = mongoose.model('Product', productSchema);
 
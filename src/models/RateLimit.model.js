@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * ⏱️ Modelo de contador de rate limiting compartido entre instancias
+ * Un documento por cliente (usuario o IP) y limitador; se elimina al vencer su ventana
+ */
+const rateLimitSchema = new mongoose.Schema(
+  {
+    // Prefijo del limitador + usuario o IP del cliente
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// TTL: MongoDB elimina los contadores cuya ventana terminó
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
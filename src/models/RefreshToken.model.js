@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+/**
+ * 🔄 Modelo de Refresh Token
+ * Guarda el hash de cada refresh token emitido para poder rotarlo y revocarlo
+ * Todos los tokens rotados a partir de un mismo login comparten la misma familia
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // JWT ID del token (claim jti)
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash SHA-256 del token, nunca se guarda el token en texto plano
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Identificador de la familia (un login = una familia por dispositivo)
+    family: {
+      type: String,
+      required: true,
+    },
+    // Información del dispositivo
+    userAgent: {
+      type: String,
+      default: 'Unknown',
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Campos de revocación
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Método para verificar si el token sigue siendo utilizable
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Índices para optimización
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// TTL: MongoDB elimina los tokens automáticamente al expirar
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
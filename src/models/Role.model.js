@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+// Catálogo de permisos que pueden asignarse a los roles
+export const PERMISSIONS = [
+  'read:own-profile',
+  'update:own-profile',
+  'read:all-profiles',
+  'update:all-profiles',
+  'delete:users',
+  'read:products',
+  'create:products',
+  'update:own-products',
+  'update:all-products',
+  'delete:own-products',
+  'delete:all-products',
+  'use:cart',
+  'purchase:products',
+  'manage:premium-requests',
+  'impersonate:users',
+  'manage:own-api-keys',
+  'manage:api-keys',
+  'manage:roles',
+  'manage:categories',
+  'manage:system',
+];
+
+// Permisos que solo actúan sobre la cuenta o los recursos de quien los tiene
+// (no dan poder sobre otros usuarios: cualquiera con manage:roles puede asignar roles que los incluyan)
+export const SELF_SCOPED_PERMISSIONS = [
+  'read:own-profile',
+  'update:own-profile',
+  'read:products',
+  'create:products',
+  'update:own-products',
+  'delete:own-products',
+  'use:cart',
+  'purchase:products',
+  'manage:own-api-keys',
+];
+
+// Roles del sistema: se sincronizan al iniciar la aplicación y no pueden modificarse ni eliminarse
+// (salvo su límite de solicitudes, que se inicializa una sola vez y luego lo ajustan los admins)
+export const SYSTEM_ROLES = [
+  {
+    name: 'user',
+    description: 'Cliente: compra productos con su carrito',
+    permissions: [
+      'read:own-profile',
+      'update:own-profile',
+      'use:cart',
+      'read:products',
+      'purchase:products',
+    ],
+  },
+  {
+    name: 'premium',
+    description: 'Vendedor: publica y gestiona su propio catálogo',
+    permissions: [
+      'read:own-profile',
+      'update:own-profile',
+      'create:products',
+      'update:own-products',
+      'delete:own-products',
+      'read:products',
+      'manage:own-api-keys',
+    ],
+    // Los vendedores importan catálogos: más margen que un cliente
+    requestsPerWindow: 1000,
+  },
+  {
+    name: 'admin',
+    description: 'Administrador: acceso completo al sistema',
+    permissions: [
+      'read:all-profiles',
+      'update:all-profiles',
+      'delete:users',
+      'create:products',
+      'update:all-products',
+      'delete:all-products',
+      'read:products',
+      'manage:premium-requests',
+      'impersonate:users',
+      'manage:api-keys',
+      'manage:roles',
+      'manage:categories',
+      'manage:system',
+    ],
+  },
+];
+
+/**
+ * 🎭 Modelo de Rol con su lista de permisos
+ * Los usuarios referencian el rol por nombre (campo `role`)
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'El nombre del rol es obligatorio'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9-]{1,29}$/, 'Nombre de rol inválido'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      enum: {
+        values: PERMISSIONS,
+        message: 'Permiso inválido: {VALUE}',
+      },
+      default: [],
+    },
+    // Solicitudes permitidas por ventana del limitador general (null = límite por defecto)
+    requestsPerWindow: {
+      type: Number,
+      min: [1, 'El límite de solicitudes debe ser al menos 1'],
+      default: null,
+    },
+    // Roles del sistema (user, premium, admin): solo lectura
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Días que se conservan las búsquedas sin resultados desde la última vez que se buscaron
+export const SEARCH_MISS_RETENTION_DAYS = parseInt(process.env.SEARCH_MISS_RETENTION_DAYS) || 90;
+
+/**
+ * 🔎 Modelo de Búsqueda sin resultados
+ * Un registro por texto buscado (normalizado) para que los gestores del catálogo
+ * corrijan títulos, descripciones o categorías
+ */
+const searchMissSchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
+    // Veces que se buscó sin obtener resultados
+    count: {
+      type: Number,
+      default: 1,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Índices para optimización
+searchMissSchema.index({ count: -1, lastSearchedAt: -1 });
+// TTL: se eliminan las búsquedas que nadie repitió durante la retención
+searchMissSchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: SEARCH_MISS_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const SearchMiss = mongoose.model('SearchMiss', searchMissSchema);
+
+export default SearchMiss;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * 💻 Modelo de Sesión (dispositivo)
+ * Cada login abre una sesión; su ID es la familia de los refresh tokens
+ * y viaja en el claim `sid` de los access tokens
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Información del dispositivo
+    userAgent: {
+      type: String,
+      default: 'Unknown',
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Vence junto con el último refresh token emitido
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Campos de revocación
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Método para verificar si la sesión sigue vigente
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Índices para optimización
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// TTL: MongoDB elimina las sesiones automáticamente al expirar
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
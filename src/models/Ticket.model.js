@@ -40,6 +40,12 @@ const ticketSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Variante comprada (con su SKU al momento de la compra)
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        sku: String,
         price: {
           type: Number,
           required: true,
@@ -63,11 +69,10 @@ const ticketSchema = new mongoose.Schema(
       enum: ['pending', 'completed', 'cancelled', 'refunded'],
       default: 'completed',
     },
-    // Información del usuario
+    // Información del usuario (se quita al seudonimizar los tickets de una cuenta eliminada)
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
     },
     // Productos que no pudieron comprarse (stock insuficiente)
     failedProducts: [
@@ -76,6 +81,7 @@ const ticketSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        sku: String,
         requestedQuantity: {
           type: Number,
           required: true,
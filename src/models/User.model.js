@@ -1,6 +1,21 @@
 import bcrypt from 'bcrypt';
 import mongoose from 'mongoose';
 
+// Política de bloqueo de cuenta por intentos fallidos de login
+export const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+export const LOCK_TIME_MS = parseInt(process.env.ACCOUNT_LOCK_TIME_MS) || 2 * 60 * 60 * 1000; // 2 horas
+
+// Días de gracia entre la solicitud de eliminación de la cuenta y su borrado
+export const ACCOUNT_ERASURE_GRACE_DAYS = process.env.ACCOUNT_ERASURE_GRACE_DAYS
+  ? parseInt(process.env.ACCOUNT_ERASURE_GRACE_DAYS)
+  : 30;
+
+// Política de contraseñas: historial para evitar reutilización y vigencia máxima (0 = sin vencimiento)
+export const PASSWORD_HISTORY_LIMIT = process.env.PASSWORD_HISTORY_LIMIT
+  ? parseInt(process.env.PASSWORD_HISTORY_LIMIT)
+  : 5;
+export const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0;
+
 // Modelo de usuario para el ecommerce
 // Incluye todos los campos requeridos según las especificaciones + seguridad mejorada
 const userSchema = new mongoose.Schema(
@@ -32,7 +47,13 @@ const userSchema = new mongoose.Schema(
     },
     age: {
       type: Number,
-      required: [true, 'La edad es obligatoria'],
+      // Las cuentas creadas desde un proveedor de identidad no informan la edad
+      required: [
+        function () {
+          return !this.identities?.length;
+        },
+        'La edad es obligatoria',
+      ],
       min: [18, 'Debes tener al menos 18 años para registrarte'],
       max: [100, 'La edad máxima es 100 años'],
     },
@@ -47,10 +68,31 @@ const userSchema = new mongoose.Schema(
       ref: 'Cart',
       default: null,
     },
+    // Nombre del rol (colección Role): user, premium, admin o un rol personalizado
     role: {
       type: String,
-      enum: ['user', 'admin', 'premium'],
       default: 'user',
+      trim: true,
+      lowercase: true,
+    },
+    // Verificación de email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Hashes de las últimas contraseñas usadas (no se permite reutilizarlas)
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+    // Sin valor por defecto: las cuentas anteriores al vencimiento usan createdAt
+    // (un default se aplicaría al cargarlas y la contraseña nunca vencería)
+    passwordChangedAt: {
+      type: Date,
     },
     // Campos para recuperación de contraseñas
     passwordResetToken: {
@@ -61,6 +103,15 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: undefined,
     },
+    // Enlace de acceso sin contraseña (un solo uso, se guarda el hash sha256 del token)
+    magicLinkToken: {
+      type: String,
+      default: undefined,
+    },
+    magicLinkExpires: {
+      type: Date,
+      default: undefined,
+    },
     // Campos de seguridad adicionales
     lastLogin: {
       type: Date,
@@ -77,6 +128,87 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Suspensión aplicada por un admin (sin expiresAt es permanente)
+    ban: {
+      reason: {
+        type: String,
+        default: null,
+      },
+      bannedAt: {
+        type: Date,
+        default: null,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      bannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+    },
+    // Baja lógica: la cuenta queda anonimizada y se conservan sus tickets
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Eliminación solicitada por el usuario (se ejecuta al terminar el período de gracia)
+    erasureRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    erasureScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // Autenticación de dos factores (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Secreto generado en el enrolamiento, pendiente de confirmar con un código
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      // Hashes SHA-256 de los códigos de respaldo de un solo uso
+      backupCodes: {
+        type: [String],
+        default: [],
+      },
+      // Último intervalo TOTP aceptado (evita reutilizar un mismo código)
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Versión de tokens: al incrementarla se invalidan todos los access tokens emitidos
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Identidades externas vinculadas (login con OpenID Connect)
+    identities: {
+      type: [
+        {
+          _id: false,
+          issuer: { type: String, required: true },
+          subject: { type: String, required: true },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -94,6 +226,7 @@ userSchema.pre('save', async function (next) {
   try {
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
     this.password = await bcrypt.hash(this.password, saltRounds);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -105,29 +238,56 @@ userSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Método para verificar si la contraseña superó su vigencia máxima
+userSchema.methods.isPasswordExpired = function () {
+  if (!PASSWORD_MAX_AGE_DAYS) {
+    return false;
+  }
+
+  const changedAt = this.passwordChangedAt || this.createdAt;
+  return Date.now() - changedAt.getTime() > PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+};
+
 // Método para verificar si la cuenta está bloqueada
 userSchema.methods.isLocked = function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 };
 
+// Método para verificar si la cuenta está suspendida (ban permanente o todavía vigente)
+userSchema.methods.isBanned = function () {
+  return !!(this.ban?.bannedAt && (!this.ban.expiresAt || this.ban.expiresAt > Date.now()));
+};
+
+// Método para describir la suspensión vigente al usuario (vencimiento y motivo)
+userSchema.methods.getBanMessage = function () {
+  const until = this.ban.expiresAt ? ` hasta el ${this.ban.expiresAt.toLocaleString()}` : '';
+  return `Tu cuenta está suspendida${until}. Motivo: ${this.ban.reason}`;
+};
+
 // Método para incrementar intentos de login fallidos
-userSchema.methods.incLoginAttempts = function () {
+// Retorna la cantidad de intentos acumulados y la fecha de bloqueo si se bloqueó la cuenta
+userSchema.methods.incLoginAttempts = async function () {
   // Si tenemos un lock previo y ya expiró, reiniciar
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { loginAttempts: 1 },
     });
+    return { attempts: 1, lockUntil: null };
   }
 
+  const attempts = this.loginAttempts + 1;
   const updates = { $inc: { loginAttempts: 1 } };
+  let lockUntil = null;
 
   // Si llegamos al máximo de intentos y no estamos bloqueados, bloquear
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked()) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 horas
+  if (attempts >= MAX_LOGIN_ATTEMPTS && !this.isLocked()) {
+    lockUntil = new Date(Date.now() + LOCK_TIME_MS);
+    updates.$set = { lockUntil };
   }
 
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return { attempts, lockUntil };
 };
 
 // Método para resetear intentos de login tras login exitoso
@@ -142,10 +302,15 @@ userSchema.methods.resetLoginAttempts = function () {
 userSchema.methods.toPublicJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.magicLinkToken;
+  delete userObject.magicLinkExpires;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
+  delete userObject.tokenVersion;
+  delete userObject.twoFactor;
   return userObject;
 };
 
@@ -166,6 +331,12 @@ userSchema.statics.findByResetToken = function (token) {
 userSchema.index({ role: 1 });
 userSchema.index({ passwordResetToken: 1 });
 userSchema.index({ passwordResetExpires: 1 });
+userSchema.index({ magicLinkToken: 1 });
+userSchema.index({ erasureScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.issuer': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 const User = mongoose.model('User', userSchema);
 
@@ -67,10 +67,10 @@ class CartRepository {
     }
   }
 
-  // Agregar producto al carrito
-  async addProduct(cartId, productId, quantity) {
+  // Agregar producto (o una variante) al carrito
+  async addProduct(cartId, productId, quantity, variantId = null) {
     try {
-      const cart = await cartDAO.addProduct(cartId, productId, quantity);
+      const cart = await cartDAO.addProduct(cartId, productId, quantity, variantId);
       logger.info(`Producto agregado al carrito ${cartId}`);
       return CartDTO.fromCart(cart);
     } catch (error) {
@@ -80,9 +80,9 @@ class CartRepository {
   }
 
   // Actualizar cantidad de producto en carrito
-  async updateProductQuantity(cartId, productId, quantity) {
+  async updateProductQuantity(cartId, productId, quantity, variantId = null) {
     try {
-      const cart = await cartDAO.updateProductQuantity(cartId, productId, quantity);
+      const cart = await cartDAO.updateProductQuantity(cartId, productId, quantity, variantId);
       logger.info(`Cantidad actualizada en carrito ${cartId}`);
       return CartDTO.fromCart(cart);
     } catch (error) {
@@ -92,9 +92,9 @@ class CartRepository {
   }
 
   // Remover producto del carrito
-  async removeProduct(cartId, productId) {
+  async removeProduct(cartId, productId, variantId = null) {
     try {
-      const cart = await cartDAO.removeProduct(cartId, productId);
+      const cart = await cartDAO.removeProduct(cartId, productId, variantId);
       logger.info(`Producto removido del carrito ${cartId}`);
       return CartDTO.fromCart(cart);
     } catch (error) {
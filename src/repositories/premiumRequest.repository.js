@@ -0,0 +1,90 @@
+import premiumRequestDAO from '../dao/premiumRequest.dao.js';
+import { PremiumRequestDTO } from '../dto/index.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * 🏛️ Repository para Solicitudes Premium - Implementa patrón Repository
+ */
+class PremiumRequestRepository {
+  /**
+   * Crear una nueva solicitud
+   */
+  async create(requestData) {
+    try {
+      const request = await premiumRequestDAO.create(requestData);
+      logger.info(`💎 Solicitud premium creada para usuario: ${requestData.user}`);
+      return PremiumRequestDTO.fromRequest(request);
+    } catch (error) {
+      logger.error('❌ Error creando solicitud premium:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar solicitud por ID
+   */
+  async findById(id) {
+    try {
+      const request = await premiumRequestDAO.findById(id);
+      return request ? PremiumRequestDTO.fromRequest(request) : null;
+    } catch (error) {
+      logger.error(`❌ Error buscando solicitud premium ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar si el usuario tiene una solicitud pendiente
+   */
+  async hasPendingRequest(userId) {
+    try {
+      const request = await premiumRequestDAO.findPendingByUser(userId);
+      return !!request;
+    } catch (error) {
+      logger.error(`❌ Error buscando solicitud pendiente del usuario ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener solicitudes con filtro de estado y paginación
+   */
+  async getAll(filters) {
+    try {
+      const requests = await premiumRequestDAO.findAll(filters);
+      const total = await premiumRequestDAO.count(filters);
+
+      return {
+        requests: requests.map((request) => PremiumRequestDTO.fromRequest(request)),
+        pagination: {
+          current: parseInt(filters.page || 1),
+          pages: Math.ceil(total / (filters.limit || 10)),
+          total,
+        },
+      };
+    } catch (error) {
+      logger.error('❌ Error obteniendo solicitudes premium:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver (aprobar o rechazar) una solicitud pendiente
+   */
+  async resolve(id, reviewData) {
+    try {
+      const request = await premiumRequestDAO.resolvePending(id, reviewData);
+      if (!request) {
+        return null;
+      }
+
+      logger.info(`💎 Solicitud premium ${id} resuelta: ${request.status}`);
+      return PremiumRequestDTO.fromRequest(request);
+    } catch (error) {
+      logger.error(`❌ Error resolviendo solicitud premium ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new PremiumRequestRepository();
@@ -1,5 +1,7 @@
 import productDAO from '../dao/product.dao.js';
-import { ProductDTO } from '../dto/index.js';
+import searchMissDAO from '../dao/searchMiss.dao.js';
+import { ProductDTO, SearchMissDTO } from '../dto/index.js';
+import { PRICE_RANGES } from '../models/Product.model.js';
 import { logger } from '../utils/logger.util.js';
 
 /**
@@ -34,20 +36,33 @@ class ProductRepository {
   }
 
   /**
-   * Buscar todos los productos con filtros
+   * Buscar todos los productos con filtros y facets para la barra de filtros
    */
   async findAll(filters) {
     try {
-      const products = await productDAO.findAll(filters);
-      const total = await productDAO.count(filters);
+      let fuzzy = false;
+      let [result] = await productDAO.search(filters);
+
+      // El índice de texto solo encuentra palabras completas: reintentar tolerando errores de tipeo
+      if (filters.search && !result.total.length) {
+        fuzzy = true;
+        [result] = await productDAO.search({ ...filters, fuzzy });
+      }
+
+      const total = result.total[0]?.count || 0;
+      if (filters.search && total === 0) {
+        await this._recordSearchMiss(filters.search);
+      }
 
       return {
-        products: products.map((product) => ProductDTO.productList(product)),
+        products: result.products.map((product) => ProductDTO.productList(product)),
         pagination: {
           current: parseInt(filters.page || 1),
           pages: Math.ceil(total / (filters.limit || 10)),
           total,
         },
+        facets: this._toFacets(result),
+        fuzzy,
       };
     } catch (error) {
       logger.error('❌ Error obteniendo productos:', error);
@@ -55,6 +70,45 @@ class ProductRepository {
     }
   }
 
+  /**
+   * Autocompletado de productos por prefijo del título o el código
+   */
+  async suggest(prefix, limit) {
+    try {
+      const products = await productDAO.suggest(prefix, limit);
+      return products.map((product) => ProductDTO.suggestion(product));
+    } catch (error) {
+      logger.error('❌ Error obteniendo sugerencias de productos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Búsquedas sin resultados más repetidas
+   */
+  async findSearchMisses(limit) {
+    try {
+      const misses = await searchMissDAO.findTop(limit);
+      return misses.map((miss) => SearchMissDTO.fromSearchMiss(miss));
+    } catch (error) {
+      logger.error('❌ Error obteniendo búsquedas sin resultados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Descartar una búsqueda sin resultados (retorna null si no existe)
+   */
+  async deleteSearchMiss(id) {
+    try {
+      const miss = await searchMissDAO.deleteById(id);
+      return miss ? SearchMissDTO.fromSearchMiss(miss) : null;
+    } catch (error) {
+      logger.error(`❌ Error eliminando búsqueda sin resultados ${id}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Buscar productos por propietario
    */
@@ -115,6 +169,11 @@ class ProductRepository {
     // Procesar todos los items en paralelo para mejor rendimiento
     const stockCheckPromises = items.map(async (item) => {
       try {
+        // Las líneas con variante descuentan el stock de esa variante
+        if (item.variant) {
+          return await this._processVariantStock(item);
+        }
+
         const hasStock = await productDAO.checkStock(item.product._id, item.quantity);
 
         if (hasStock) {
@@ -124,6 +183,7 @@ class ProductRepository {
             data: {
               product: item.product,
               quantity: item.quantity,
+              price: item.product.price,
               subtotal: item.product.price * item.quantity,
             },
           };
@@ -167,6 +227,78 @@ class ProductRepository {
 
     return results;
   }
+
+  /**
+   * Registrar la búsqueda sin resultados (un error al registrarla no afecta la búsqueda)
+   */
+  async _recordSearchMiss(search) {
+    try {
+      await searchMissDAO.record(search.trim().toLowerCase().replace(/\s+/g, ' '));
+    } catch (error) {
+      logger.error('❌ Error registrando búsqueda sin resultados:', error);
+    }
+  }
+
+  /**
+   * Conteos de la agregación → facets (cada rango de precio es [min, max), max null = sin tope)
+   */
+  _toFacets({ categories, priceRanges, availability }) {
+    const countByPrice = new Map(priceRanges.map(({ _id, count }) => [_id, count]));
+    const countByAvailability = new Map(availability.map(({ _id, count }) => [_id, count]));
+
+    return {
+      categories: categories.map(({ _id, count }) => ({ slug: _id, count })),
+      priceRanges: PRICE_RANGES.map((min, index) => ({
+        min,
+        max: PRICE_RANGES[index + 1] ?? null,
+        count: countByPrice.get(min) || 0,
+      })),
+      availability: {
+        inStock: countByAvailability.get(true) || 0,
+        outOfStock: countByAvailability.get(false) || 0,
+      },
+    };
+  }
+
+  /**
+   * Descontar stock de la variante de una línea del carrito (atómico: falla si no alcanza)
+   */
+  async _processVariantStock(item) {
+    const variant = item.product.variants?.find((candidate) => candidate._id.equals(item.variant));
+    const updated =
+      variant &&
+      (await productDAO.decrementVariantStock(item.product._id, item.variant, item.quantity));
+
+    if (updated) {
+      const price = variant.price ?? item.product.price;
+      return {
+        type: 'success',
+        data: {
+          product: item.product,
+          variant,
+          quantity: item.quantity,
+          price,
+          subtotal: price * item.quantity,
+        },
+      };
+    }
+
+    return this._variantStockFailure(item, variant);
+  }
+
+  async _variantStockFailure(item, variant) {
+    const product = variant ? await productDAO.findById(item.product._id) : null;
+    return {
+      type: 'failed',
+      data: {
+        product: item.product.title,
+        sku: variant?.sku,
+        requestedQuantity: item.quantity,
+        availableStock: product?.getVariant(item.variant)?.stock || 0,
+        reason: variant ? 'Stock insuficiente' : 'La variante ya no existe',
+      },
+    };
+  }
 }
 
 export default new ProductRepository();
@@ -1,7 +1,31 @@
+import { createHash } from 'crypto';
+
 import userDAO from '../dao/user.dao.js';
 import { UserDTO } from '../dto/index.js';
 import { logger } from '../utils/logger.util.js';
 
+// Campos sensibles que solo se modifican con sus métodos dedicados (nunca con update)
+const PROTECTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'loginAttempts',
+  'lockUntil',
+  'tokenVersion',
+  'twoFactor',
+  'identities',
+  'ban',
+  'deletedAt',
+  'erasureRequestedAt',
+  'erasureScheduledFor',
+];
+
+// Los tokens de enlace mágico se guardan hasheados: leer la base no permite usarlos
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
 /**
  * 🏛️ Repository para Usuario - Implementa patrón Repository
  * Maneja la lógica de negocio y trabaja con el DAO
@@ -46,6 +70,18 @@ class UserRepository {
     }
   }
 
+  /**
+   * Buscar usuario por ID con el modelo completo (para autenticación)
+   */
+  async findAuthUserById(id) {
+    try {
+      return await userDAO.findById(id);
+    } catch (error) {
+      logger.error(`❌ Error buscando usuario por ID ${id}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Buscar usuario por token de reset
    */
@@ -64,12 +100,18 @@ class UserRepository {
   async update(id, updateData) {
     try {
       // Filtrar campos sensibles que no deben actualizarse directamente
-      const filteredData = { ...updateData };
-      delete filteredData.password;
-      delete filteredData.passwordResetToken;
-      delete filteredData.passwordResetExpires;
-      delete filteredData.loginAttempts;
-      delete filteredData.lockUntil;
+      // (y operadores o rutas con punto, que permitirían modificarlos igual)
+      const filteredData = Object.fromEntries(
+        Object.entries(updateData).filter(
+          ([field]) =>
+            !PROTECTED_FIELDS.includes(field) && !field.startsWith('$') && !field.includes('.')
+        )
+      );
+
+      // Cambio de rol o desactivación: invalidar los access tokens emitidos
+      if ('role' in filteredData || filteredData.isActive === false) {
+        filteredData.$inc = { tokenVersion: 1 };
+      }
 
       const user = await userDAO.updateById(id, filteredData);
       if (!user) {
@@ -85,17 +127,90 @@ class UserRepository {
   }
 
   /**
-   * Eliminar usuario
+   * Cambiar el rol solo si el usuario conserva el rol esperado (retorna null si no)
+   */
+  async changeRole(id, currentRole, newRole) {
+    try {
+      const user = await userDAO.changeRole(id, currentRole, newRole);
+      if (!user) {
+        return null;
+      }
+
+      logger.info(`🎭 Rol de ${user.email} cambiado: ${currentRole} → ${newRole}`);
+      return UserDTO.fromUser(user);
+    } catch (error) {
+      logger.error(`❌ Error cambiando el rol del usuario ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar contraseña (recibe el hash) e invalidar los access tokens emitidos
+   * Retorna el modelo completo para poder emitir nuevos tokens
    */
-  async delete(id) {
+  async updatePassword(id, hashedPassword, previousHash) {
     try {
-      const user = await userDAO.deleteById(id);
+      const user = await userDAO.updatePassword(id, hashedPassword, previousHash);
       if (user) {
-        logger.info(`🗑️ Usuario eliminado: ${user.email}`);
+        logger.auth(`🔑 Contraseña actualizada para: ${user.email}`);
       }
-      return user ? UserDTO.fromUser(user) : null;
+      return user;
+    } catch (error) {
+      logger.error(`❌ Error actualizando contraseña del usuario ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar token de recuperación de contraseña
+   */
+  async setPasswordResetToken(id, token, expires) {
+    try {
+      return !!(await userDAO.setPasswordResetToken(id, token, expires));
+    } catch (error) {
+      logger.error(`❌ Error guardando token de recuperación del usuario ${id}:`, error);
+      throw error;
+    }
+  }
+  /**
+   * Guardar token de enlace mágico
+   */
+  async setMagicLinkToken(id, token, expires) {
+    try {
+      return !!(await userDAO.setMagicLinkToken(id, hashToken(token), expires));
+    } catch (error) {
+      logger.error(`❌ Error guardando enlace mágico del usuario ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consumir token de enlace mágico (un solo uso)
+   * Retorna el modelo completo para poder emitir tokens
+   */
+  async consumeMagicLinkToken(token) {
+    try {
+      return await userDAO.consumeMagicLinkToken(hashToken(token));
+    } catch (error) {
+      logger.error('❌ Error consumiendo enlace mágico:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desbloquear cuenta bloqueada por intentos fallidos
+   */
+  async unlockAccount(id) {
+    try {
+      const user = await userDAO.unlockById(id);
+      if (!user) {
+        return null;
+      }
+
+      logger.info(`🔓 Cuenta desbloqueada: ${user.email}`);
+      return UserDTO.fromUser(user);
     } catch (error) {
-      logger.error(`❌ Error eliminando usuario ${id}:`, error);
+      logger.error(`❌ Error desbloqueando usuario ${id}:`, error);
       throw error;
     }
   }
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+
+import ApiKeyController from '../controllers/apiKey.controller.js';
+import { authRules, forbidImpersonation } from '../middlewares/auth.middleware.js';
+import { authenticateJWT } from '../middlewares/jwt.middleware.js';
+import { validateRequest } from '../middlewares/validation.middleware.js';
+import {
+  createApiKeyValidation,
+  updateApiKeyScopesValidation,
+} from '../validations/apiKey.validation.js';
+
+const router = Router();
+
+// Rutas de gestión de API keys (permisos manage:api-keys o manage:own-api-keys)
+// Las API keys no pueden usarse para gestionar otras keys: solo JWT o sesión
+
+// Aplicar middleware JWT para detectar usuarios autenticados
+router.use(authenticateJWT);
+
+// POST / - Crear API key con scopes
+router.post(
+  '/',
+  authRules.can('manage:api-keys', 'manage:own-api-keys'), // Todas o solo las propias
+  forbidImpersonation, // Una key sobreviviría a la suplantación
+  validateRequest(createApiKeyValidation),
+  ApiKeyController.createApiKey
+);
+
+// GET / - Listar API keys (con manage:api-keys todas, si no solo las propias)
+router.get(
+  '/',
+  authRules.can('manage:api-keys', 'manage:own-api-keys'), // Todas o solo las propias
+  ApiKeyController.getApiKeys
+);
+
+// PATCH /:id/scopes - Cambiar scopes de una API key (dueño o manage:api-keys)
+router.patch(
+  '/:id/scopes',
+  authRules.can('manage:api-keys', 'manage:own-api-keys'), // Todas o solo las propias
+  validateRequest(updateApiKeyScopesValidation),
+  ApiKeyController.updateScopes
+);
+
+// DELETE /:id - Revocar API key (dueño o manage:api-keys)
+router.delete(
+  '/:id',
+  authRules.can('manage:api-keys', 'manage:own-api-keys'), // Todas o solo las propias
+  ApiKeyController.revokeApiKey
+);
+
+export default router;
@@ -1,27 +1,45 @@
 import { Router } from 'express';
 
 import AuthController from '../controllers/auth.controller.js';
+import LoginHistoryController from '../controllers/loginHistory.controller.js';
+import SessionController from '../controllers/session.controller.js';
+import TwoFactorController from '../controllers/twoFactor.controller.js';
 import { authRules } from '../middlewares/auth.middleware.js';
 import { authenticateJWT } from '../middlewares/jwt.middleware.js';
-import { generalLimiter } from '../middlewares/rateLimiter.middleware.js';
+import {
+  forgotPasswordLimiter,
+  loginLimiter,
+  magicLinkEmailLimiter,
+  magicLinkLimiter,
+  registerLimiter,
+  verificationEmailLimiter,
+} from '../middlewares/rateLimiter.middleware.js';
 import { validateRequest } from '../middlewares/validation.middleware.js';
 import {
+  changePasswordValidation,
+  loginTwoFactorValidation,
   loginValidation,
+  magicLinkValidation,
   registerValidation,
+  resendVerificationValidation,
   resetPasswordValidation,
+  secureAccountValidation,
+  twoFactorCodeValidation,
+  verifyEmailValidation,
+  verifyMagicLinkValidation,
 } from '../validations/auth.validation.js';
 
 const router = Router();
 
 // Rutas de autenticación con middlewares de autorización
 
-// Aplicar rate limiting a todas las rutas de auth
-router.use(generalLimiter);
+// El limitador general se aplica a toda la API en app.js (aplicarlo de nuevo contaría doble)
 
 // RUTAS PÚBLICAS (solo invitados)
 // POST /register - Registro de usuario
 router.post(
   '/register',
+  registerLimiter, // Límite de registros por IP
   authRules.guestOnly, // Solo usuarios no autenticados
   validateRequest(registerValidation),
   AuthController.register
@@ -30,14 +48,51 @@ router.post(
 // POST /login - Inicio de sesión
 router.post(
   '/login',
+  loginLimiter, // Protección anti fuerza bruta por IP
   authRules.guestOnly, // Solo usuarios no autenticados
   validateRequest(loginValidation),
   AuthController.login
 );
 
+// POST /login/2fa - Segundo paso del login cuando el usuario tiene 2FA activado
+router.post(
+  '/login/2fa',
+  loginLimiter, // Mismo límite anti fuerza bruta que el login
+  authRules.guestOnly, // Solo usuarios no autenticados
+  validateRequest(loginTwoFactorValidation),
+  AuthController.verifyLoginTwoFactor
+);
+
+// POST /magic-link - Solicitar enlace de acceso sin contraseña por email
+router.post(
+  '/magic-link',
+  magicLinkLimiter, // Límite de envíos por IP
+  magicLinkEmailLimiter, // Límite de envíos a un mismo email
+  authRules.guestOnly, // Solo usuarios no autenticados
+  validateRequest(magicLinkValidation),
+  AuthController.requestMagicLink
+);
+
+// POST /magic-link/verify - Canjear el enlace por los tokens (un solo uso)
+router.post(
+  '/magic-link/verify',
+  loginLimiter, // Mismo límite anti fuerza bruta que el login
+  authRules.guestOnly, // Solo usuarios no autenticados
+  validateRequest(verifyMagicLinkValidation),
+  AuthController.verifyMagicLink
+);
+
+// LOGIN CON PROVEEDOR DE IDENTIDAD (OpenID Connect, si está configurado)
+// GET /oidc - Redirigir a la página de login del proveedor
+router.get('/oidc', loginLimiter, authRules.guestOnly, AuthController.oidcLogin);
+
+// GET /oidc/callback - Retorno del proveedor: vincula o crea la cuenta y emite los JWT
+router.get('/oidc/callback', loginLimiter, authRules.guestOnly, AuthController.oidcCallback);
+
 // POST /forgot-password - Solicitar recuperación de contraseña
 router.post(
   '/forgot-password',
+  forgotPasswordLimiter, // Límite de solicitudes de recuperación por IP
   authRules.guestOnly, // Solo usuarios no autenticados
   AuthController.requestPasswordReset
 );
@@ -50,6 +105,29 @@ router.post(
   AuthController.resetPassword
 );
 
+// VERIFICACIÓN DE EMAIL (pública, el token identifica al usuario)
+// POST /verify-email - Confirmar email con el token recibido
+router.post('/verify-email', validateRequest(verifyEmailValidation), AuthController.verifyEmail);
+
+// POST /resend-verification - Reenviar email de verificación
+router.post(
+  '/resend-verification',
+  verificationEmailLimiter, // Límite de reenvíos por IP
+  validateRequest(resendVerificationValidation),
+  AuthController.resendVerification
+);
+
+// AVISO DE LOGIN SOSPECHOSO (público, el token identifica al usuario)
+// POST /login-alert/secure - "No fui yo": cerrar todas las sesiones
+router.post(
+  '/login-alert/secure',
+  validateRequest(secureAccountValidation),
+  LoginHistoryController.secureAccount
+);
+
+// GET /csrf-token - Token CSRF de la sesión (enviarlo en X-CSRF-Token si se usa la cookie de sesión)
+router.get('/csrf-token', AuthController.csrfToken);
+
 // RUTAS AUTENTICADAS
 // GET /current - Usuario actual (DTO seguro sin información sensible)
 router.get(
@@ -67,6 +145,15 @@ router.post(
   AuthController.refreshToken
 );
 
+// PUT /password - Cambiar contraseña (cierra las sesiones en otros dispositivos)
+router.put(
+  '/password',
+  authenticateJWT,
+  authRules.accountOwner, // Solo el titular, nunca en suplantación
+  validateRequest(changePasswordValidation),
+  AuthController.changePassword
+);
+
 // POST /logout - Cerrar sesión
 router.post(
   '/logout',
@@ -75,4 +162,63 @@ router.post(
   AuthController.logout
 );
 
+// GET /login-history - Historial de intentos de login del usuario (?limit=)
+router.get(
+  '/login-history',
+  authenticateJWT,
+  authRules.authenticated,
+  LoginHistoryController.getLoginHistory
+);
+
+// SESIONES ACTIVAS (DISPOSITIVOS)
+// GET /sessions - Listar sesiones activas del usuario
+router.get('/sessions', authenticateJWT, authRules.authenticated, SessionController.getSessions);
+
+// DELETE /sessions - Cerrar sesión en todos los demás dispositivos
+router.delete(
+  '/sessions',
+  authenticateJWT,
+  authRules.accountOwner,
+  SessionController.revokeOtherSessions
+);
+
+// DELETE /sessions/:id - Cerrar una sesión específica
+router.delete(
+  '/sessions/:id',
+  authenticateJWT,
+  authRules.accountOwner,
+  SessionController.revokeSession
+);
+
+// AUTENTICACIÓN DE DOS FACTORES (2FA)
+// POST /2fa/setup - Iniciar enrolamiento (retorna secreto y URI otpauth)
+router.post('/2fa/setup', authenticateJWT, authRules.accountOwner, TwoFactorController.setup);
+
+// POST /2fa/enable - Confirmar enrolamiento con un código y obtener códigos de respaldo
+router.post(
+  '/2fa/enable',
+  authenticateJWT,
+  authRules.accountOwner,
+  validateRequest(twoFactorCodeValidation),
+  TwoFactorController.enable
+);
+
+// POST /2fa/disable - Desactivar 2FA (requiere código)
+router.post(
+  '/2fa/disable',
+  authenticateJWT,
+  authRules.accountOwner,
+  validateRequest(twoFactorCodeValidation),
+  TwoFactorController.disable
+);
+
+// POST /2fa/backup-codes - Regenerar códigos de respaldo (requiere código)
+router.post(
+  '/2fa/backup-codes',
+  authenticateJWT,
+  authRules.accountOwner,
+  validateRequest(twoFactorCodeValidation),
+  TwoFactorController.regenerateBackupCodes
+);
+
 export default router;
@@ -11,14 +11,14 @@ import {
 
 const router = Router();
 
-// Rutas de carritos - Solo para usuarios (no admins)
-// Solo usuarios pueden agregar productos a su carrito
+// Rutas de carritos - Solo roles con permiso use:cart
+// Solo esos usuarios pueden agregar productos a su carrito
 
 // Aplicar middleware JWT para detectar usuarios autenticados
 router.use(authenticateJWT);
 
 // Aplicar reglas específicas de carritos a todas las rutas
-router.use(authRules.carts); // Solo usuarios autenticados (no admins)
+router.use(authRules.carts); // Usuarios con permiso use:cart
 
 // OPERACIONES DE CARRITO
 // GET / - Obtener carrito del usuario
@@ -40,7 +40,7 @@ router.delete('/product/:pid', CartController.removeFromCart);
 // DELETE / - Limpiar carrito completo
 router.delete('/', CartController.clearCart);
 
-// POST /purchase - Procesar compra (genera ticket)
-router.post('/purchase', CartController.purchaseCart);
+// POST /purchase - Procesar compra (genera ticket, requiere email verificado)
+router.post('/purchase', authRules.purchase, CartController.purchaseCart);
 
 export default router;
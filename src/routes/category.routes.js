@@ -0,0 +1,55 @@
+import { Router } from 'express';
+
+import CategoryController from '../controllers/category.controller.js';
+import { authRules } from '../middlewares/auth.middleware.js';
+import { authenticateJWT } from '../middlewares/jwt.middleware.js';
+import { adminLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { validateRequest } from '../middlewares/validation.middleware.js';
+import {
+  createCategoryValidation,
+  updateCategoryValidation,
+} from '../validations/category.validation.js';
+
+const router = Router();
+
+// Rutas del árbol de categorías
+// Lectura pública, gestión con permiso manage:categories
+
+// RUTAS PÚBLICAS (lectura)
+// GET / - Árbol de categorías
+router.get('/', CategoryController.getCategories);
+
+// GET /:slug - Categoría con sus subcategorías
+router.get('/:slug', CategoryController.getCategory);
+
+// RUTAS RESTRINGIDAS (permiso manage:categories)
+// POST / - Crear categoría (con parent para crear una subcategoría)
+router.post(
+  '/',
+  authenticateJWT,
+  authRules.can('manage:categories'),
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  validateRequest(createCategoryValidation),
+  CategoryController.createCategory
+);
+
+// PATCH /:slug - Actualizar nombre, descripción o categoría padre
+router.patch(
+  '/:slug',
+  authenticateJWT,
+  authRules.can('manage:categories'),
+  adminLimiter,
+  validateRequest(updateCategoryValidation),
+  CategoryController.updateCategory
+);
+
+// DELETE /:slug - Eliminar categoría sin subcategorías ni productos
+router.delete(
+  '/:slug',
+  authenticateJWT,
+  authRules.can('manage:categories'),
+  adminLimiter,
+  CategoryController.deleteCategory
+);
+
+export default router;
@@ -1,61 +1,92 @@
 import { Router } from 'express';
 
 import ProductController from '../controllers/product.controller.js';
+import { authenticateApiKey } from '../middlewares/apiKey.middleware.js';
 import { authRules } from '../middlewares/auth.middleware.js';
 import { authenticateJWT } from '../middlewares/jwt.middleware.js';
-import { validateRequest } from '../middlewares/validation.middleware.js';
+import { validateQuery, validateRequest } from '../middlewares/validation.middleware.js';
 import {
   createProductValidation,
+  productSearchValidation,
+  productSuggestValidation,
+  searchMissesValidation,
   updateProductValidation,
 } from '../validations/product.validation.js';
 
 const router = Router();
 
-// Rutas de productos con autorización basada en roles
-// Solo admin y premium pueden crear/actualizar/eliminar productos
+// Rutas de productos con autorización basada en permisos
+// Solo roles con permisos de catálogo pueden crear/actualizar/eliminar productos
 
 // RUTAS PÚBLICAS (lectura)
-// GET / - Obtener todos los productos (público)
-router.get('/', ProductController.getAllProducts);
+// GET / - Búsqueda facetada de productos con conteos por categoría, precio y disponibilidad (público)
+router.get('/', validateQuery(productSearchValidation), ProductController.getAllProducts);
+
+// GET /suggest?q= - Autocompletado por prefijo de título, código y categoría (público)
+router.get('/suggest', validateQuery(productSuggestValidation), ProductController.suggestProducts);
+
+// GESTIÓN DE BÚSQUEDAS SIN RESULTADOS (gestores del catálogo completo)
+// Se registran antes de /:pid para que no se interpreten como un ID de producto
+// GET /search-misses - Búsquedas sin resultados más repetidas
+router.get(
+  '/search-misses',
+  authenticateJWT,
+  authRules.can('update:all-products'),
+  validateQuery(searchMissesValidation),
+  ProductController.getSearchMisses
+);
+
+// DELETE /search-misses/:id - Descartar una búsqueda ya corregida
+router.delete(
+  '/search-misses/:id',
+  authenticateJWT,
+  authRules.can('update:all-products'),
+  ProductController.deleteSearchMiss
+);
 
 // GET /:pid - Obtener producto por ID (público)
 router.get('/:pid', ProductController.getProductById);
 
-// RUTAS RESTRINGIDAS (admin y premium)
-// POST / - Crear producto (admin y premium)
+// RUTAS RESTRINGIDAS (permisos de catálogo)
+// POST / - Crear producto
 router.post(
   '/',
+  authenticateApiKey('products:write'), // Integraciones con API key
   authenticateJWT,
-  authRules.products.modify, // Permite admin y premium
+  authRules.can('create:products'), // Vendedores y administradores
   validateRequest(createProductValidation),
   ProductController.createProduct
 );
 
-// PUT /:pid - Actualizar producto (admin y premium con ownership)
+// PUT /:pid - Actualizar producto (propio, o cualquiera con update:all-products)
 router.put(
   '/:pid',
+  authenticateApiKey('products:write'), // Integraciones con API key
   authenticateJWT,
-  authRules.products.modify, // Permite admin y premium
-  authRules.ownership('product'), // Premium solo sus productos, admin cualquiera
+  authRules.can('update:own-products', 'update:all-products'),
+  authRules.ownership('product', 'update:all-products'), // Solo sus productos salvo update:all-products
   validateRequest(updateProductValidation),
   ProductController.updateProduct
 );
 
-// DELETE /:pid - Eliminar producto (admin y premium con ownership)
+// DELETE /:pid - Eliminar producto (propio, o cualquiera con delete:all-products)
 router.delete(
   '/:pid',
+  authenticateApiKey('products:write'), // Integraciones con API key
   authenticateJWT,
-  authRules.products.modify, // Permite admin y premium
-  authRules.ownership('product'), // Premium solo sus productos, admin cualquiera
+  authRules.can('delete:own-products', 'delete:all-products'),
+  authRules.ownership('product', 'delete:all-products'), // Solo sus productos salvo delete:all-products
   ProductController.deleteProduct
 );
 
 // RUTAS ESPECÍFICAS DE USUARIO
 // GET /owner/:ownerId - Obtener productos por propietario
-// Admin: puede ver cualquier propietario, Premium: solo puede ver sus propios productos
+// Con update:all-products puede ver cualquier propietario, si no solo sus propios productos
 router.get(
   '/owner/:ownerId?',
-  authRules.adminOrPremium, // Admin o premium
+  authenticateApiKey('products:read'), // Integraciones con API key
+  authenticateJWT,
+  authRules.can('update:own-products', 'update:all-products'), // Gestores de catálogo
   ProductController.getProductsByOwner
 );
 
@@ -0,0 +1,42 @@
+import { Router } from 'express';
+
+import RoleController from '../controllers/role.controller.js';
+import { authRules } from '../middlewares/auth.middleware.js';
+import { authenticateJWT } from '../middlewares/jwt.middleware.js';
+import { adminLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { validateRequest } from '../middlewares/validation.middleware.js';
+import {
+  createRoleValidation,
+  rateLimitValidation,
+  updateRoleValidation,
+} from '../validations/role.validation.js';
+
+const router = Router();
+
+// Rutas de gestión de roles y permisos (permiso manage:roles)
+
+// Aplicar middleware JWT y permiso de gestión de roles a todas las rutas
+router.use(authenticateJWT);
+router.use(authRules.can('manage:roles'));
+router.use(adminLimiter); // Límite de solicitudes administrativas por usuario
+
+// GET / - Listar roles y permisos disponibles
+router.get('/', RoleController.getRoles);
+
+// POST / - Crear rol personalizado
+router.post('/', validateRequest(createRoleValidation), RoleController.createRole);
+
+// PATCH /:name - Actualizar rol personalizado
+router.patch('/:name', validateRequest(updateRoleValidation), RoleController.updateRole);
+
+// PUT /:name/rate-limit - Configurar el límite de solicitudes del rol (incluye roles del sistema)
+router.put(
+  '/:name/rate-limit',
+  validateRequest(rateLimitValidation),
+  RoleController.updateRateLimit
+);
+
+// DELETE /:name - Eliminar rol personalizado sin usuarios asignados
+router.delete('/:name', RoleController.deleteRole);
+
+export default router;
@@ -1,13 +1,47 @@
 import { Router } from 'express';
 
+import PremiumRequestController from '../controllers/premiumRequest.controller.js';
 import UserController from '../controllers/user.controller.js';
-import { authRules } from '../middlewares/auth.middleware.js';
+import { authenticateApiKey } from '../middlewares/apiKey.middleware.js';
+import { authRules, forbidImpersonation } from '../middlewares/auth.middleware.js';
 import { authenticateJWT } from '../middlewares/jwt.middleware.js';
+import { adminLimiter } from '../middlewares/rateLimiter.middleware.js';
+import { validateRequest } from '../middlewares/validation.middleware.js';
+import {
+  accountErasureValidation,
+  banUserValidation,
+  confirmEmailChangeValidation,
+  deactivateUserValidation,
+  deleteUserValidation,
+  emailChangeValidation,
+  impersonationValidation,
+  premiumRequestValidation,
+  rejectPremiumRequestValidation,
+  updateProfileValidation,
+} from '../validations/user.validation.js';
 
 const router = Router();
 
 // Rutas de usuarios con autorización basada en roles
 
+// RUTAS PÚBLICAS (antes del middleware JWT)
+// POST /current/email/confirm - Confirmar cambio de email con el token recibido (público)
+router.post(
+  '/current/email/confirm',
+  validateRequest(confirmEmailChangeValidation),
+  UserController.confirmEmailChange
+);
+
+// GET / - Obtener todos los usuarios (solo admin, también vía API key con scope users:read)
+router.get(
+  '/',
+  authenticateApiKey('users:read'), // Integraciones con API key
+  authenticateJWT,
+  authRules.can('read:all-profiles'), // Ver todos los perfiles
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  UserController.getAllUsers
+);
+
 // Aplicar middleware JWT para detectar usuarios autenticados
 router.use(authenticateJWT);
 
@@ -19,32 +53,154 @@ router.get(
   UserController.getCurrentUser
 );
 
-// RUTAS ADMINISTRATIVAS (solo admin)
-// GET / - Obtener todos los usuarios (solo admin)
+// PATCH /current - Actualizar perfil propio (nombre, apellido, edad)
+router.patch(
+  '/current',
+  authRules.authenticated, // Cualquier usuario autenticado
+  validateRequest(updateProfileValidation),
+  UserController.updateCurrentUser
+);
+
+// POST /current/email - Solicitar cambio de email (confirmación al nuevo, aviso al actual)
+router.post(
+  '/current/email',
+  authRules.accountOwner, // Solo el titular, nunca en suplantación
+  validateRequest(emailChangeValidation),
+  UserController.requestEmailChange
+);
+
+// DATOS PERSONALES
+// GET /current/export - Descargar todos los datos personales (perfil, carritos, tickets, logins, productos)
 router.get(
-  '/',
-  authRules.adminOnly, // Solo administradores
-  UserController.getAllUsers
+  '/current/export',
+  authRules.accountOwner, // Solo el titular, nunca en suplantación
+  UserController.exportCurrentUserData
+);
+
+// DELETE /current - Solicitar la eliminación de la cuenta (tras el período de gracia)
+router.delete(
+  '/current',
+  authRules.accountOwner, // Solo el titular, nunca en suplantación
+  validateRequest(accountErasureValidation),
+  UserController.requestAccountErasure
+);
+
+// DELETE /current/erasure - Cancelar la eliminación programada
+router.delete(
+  '/current/erasure',
+  authRules.accountOwner, // Solo el titular, nunca en suplantación
+  UserController.cancelAccountErasure
 );
 
+// SOLICITUDES PREMIUM (upgrade a vendedor)
+// POST /premium-request - Solicitar upgrade a premium con datos del negocio
+router.post(
+  '/premium-request',
+  authRules.authenticated, // Cualquier usuario autenticado
+  validateRequest(premiumRequestValidation),
+  PremiumRequestController.createRequest
+);
+
+// GET /premium-requests - Listar solicitudes (solo admin, filtro ?status=)
+router.get(
+  '/premium-requests',
+  authRules.can('manage:premium-requests'), // Gestionar solicitudes premium
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  PremiumRequestController.getAllRequests
+);
+
+// PATCH /premium-requests/:rid/approve - Aprobar solicitud (solo admin)
+router.patch(
+  '/premium-requests/:rid/approve',
+  authRules.can('manage:premium-requests'), // Gestionar solicitudes premium
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  PremiumRequestController.approveRequest
+);
+
+// PATCH /premium-requests/:rid/reject - Rechazar solicitud con motivo (solo admin)
+router.patch(
+  '/premium-requests/:rid/reject',
+  authRules.can('manage:premium-requests'), // Gestionar solicitudes premium
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  validateRequest(rejectPremiumRequestValidation),
+  PremiumRequestController.rejectRequest
+);
+
+// RUTAS ADMINISTRATIVAS (solo admin)
 // GET /:uid - Obtener usuario por ID (solo admin)
 router.get(
   '/:uid',
-  authRules.adminOnly, // Solo administradores
+  authRules.can('read:all-profiles'), // Ver todos los perfiles
+  adminLimiter, // Límite de solicitudes administrativas por usuario
   UserController.getUserById
 );
 
 // PUT /:uid - Actualizar usuario (solo admin)
 router.put(
   '/:uid',
-  authRules.adminOnly, // Solo administradores
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
   UserController.updateUser
 );
 
-// DELETE /:uid - Eliminar usuario (solo admin)
+// PATCH /:uid/unlock - Desbloquear cuenta bloqueada por intentos fallidos (solo admin)
+router.patch(
+  '/:uid/unlock',
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  UserController.unlockUser
+);
+
+// PATCH /:uid/deactivate - Desactivar cuenta y cerrar sus sesiones (solo admin)
+router.patch(
+  '/:uid/deactivate',
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  validateRequest(deactivateUserValidation),
+  UserController.deactivateUser
+);
+
+// PATCH /:uid/activate - Reactivar cuenta desactivada (solo admin)
+router.patch(
+  '/:uid/activate',
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  UserController.activateUser
+);
+
+// POST /:uid/ban - Suspender cuenta con motivo y vencimiento opcional (solo admin)
+router.post(
+  '/:uid/ban',
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  validateRequest(banUserValidation),
+  UserController.banUser
+);
+
+// DELETE /:uid/ban - Levantar suspensión (solo admin)
+router.delete(
+  '/:uid/ban',
+  authRules.can('update:all-profiles'), // Modificar cualquier perfil
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  UserController.unbanUser
+);
+
+// POST /:uid/impersonate - Token de corta duración para ver la API como el usuario (soporte)
+router.post(
+  '/:uid/impersonate',
+  authRules.can('impersonate:users'), // Suplantar usuarios
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  forbidImpersonation, // Sin suplantaciones encadenadas
+  validateRequest(impersonationValidation),
+  UserController.impersonateUser
+);
+
+// DELETE /:uid - Baja lógica: anonimiza, conserva tickets y transfiere o despublica productos (solo admin)
 router.delete(
   '/:uid',
-  authRules.adminOnly, // Solo administradores
+  authRules.can('delete:users'), // Eliminar usuarios
+  adminLimiter, // Límite de solicitudes administrativas por usuario
+  validateRequest(deleteUserValidation),
   UserController.deleteUser
 );
 
@@ -0,0 +1,139 @@
+import { createHash, randomBytes } from 'crypto';
+
+import apiKeyDAO from '../dao/apiKey.dao.js';
+import userDAO from '../dao/user.dao.js';
+import { ApiKeyDTO } from '../dto/index.js';
+import { API_KEY_SCOPE_PERMISSIONS, API_KEY_SCOPES } from '../models/ApiKey.model.js';
+import { logger } from '../utils/logger.util.js';
+
+import roleService from './role.service.js';
+
+// Prefijo que identifica las API keys de la aplicación
+const KEY_PREFIX = 'ek_';
+
+// Servicio de API keys para clientes máquina a máquina (ERP, integraciones)
+class ApiKeyService {
+  // Scopes que puede otorgar (y usar) cada rol según sus permisos
+  allowedScopesForRole(role) {
+    return API_KEY_SCOPES.filter((scope) =>
+      roleService.hasPermission(role, ...API_KEY_SCOPE_PERMISSIONS.get(scope))
+    );
+  }
+
+  // Crear API key: retorna el valor completo una única vez
+  async create(owner, { name, scopes, expiresInDays }) {
+    this._assertScopesAllowed(owner.role, scopes);
+
+    const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const apiKey = await apiKeyDAO.create({
+      name,
+      owner: owner._id,
+      prefix: key.slice(0, 10),
+      keyHash: this._hashKey(key),
+      scopes,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    });
+
+    logger.logSecurityEvent('API_KEY_CREATED', {
+      apiKeyId: apiKey._id.toString(),
+      owner: owner.email,
+      scopes,
+    });
+
+    return { apiKey: ApiKeyDTO.fromApiKey(apiKey), key };
+  }
+
+  // Listar API keys: con manage:api-keys todas, si no solo las propias
+  async list(user) {
+    const filter = this._canManageAll(user) ? {} : { owner: user._id };
+    const apiKeys = await apiKeyDAO.findAll(filter);
+    return apiKeys.map((apiKey) => ApiKeyDTO.fromApiKey(apiKey));
+  }
+
+  // Cambiar scopes (dueño o manage:api-keys); los scopes se validan contra el rol del dueño
+  async updateScopes(user, id, scopes) {
+    const apiKey = await this._findManageable(user, id);
+    if (!apiKey) {
+      return null;
+    }
+
+    this._assertScopesAllowed(apiKey.owner.role, scopes);
+    const updated = await apiKeyDAO.updateScopes(id, scopes);
+
+    logger.logSecurityEvent('API_KEY_SCOPES_UPDATED', {
+      apiKeyId: id,
+      updatedBy: user.email,
+      scopes,
+    });
+    return updated ? ApiKeyDTO.fromApiKey(updated) : null;
+  }
+
+  // Revocar API key (dueño o manage:api-keys)
+  async revoke(user, id) {
+    const apiKey = await this._findManageable(user, id);
+    if (!apiKey) {
+      return null;
+    }
+
+    const revoked = await apiKeyDAO.revoke(id, user._id);
+
+    logger.logSecurityEvent('API_KEY_REVOKED', { apiKeyId: id, revokedBy: user.email });
+    return revoked ? ApiKeyDTO.fromApiKey(revoked) : null;
+  }
+
+  // Autenticar una request por API key: retorna la key, su dueño y los scopes efectivos
+  async authenticate(key, ip) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await apiKeyDAO.findByHash(this._hashKey(key));
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    // El dueño debe seguir activo y sin suspensión; si perdió el rol, pierde también los scopes
+    const user = await userDAO.findById(apiKey.owner);
+    const allowedScopes =
+      user?.isActive && !user.isBanned() ? this.allowedScopesForRole(user.role) : [];
+    const scopes = apiKey.scopes.filter((scope) => allowedScopes.includes(scope));
+    if (!scopes.length) {
+      return null;
+    }
+
+    await apiKeyDAO.markUsed(apiKey._id, ip);
+    return { apiKey, user, scopes };
+  }
+
+  // Métodos privados
+  async _findManageable(user, id) {
+    const apiKey = await apiKeyDAO.findById(id);
+    if (!apiKey || apiKey.revokedAt) {
+      return null;
+    }
+
+    // Sin manage:api-keys solo se gestionan las keys propias
+    if (!this._canManageAll(user) && apiKey.owner._id.toString() !== user._id.toString()) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  _canManageAll(user) {
+    return roleService.hasPermission(user.role, 'manage:api-keys');
+  }
+
+  _assertScopesAllowed(role, scopes) {
+    const allowed = this.allowedScopesForRole(role);
+    const invalid = scopes.filter((scope) => !allowed.includes(scope));
+    if (invalid.length) {
+      throw new Error(`Scopes no permitidos para el rol ${role}: ${invalid.join(', ')}`);
+    }
+  }
+
+  _hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,200 @@
+import categoryDAO from '../dao/category.dao.js';
+import productDAO from '../dao/product.dao.js';
+import { CategoryDTO } from '../dto/index.js';
+import { DEFAULT_CATEGORIES } from '../models/Category.model.js';
+import { logger } from '../utils/logger.util.js';
+
+// Tiempo de vida del caché de categorías (otras instancias pueden modificarlas)
+const CACHE_TTL_MS = parseInt(process.env.CATEGORY_CACHE_TTL_MS) || 60 * 1000;
+
+// Servicio del árbol de categorías con caché en memoria
+// Lo usan la validación de productos y el filtro por categoría (que incluye las subcategorías)
+class CategoryService {
+  constructor() {
+    this._index([]);
+    this.loadedAt = 0;
+  }
+
+  // Crear las categorías iniciales si la colección está vacía y cargar el caché (al iniciar)
+  async initialize() {
+    if ((await categoryDAO.count()) === 0) {
+      await Promise.all(DEFAULT_CATEGORIES.map((category) => categoryDAO.upsertDefault(category)));
+      logger.info('🗂️ Categorías iniciales creadas');
+    }
+    await this.refresh();
+    logger.info(`🗂️ Categorías cargadas: ${this.bySlug.size}`);
+  }
+
+  // Recargar el caché desde la base de datos
+  async refresh() {
+    this._index(await categoryDAO.findAll());
+    this.loadedAt = Date.now();
+  }
+
+  // Recargar el caché si venció (si falla, se mantiene el caché anterior)
+  async refreshIfStale() {
+    if (Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.error('❌ Error recargando categorías, se usa el caché anterior:', error);
+    }
+  }
+
+  // Verificar si la categoría existe
+  exists(slug) {
+    return this.bySlug.has(slug);
+  }
+
+  // Slug de la categoría y de todas sus subcategorías (para filtrar productos)
+  getWithDescendants(slug) {
+    const category = this.bySlug.get(slug);
+    if (!category) {
+      return [slug];
+    }
+    return [
+      slug,
+      ...this._children(category).flatMap((child) => this.getWithDescendants(child.slug)),
+    ];
+  }
+
+  // Árbol completo de categorías
+  getTree() {
+    return (this.childrenByParent.get(null) || []).map((category) => this._toNode(category));
+  }
+
+  // Una categoría con sus subcategorías (null si no existe)
+  getSubtree(slug) {
+    const category = this.bySlug.get(slug);
+    return category ? this._toNode(category) : null;
+  }
+
+  // Categorías cuyo slug o alguna palabra del nombre empieza con el texto (autocompletado)
+  suggest(prefix, limit = 5) {
+    const text = prefix.trim().toLowerCase();
+    return [...this.bySlug.values()]
+      .filter(
+        (category) =>
+          category.slug.startsWith(text) ||
+          category.name
+            .toLowerCase()
+            .split(/\s+/)
+            .some((word) => word.startsWith(text))
+      )
+      .slice(0, limit)
+      .map((category) => this._toDTO(category));
+  }
+
+  // Crear categoría (opcionalmente dentro de otra)
+  async create({ slug, name, description, parent }) {
+    if (await categoryDAO.findBySlug(slug)) {
+      throw new Error(`La categoría ${slug} ya existe`);
+    }
+
+    const parentCategory = await this._findParent(parent);
+    const category = await categoryDAO.create({
+      slug,
+      name,
+      description,
+      parent: parentCategory?._id || null,
+    });
+    await this.refresh();
+
+    logger.info(`🗂️ Categoría creada: ${category.slug}`);
+    return this._toDTO(category);
+  }
+
+  // Actualizar nombre, descripción o categoría padre (retorna null si no existe)
+  async update(slug, { parent, ...updateData }) {
+    await this.refresh();
+    if (!this.exists(slug)) {
+      return null;
+    }
+
+    // null mueve la categoría a la raíz
+    if (parent !== undefined) {
+      if (parent && this.getWithDescendants(slug).includes(parent)) {
+        throw new Error(
+          'Una categoría no puede moverse dentro de sí misma ni de sus subcategorías'
+        );
+      }
+      updateData.parent = (await this._findParent(parent))?._id || null;
+    }
+
+    const category = await categoryDAO.updateBySlug(slug, updateData);
+    await this.refresh();
+
+    logger.info(`🗂️ Categoría actualizada: ${category.slug}`);
+    return this._toDTO(category);
+  }
+
+  // Eliminar categoría sin subcategorías ni productos (retorna null si no existe)
+  async delete(slug) {
+    const category = await categoryDAO.findBySlug(slug);
+    if (!category) {
+      return null;
+    }
+
+    const children = await categoryDAO.countChildren(category._id);
+    if (children > 0) {
+      throw new Error(`No se puede eliminar la categoría: tiene ${children} subcategorías`);
+    }
+
+    const products = await productDAO.countByCategory(category.slug);
+    if (products > 0) {
+      throw new Error(`No se puede eliminar la categoría: tiene ${products} productos`);
+    }
+
+    await categoryDAO.deleteBySlug(category.slug);
+    await this.refresh();
+
+    logger.info(`🗂️ Categoría eliminada: ${category.slug}`);
+    return this._toDTO(category);
+  }
+
+  // Métodos privados
+  _index(categories) {
+    this.bySlug = new Map(categories.map((category) => [category.slug, category]));
+    this.byId = new Map(categories.map((category) => [category._id.toString(), category]));
+    this.childrenByParent = new Map();
+
+    for (const category of categories) {
+      const parentKey = category.parent?.toString() || null;
+      const siblings = this.childrenByParent.get(parentKey) || [];
+      this.childrenByParent.set(parentKey, [...siblings, category]);
+    }
+  }
+
+  _children(category) {
+    return this.childrenByParent.get(category._id.toString()) || [];
+  }
+
+  _toDTO(category) {
+    const parent = category.parent ? this.byId.get(category.parent.toString()) : null;
+    return CategoryDTO.fromCategory(category, parent?.slug);
+  }
+
+  _toNode(category) {
+    return {
+      ...this._toDTO(category),
+      children: this._children(category).map((child) => this._toNode(child)),
+    };
+  }
+
+  async _findParent(slug) {
+    if (!slug) {
+      return null;
+    }
+
+    const parent = await categoryDAO.findBySlug(slug);
+    if (!parent) {
+      throw new Error(`La categoría padre ${slug} no existe`);
+    }
+    return parent;
+  }
+}
+
+export default new CategoryService();
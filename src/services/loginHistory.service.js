@@ -0,0 +1,127 @@
+import loginHistoryDAO from '../dao/loginHistory.dao.js';
+import userDAO from '../dao/user.dao.js';
+import { LoginHistoryDTO } from '../dto/index.js';
+import { emailService } from '../utils/email.util.js';
+import { jwtService } from '../utils/jwt.util.js';
+import { logger } from '../utils/logger.util.js';
+
+import refreshTokenService from './refreshToken.service.js';
+
+// Intentos fallidos desde el último login exitoso a partir de los cuales el login es sospechoso
+const FAILURE_THRESHOLD = parseInt(process.env.LOGIN_ALERT_FAILURE_THRESHOLD) || 3;
+
+// Servicio de historial de logins y detección de accesos sospechosos
+class LoginHistoryService {
+  // Listar los últimos intentos de login del usuario
+  async listForUser(userId, limit) {
+    const entries = await loginHistoryDAO.findByUser(userId, limit);
+    return entries.map((entry) => LoginHistoryDTO.fromEntry(entry));
+  }
+
+  // Registrar login exitoso; si es sospechoso se avisa al usuario por email
+  async recordSuccess(user, { userAgent, ip }, method = 'password') {
+    try {
+      const suspiciousReasons = await this._detectSuspicious(user._id, userAgent);
+
+      await loginHistoryDAO.create({
+        user: user._id,
+        email: user.email,
+        ip,
+        userAgent,
+        success: true,
+        method,
+        suspicious: suspiciousReasons.length > 0,
+        suspiciousReasons,
+      });
+
+      if (suspiciousReasons.length > 0) {
+        logger.logSecurityEvent('SUSPICIOUS_LOGIN', {
+          userId: user._id.toString(),
+          email: user.email,
+          reasons: suspiciousReasons,
+          ip,
+          userAgent,
+        });
+        await this._sendAlert(user, { userAgent, ip }, suspiciousReasons);
+      }
+    } catch (error) {
+      // El historial nunca debe impedir el login
+      logger.error(`❌ Error registrando login de ${user.email}:`, error);
+    }
+  }
+
+  // Registrar intento fallido (por usuario conocido o por el email ingresado)
+  async recordFailure({ user, email }, { userAgent, ip }, reason, method = 'password') {
+    try {
+      const account = user || (await userDAO.findByEmail(email));
+
+      await loginHistoryDAO.create({
+        user: account?._id,
+        email: account ? account.email : email,
+        ip,
+        userAgent,
+        success: false,
+        method,
+        failureReason: reason,
+      });
+    } catch (error) {
+      logger.error('❌ Error registrando login fallido:', error);
+    }
+  }
+
+  // "No fui yo": cerrar todas las sesiones e invalidar los access tokens del usuario
+  async secureAccount(token) {
+    const decoded = jwtService.verifyLoginAlertToken(token);
+    const user = await userDAO.findById(decoded.id);
+
+    // El enlace deja de valer si los tokens ya se revocaron (cambio de contraseña, otro aviso, etc.)
+    if (!user || (user.tokenVersion || 0) !== decoded.tv) {
+      throw new Error('El enlace ya fue utilizado o no es válido');
+    }
+
+    await refreshTokenService.revokeAllForUser(user._id, 'login-alert');
+    await userDAO.incrementTokenVersion(user._id);
+
+    logger.logSecurityEvent('ACCOUNT_SECURED_FROM_ALERT', {
+      userId: user._id.toString(),
+      email: user.email,
+    });
+    return user;
+  }
+
+  // Métodos privados
+  async _detectSuspicious(userId, userAgent) {
+    const lastSuccess = await loginHistoryDAO.findLastSuccess(userId);
+    const reasons = [];
+
+    // Sin logins previos no hay dispositivos conocidos con qué comparar
+    if (lastSuccess && !(await loginHistoryDAO.existsSuccessFromDevice(userId, userAgent))) {
+      reasons.push('new-device');
+    }
+
+    const failures = await loginHistoryDAO.countFailuresSince(
+      userId,
+      lastSuccess?.createdAt ?? new Date(0)
+    );
+    if (failures >= FAILURE_THRESHOLD) {
+      reasons.push('after-failures');
+    }
+
+    return reasons;
+  }
+
+  _sendAlert(user, device, reasons) {
+    const token = jwtService.generateLoginAlertToken(user);
+    return emailService.sendSuspiciousLoginAlert(
+      user.email,
+      `${user.first_name} ${user.last_name}`,
+      {
+        ...device,
+        reasons,
+        token,
+      }
+    );
+  }
+}
+
+export default new LoginHistoryService();
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+
+import refreshTokenDAO from '../dao/refreshToken.dao.js';
+import sessionDAO from '../dao/session.dao.js';
+import userDAO from '../dao/user.dao.js';
+import { jwtService } from '../utils/jwt.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Servicio de refresh tokens con rotación y detección de reutilización
+// Cada refresh invalida el token usado; reutilizar uno ya rotado revoca toda la familia
+// La familia es el ID de la sesión (dispositivo) abierta en el login
+class RefreshTokenService {
+  // Emitir par de tokens y registrar el refresh token (hasheado) en la base de datos
+  // Sin familia se abre una nueva sesión; las rotaciones reutilizan la de su familia
+  async issueTokenPair(user, { family, userAgent, ip } = {}) {
+    const sessionId = family || (await this._openSession(user, { userAgent, ip }));
+    const tokens = jwtService.generateTokenPair(user, sessionId);
+    const { payload } = jwtService.decodeToken(tokens.refreshToken);
+    const expiresAt = new Date(payload.exp * 1000);
+
+    await refreshTokenDAO.create({
+      user: user._id,
+      jti: payload.jti,
+      tokenHash: this._hashToken(tokens.refreshToken),
+      family: sessionId,
+      userAgent,
+      ip,
+      expiresAt,
+    });
+    await sessionDAO.touch(sessionId, { userAgent, ip, expiresAt });
+
+    return tokens;
+  }
+
+  // Rotar refresh token: invalida el actual y emite un nuevo par en la misma familia
+  async rotate(refreshToken, { userAgent, ip } = {}) {
+    const decoded = jwtService.verifyRefreshToken(refreshToken);
+    const stored = await refreshTokenDAO.findByJti(decoded.jti);
+
+    if (!stored || stored.tokenHash !== this._hashToken(refreshToken)) {
+      throw new Error('Refresh token no reconocido');
+    }
+
+    // Marcar como rotado de forma atómica para evitar carreras entre requests simultáneos
+    const rotated = await refreshTokenDAO.markRotated(decoded.jti);
+    if (!rotated) {
+      await this._handleReuse(stored, ip);
+    }
+
+    // La sesión pudo ser cerrada desde otro dispositivo
+    if (!(await sessionDAO.findActiveById(stored.family))) {
+      await this.revokeSession(stored.family, 'session-revoked');
+      throw new Error('Sesión revocada');
+    }
+
+    const user = await userDAO.findById(stored.user);
+    if (!user || !user.isActive || user.isBanned()) {
+      await this.revokeSession(stored.family, 'user-inactive');
+      throw new Error('Usuario no encontrado o inactivo');
+    }
+
+    const tokens = await this.issueTokenPair(user, { family: stored.family, userAgent, ip });
+    const { payload } = jwtService.decodeToken(tokens.refreshToken);
+    await refreshTokenDAO.setReplacedBy(decoded.jti, payload.jti);
+
+    logger.auth(`Refresh token rotado para: ${user.email}`);
+    return { user, tokens };
+  }
+
+  // Revocar la familia del refresh token recibido (logout del dispositivo)
+  async revoke(refreshToken, userId, reason = 'logout') {
+    try {
+      const decoded = jwtService.verifyRefreshToken(refreshToken);
+      const stored = await refreshTokenDAO.findByJti(decoded.jti);
+
+      if (!stored || stored.user.toString() !== userId.toString()) {
+        return false;
+      }
+
+      await this.revokeSession(stored.family, reason);
+      logger.auth(`Refresh tokens revocados (${reason}) para familia: ${stored.family}`);
+      return true;
+    } catch (error) {
+      logger.warning(`No se pudo revocar refresh token: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Cerrar una sesión: revoca la sesión y todos los refresh tokens de su familia
+  async revokeSession(sessionId, reason) {
+    await refreshTokenDAO.revokeFamily(sessionId, reason);
+    return !!(await sessionDAO.revoke(sessionId, reason));
+  }
+
+  // Revocar todas las sesiones y refresh tokens de un usuario
+  async revokeAllForUser(userId, reason) {
+    await sessionDAO.revokeAllByUser(userId, reason);
+    const result = await refreshTokenDAO.revokeAllByUser(userId, reason);
+    logger.auth(`Refresh tokens revocados (${reason}) para usuario: ${userId}`);
+    return result.modifiedCount;
+  }
+
+  // Métodos privados
+  async _openSession(user, { userAgent, ip }) {
+    const session = await sessionDAO.create({ user: user._id, userAgent, ip });
+    logger.auth(`Sesión abierta para: ${user.email} (${userAgent})`);
+    return session._id.toString();
+  }
+
+  async _handleReuse(stored, ip) {
+    await this.revokeSession(stored.family, 'reuse-detected');
+
+    logger.logSecurityEvent('REFRESH_TOKEN_REUSE', {
+      userId: stored.user.toString(),
+      family: stored.family,
+      jti: stored.jti,
+      ip,
+    });
+
+    throw new Error('Reutilización de refresh token detectada');
+  }
+
+  _hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export default new RefreshTokenService();
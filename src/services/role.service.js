@@ -0,0 +1,142 @@
+import roleDAO from '../dao/role.dao.js';
+import userDAO from '../dao/user.dao.js';
+import { SELF_SCOPED_PERMISSIONS, SYSTEM_ROLES } from '../models/Role.model.js';
+import { logger } from '../utils/logger.util.js';
+
+// Tiempo de vida del caché de permisos (otras instancias pueden modificar los roles)
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000;
+
+// Servicio de roles y permisos con caché en memoria
+// Es la única fuente de permisos: la usan los middlewares de autorización y UserDTO
+class RoleService {
+  constructor() {
+    // Hasta cargar la base de datos se usan los roles del sistema
+    this.permissionsByRole = new Map(SYSTEM_ROLES.map((role) => [role.name, role.permissions]));
+    this.rateLimitsByRole = new Map(
+      SYSTEM_ROLES.map((role) => [role.name, role.requestsPerWindow])
+    );
+    this.loadedAt = 0;
+  }
+
+  // Sincronizar los roles del sistema y cargar el caché (al iniciar la aplicación)
+  async initialize() {
+    await Promise.all(SYSTEM_ROLES.map((role) => roleDAO.upsertSystemRole(role)));
+    await this.refresh();
+    logger.info(`🎭 Roles cargados: ${[...this.permissionsByRole.keys()].join(', ')}`);
+  }
+
+  // Recargar el caché desde la base de datos
+  async refresh() {
+    const roles = await roleDAO.findAll();
+    this.permissionsByRole = new Map(roles.map((role) => [role.name, role.permissions]));
+    this.rateLimitsByRole = new Map(roles.map((role) => [role.name, role.requestsPerWindow]));
+    this.loadedAt = Date.now();
+  }
+
+  // Recargar el caché si venció (si falla, se mantiene el caché anterior)
+  async refreshIfStale() {
+    if (Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.error('❌ Error recargando roles, se usa el caché anterior:', error);
+    }
+  }
+
+  // Permisos de un rol
+  getPermissions(role) {
+    return this.permissionsByRole.get(role) || [];
+  }
+
+  // Verificar si el rol tiene alguno de los permisos indicados
+  hasPermission(role, ...permissions) {
+    const granted = this.getPermissions(role);
+    return permissions.some((permission) => granted.includes(permission));
+  }
+
+  // Permisos sobre otros usuarios o el sistema de la lista que el rol del que asigna no tiene
+  // (vacío = puede otorgarlos sin escalar privilegios)
+  getPermissionsBeyond(permissions, assignerRole) {
+    const held = this.getPermissions(assignerRole);
+    return permissions.filter(
+      (permission) => !held.includes(permission) && !SELF_SCOPED_PERMISSIONS.includes(permission)
+    );
+  }
+
+  // Solicitudes por ventana del limitador general para el rol (null = límite por defecto)
+  getRateLimit(role) {
+    return this.rateLimitsByRole.get(role) || null;
+  }
+
+  // Verificar si el rol existe
+  exists(role) {
+    return this.permissionsByRole.has(role);
+  }
+
+  // Listar roles
+  list() {
+    return roleDAO.findAll();
+  }
+
+  // Crear rol personalizado
+  async create({ name, description, permissions }) {
+    if (await roleDAO.findByName(name)) {
+      throw new Error(`El rol ${name} ya existe`);
+    }
+
+    const role = await roleDAO.create({ name, description, permissions });
+    await this.refresh();
+
+    logger.logSecurityEvent('ROLE_CREATED', { role: role.name, permissions });
+    return role;
+  }
+
+  // Actualizar rol personalizado (retorna null si no existe o es del sistema)
+  async update(name, updateData) {
+    const role = await roleDAO.updateCustomRole(name, updateData);
+    if (!role) {
+      return null;
+    }
+
+    await this.refresh();
+
+    logger.logSecurityEvent('ROLE_UPDATED', { role: role.name, permissions: role.permissions });
+    return role;
+  }
+
+  // Configurar el límite de solicitudes de un rol (null vuelve al límite por defecto)
+  async setRateLimit(name, requestsPerWindow) {
+    const role = await roleDAO.setRateLimit(name, requestsPerWindow);
+    if (!role) {
+      return null;
+    }
+
+    await this.refresh();
+
+    logger.logSecurityEvent('ROLE_RATE_LIMIT_UPDATED', { role: role.name, requestsPerWindow });
+    return role;
+  }
+
+  // Eliminar rol personalizado sin usuarios asignados
+  async delete(name) {
+    const assignedUsers = await userDAO.countByRole(name);
+    if (assignedUsers > 0) {
+      throw new Error(`No se puede eliminar el rol: tiene ${assignedUsers} usuarios asignados`);
+    }
+
+    const role = await roleDAO.deleteCustomRole(name);
+    if (!role) {
+      return null;
+    }
+
+    await this.refresh();
+
+    logger.logSecurityEvent('ROLE_DELETED', { role: role.name });
+    return role;
+  }
+}
+
+export default new RoleService();
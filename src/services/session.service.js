@@ -0,0 +1,57 @@
+import sessionDAO from '../dao/session.dao.js';
+import { SessionDTO } from '../dto/index.js';
+import { logger } from '../utils/logger.util.js';
+
+import refreshTokenService from './refreshToken.service.js';
+
+// Intervalo mínimo entre actualizaciones de "última actividad" (evita una escritura por request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Servicio de sesiones activas (dispositivos) del usuario
+class SessionService {
+  // Listar sesiones vigentes marcando la del dispositivo actual
+  async listActive(userId, currentSessionId) {
+    const sessions = await sessionDAO.findActiveByUser(userId);
+    return sessions.map((session) => SessionDTO.fromSession(session, currentSessionId));
+  }
+
+  // Verificar que la sesión de un access token siga vigente y registrar actividad
+  async isActive(sessionId, userId) {
+    const session = await sessionDAO.findActiveById(sessionId);
+    if (!session || session.user.toString() !== userId.toString()) {
+      return false;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+      await sessionDAO.touch(sessionId);
+    }
+    return true;
+  }
+
+  // Cerrar una sesión del usuario
+  async revoke(userId, sessionId, reason = 'user-revoked') {
+    const session = await sessionDAO.findActiveById(sessionId);
+    if (!session || session.user.toString() !== userId.toString()) {
+      return false;
+    }
+
+    await refreshTokenService.revokeSession(sessionId, reason);
+    logger.auth(`Sesión ${sessionId} cerrada (${reason})`);
+    return true;
+  }
+
+  // Cerrar todas las sesiones excepto la actual
+  async revokeOthers(userId, currentSessionId) {
+    const sessions = await sessionDAO.findActiveByUser(userId);
+    const others = sessions.filter((session) => session.id !== currentSessionId);
+
+    await Promise.all(
+      others.map((session) => refreshTokenService.revokeSession(session.id, 'signed-out-elsewhere'))
+    );
+
+    logger.auth(`${others.length} sesiones cerradas para usuario: ${userId}`);
+    return others.length;
+  }
+}
+
+export default new SessionService();
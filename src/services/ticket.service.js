@@ -1,8 +1,13 @@
+import { createHmac } from 'crypto';
+
 import cartDAO from '../dao/cart.dao.js';
 import Ticket from '../models/Ticket.model.js';
 import productRepository from '../repositories/product.repository.js';
 import { logger } from '../utils/logger.util.js';
 
+// Secreto del seudónimo del comprador (obligatorio en producción, ver assertProductionSecrets)
+const PSEUDONYM_SECRET = process.env.PSEUDONYM_SECRET || 'your-super-secret-pseudonym-key';
+
 // Servicio de tickets para lógica de compra robusta
 // Maneja creación de tickets, verificación de stock y compras completas/incompletas
 class TicketService {
@@ -69,7 +74,9 @@ class TicketService {
         products: successfulProducts.map((item) => ({
           product: item.product._id,
           title: item.product.title,
-          price: item.product.price,
+          variant: item.variant?._id || null,
+          sku: item.variant?.sku,
+          price: item.price ?? item.product.price,
           quantity: item.quantity,
           subtotal: item.subtotal,
         })),
@@ -153,6 +160,43 @@ class TicketService {
     }
   }
 
+  // Todos los tickets de un usuario (exportación de datos personales)
+  async findAllByUser(userId) {
+    try {
+      return await Ticket.find({ user: userId }).sort({ purchase_datetime: -1 });
+    } catch (error) {
+      logger.error(`Error buscando tickets del usuario ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Seudonimizar los tickets de un usuario eliminado: se conserva lo que exige la contabilidad
+  // (código, montos, productos y pago), el email del comprador se reemplaza por un seudónimo estable
+  // y el ticket se desvincula de la cuenta
+  async pseudonymizePurchaser(userId) {
+    try {
+      const result = await Ticket.updateMany(
+        { user: userId },
+        {
+          $set: { purchaser: this._purchaserPseudonym(userId) },
+          $unset: { user: 1, shippingInfo: 1, failedProducts: 1 },
+        }
+      );
+      logger.info(`Tickets seudonimizados del usuario ${userId}: ${result.modifiedCount}`);
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error(`Error seudonimizando tickets del usuario ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Exigir un secreto propio para los seudónimos en producción (al iniciar la aplicación)
+  assertProductionSecrets() {
+    if (process.env.NODE_ENV === 'production' && !process.env.PSEUDONYM_SECRET) {
+      throw new Error('PSEUDONYM_SECRET es obligatorio en producción');
+    }
+  }
+
   // Obtener estadísticas de ventas
   async getSalesStats(startDate, endDate) {
     try {
@@ -196,7 +240,7 @@ class TicketService {
     try {
       // Remover productos comprados exitosamente del carrito en paralelo
       const removePromises = successfulProducts.map((item) =>
-        cartDAO.removeProduct(cartId, item.product._id)
+        cartDAO.removeProduct(cartId, item.product._id, item.variant?._id || null)
       );
 
       await Promise.all(removePromises);
@@ -219,6 +263,12 @@ class TicketService {
 
     return `Compra procesada parcialmente. ${successful.length} productos adquiridos, ${failed.length} productos sin stock suficiente.`;
   }
+
+  // Seudónimo del comprador: HMAC del ID de usuario (no reversible sin el secreto)
+  _purchaserPseudonym(userId) {
+    const digest = createHmac('sha256', PSEUDONYM_SECRET).update(userId.toString()).digest('hex');
+    return `anon-${digest.slice(0, 24)}`;
+  }
 }
 
 export default new TicketService();
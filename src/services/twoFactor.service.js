@@ -0,0 +1,146 @@
+import userDAO from '../dao/user.dao.js';
+import { logger } from '../utils/logger.util.js';
+import { totpService } from '../utils/totp.util.js';
+
+// Roles que deben tener 2FA activado para operar (ej: "admin,premium")
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+// Servicio de autenticación de dos factores (TOTP + códigos de respaldo)
+class TwoFactorService {
+  // Verificar si el rol tiene 2FA obligatorio
+  isRequiredForRole(role) {
+    return REQUIRED_ROLES.includes(role);
+  }
+
+  // Iniciar enrolamiento: genera un secreto pendiente y la URI otpauth
+  async startEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      throw new Error('La autenticación de dos factores ya está activada');
+    }
+
+    const secret = totpService.generateSecret();
+    await userDAO.setTwoFactorPendingSecret(user._id, secret);
+
+    logger.auth(`Enrolamiento 2FA iniciado para: ${user.email}`);
+    return { secret, otpauthUrl: totpService.buildOtpAuthUri(secret, user.email) };
+  }
+
+  // Confirmar enrolamiento con un código de la app: activa 2FA y retorna los códigos de respaldo
+  async confirmEnrollment(userId, code) {
+    const user = await userDAO.findById(userId);
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+
+    if (!pendingSecret) {
+      throw new Error('No hay un enrolamiento 2FA en curso');
+    }
+    if (totpService.verify(code, pendingSecret) === null) {
+      throw new Error('Código de verificación inválido');
+    }
+
+    const backupCodes = totpService.generateBackupCodes();
+    const hashes = backupCodes.map((backupCode) => totpService.hashBackupCode(backupCode));
+
+    const updated = await userDAO.enableTwoFactor(userId, pendingSecret, hashes);
+    if (!updated) {
+      throw new Error('No hay un enrolamiento 2FA en curso');
+    }
+
+    logger.logSecurityEvent('TWO_FACTOR_ENABLED', { userId: userId.toString(), email: user.email });
+    return backupCodes;
+  }
+
+  // Verificar un código TOTP o de respaldo (los de respaldo se consumen)
+  async verifyCode(user, code) {
+    if (!user.twoFactor?.enabled) {
+      return false;
+    }
+
+    const step = totpService.verify(code, user.twoFactor.secret);
+    if (step !== null) {
+      // Rechazar códigos ya usados (protección contra replay)
+      return !!(await userDAO.markTotpStepUsed(user._id, step));
+    }
+
+    const consumed = await userDAO.consumeBackupCode(user._id, totpService.hashBackupCode(code));
+    if (consumed) {
+      logger.security(`🎟️ Código de respaldo 2FA usado por: ${user.email}`, {
+        remaining: consumed.twoFactor.backupCodes.length,
+      });
+    }
+    return !!consumed;
+  }
+
+  // Registrar un código incorrecto en el mismo contador de intentos que el login
+  // Retorna la fecha de bloqueo si este fallo bloqueó la cuenta
+  async registerFailedCode(user) {
+    logger.warning(`🚫 Código 2FA incorrecto para: ${user.email}`);
+
+    const { lockUntil } = await user.incLoginAttempts();
+    if (lockUntil) {
+      logger.logSecurityEvent('ACCOUNT_LOCKED', {
+        userId: user._id.toString(),
+        email: user.email,
+      });
+    }
+    return lockUntil;
+  }
+
+  // Exigir un código válido para operaciones sensibles sobre el 2FA
+  // Los fallos cuentan para el bloqueo de cuenta, igual que en /login/2fa
+  async _requireValidCode(user, code) {
+    if (user.isLocked()) {
+      throw Object.assign(
+        new Error('Cuenta bloqueada temporalmente por múltiples intentos fallidos'),
+        { lockUntil: user.lockUntil }
+      );
+    }
+    if (await this.verifyCode(user, code)) {
+      return;
+    }
+
+    const lockUntil = await this.registerFailedCode(user);
+    if (lockUntil) {
+      throw Object.assign(
+        new Error('Cuenta bloqueada temporalmente por múltiples intentos fallidos'),
+        { lockUntil }
+      );
+    }
+    throw new Error('Código de verificación inválido');
+  }
+
+  // Desactivar 2FA (requiere un código válido)
+  async disable(user, code) {
+    if (this.isRequiredForRole(user.role)) {
+      throw new Error('La autenticación de dos factores es obligatoria para tu rol');
+    }
+    await this._requireValidCode(user, code);
+
+    await userDAO.disableTwoFactor(user._id);
+    logger.logSecurityEvent('TWO_FACTOR_DISABLED', {
+      userId: user._id.toString(),
+      email: user.email,
+    });
+  }
+
+  // Regenerar códigos de respaldo (invalida los anteriores)
+  async regenerateBackupCodes(user, code) {
+    await this._requireValidCode(user, code);
+
+    const backupCodes = totpService.generateBackupCodes();
+    await userDAO.setBackupCodes(
+      user._id,
+      backupCodes.map((backupCode) => totpService.hashBackupCode(backupCode))
+    );
+
+    logger.logSecurityEvent('TWO_FACTOR_BACKUP_CODES_REGENERATED', {
+      userId: user._id.toString(),
+      email: user.email,
+    });
+    return backupCodes;
+  }
+}
+
+export default new TwoFactorService();
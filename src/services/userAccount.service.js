@@ -0,0 +1,239 @@
+import { randomBytes } from 'crypto';
+
+import bcrypt from 'bcrypt';
+
+import apiKeyDAO from '../dao/apiKey.dao.js';
+import cartDAO from '../dao/cart.dao.js';
+import loginHistoryDAO from '../dao/loginHistory.dao.js';
+import productDAO from '../dao/product.dao.js';
+import userDAO from '../dao/user.dao.js';
+import { UserDTO } from '../dto/index.js';
+import { ACCOUNT_ERASURE_GRACE_DAYS } from '../models/User.model.js';
+import { emailService } from '../utils/email.util.js';
+import { logger } from '../utils/logger.util.js';
+
+import refreshTokenService from './refreshToken.service.js';
+import roleService from './role.service.js';
+import ticketService from './ticket.service.js';
+
+// Cada cuánto se buscan cuentas cuyo período de gracia de eliminación terminó
+const ERASURE_CHECK_INTERVAL_MS =
+  parseInt(process.env.ACCOUNT_ERASURE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Servicio del ciclo de vida de cuentas: desactivación, suspensión, baja lógica,
+// exportación de datos personales y eliminación solicitada por el usuario
+// Toda acción que restringe el acceso cierra las sesiones abiertas del usuario
+class UserAccountService {
+  // Desactivar cuenta (reversible)
+  async deactivate(user, admin, reason) {
+    const updated = await userDAO.setActive(user._id, false);
+    await refreshTokenService.revokeAllForUser(user._id, 'account-deactivated');
+
+    logger.logSecurityEvent('ACCOUNT_DEACTIVATED', {
+      userId: user._id.toString(),
+      email: user.email,
+      deactivatedBy: admin.email,
+      reason,
+    });
+
+    return UserDTO.fromUser(updated);
+  }
+
+  // Reactivar cuenta desactivada
+  async activate(user, admin) {
+    const updated = await userDAO.setActive(user._id, true);
+
+    logger.logSecurityEvent('ACCOUNT_ACTIVATED', {
+      userId: user._id.toString(),
+      email: user.email,
+      activatedBy: admin.email,
+    });
+
+    return UserDTO.fromUser(updated);
+  }
+
+  // Suspender cuenta con motivo; sin vencimiento la suspensión es permanente
+  async ban(user, admin, { reason, expiresAt = null }) {
+    const updated = await userDAO.setBan(user._id, {
+      reason,
+      bannedAt: new Date(),
+      expiresAt,
+      bannedBy: admin._id,
+    });
+    await refreshTokenService.revokeAllForUser(user._id, 'account-banned');
+
+    logger.logSecurityEvent('ACCOUNT_BANNED', {
+      userId: user._id.toString(),
+      email: user.email,
+      bannedBy: admin.email,
+      reason,
+      expiresAt,
+    });
+
+    return UserDTO.fromUser(updated);
+  }
+
+  // Levantar suspensión antes de su vencimiento
+  async unban(user, admin) {
+    const updated = await userDAO.clearBan(user._id);
+
+    logger.logSecurityEvent('ACCOUNT_UNBANNED', {
+      userId: user._id.toString(),
+      email: user.email,
+      unbannedBy: admin.email,
+    });
+
+    return UserDTO.fromUser(updated);
+  }
+
+  // Baja lógica: anonimiza al usuario, conserva sus tickets y transfiere o despublica sus productos
+  async softDelete(user, admin, { transferProductsTo } = {}) {
+    const newOwner = transferProductsTo
+      ? await this._findProductRecipient(transferProductsTo, user)
+      : null;
+
+    const productResult = newOwner
+      ? await productDAO.transferOwnership(user._id, newOwner._id)
+      : await productDAO.unpublishByOwner(user._id);
+
+    const deleted = await this._anonymizeAccount(user, admin._id, 'account-deleted');
+
+    const products = {
+      action: newOwner ? 'transferred' : 'unpublished',
+      count: productResult.modifiedCount,
+      newOwner: newOwner?.email,
+    };
+
+    logger.logSecurityEvent('ACCOUNT_DELETED', {
+      userId: user._id.toString(),
+      email: user.email,
+      deletedBy: admin.email,
+      products,
+    });
+
+    return { user: UserDTO.fromUser(deleted), products };
+  }
+
+  // Exportar todos los datos personales del usuario (perfil, carritos, tickets, logins y productos)
+  async exportData(user) {
+    const [carts, tickets, loginHistory, products] = await Promise.all([
+      cartDAO.findAllByUser(user._id),
+      ticketService.findAllByUser(user._id),
+      loginHistoryDAO.findAllByUser(user._id),
+      productDAO.findByOwner(user._id),
+    ]);
+
+    logger.logSecurityEvent('PERSONAL_DATA_EXPORTED', {
+      userId: user._id.toString(),
+      email: user.email,
+    });
+
+    return {
+      exportedAt: new Date(),
+      profile: user.toPublicJSON(),
+      carts,
+      tickets,
+      loginHistory,
+      products,
+    };
+  }
+
+  // Programar la eliminación de la cuenta al terminar el período de gracia
+  async scheduleErasure(user) {
+    const scheduledFor = new Date(Date.now() + ACCOUNT_ERASURE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await userDAO.scheduleErasure(user._id, scheduledFor);
+
+    logger.logSecurityEvent('ACCOUNT_ERASURE_REQUESTED', {
+      userId: user._id.toString(),
+      email: user.email,
+      scheduledFor,
+    });
+    await emailService.sendErasureScheduledNotice(
+      user.email,
+      `${user.first_name} ${user.last_name}`,
+      scheduledFor
+    );
+
+    return scheduledFor;
+  }
+
+  // Cancelar la eliminación durante el período de gracia
+  async cancelErasure(user) {
+    await userDAO.cancelErasure(user._id);
+
+    logger.logSecurityEvent('ACCOUNT_ERASURE_CANCELLED', {
+      userId: user._id.toString(),
+      email: user.email,
+    });
+  }
+
+  // Eliminar las cuentas cuyo período de gracia terminó, una a la vez (retorna cuántas se eliminaron)
+  async processDueErasures(erased = 0) {
+    const user = await userDAO.claimDueErasure();
+    if (!user) {
+      return erased;
+    }
+
+    await productDAO.unpublishByOwner(user._id);
+    await this._anonymizeAccount(user, user._id, 'account-erased');
+    logger.logSecurityEvent('ACCOUNT_ERASED', { userId: user._id.toString() });
+
+    return this.processDueErasures(erased + 1);
+  }
+
+  // Las cuentas anteriores a la verificación de email se consideran verificadas (al iniciar la aplicación)
+  // Sin esto perderían la posibilidad de comprar, que exige el email verificado
+  async verifyLegacyEmails() {
+    const { modifiedCount } = await userDAO.verifyLegacyEmails();
+    if (modifiedCount > 0) {
+      logger.info(`✉️ Cuentas anteriores marcadas con email verificado: ${modifiedCount}`);
+    }
+  }
+
+  // Revisar periódicamente las eliminaciones vencidas (al iniciar la aplicación)
+  startErasureJob() {
+    const run = () =>
+      this.processDueErasures().catch((error) => {
+        logger.error('❌ Error procesando eliminaciones de cuentas:', error);
+      });
+
+    setInterval(run, ERASURE_CHECK_INTERVAL_MS).unref();
+    run();
+  }
+
+  // Métodos privados
+  // Datos personales fuera: tickets seudonimizados, sin carritos, API keys, historial ni sesiones
+  async _anonymizeAccount(user, revokedBy, reason) {
+    await ticketService.pseudonymizePurchaser(user._id);
+    await cartDAO.deleteByUser(user._id);
+    await apiKeyDAO.revokeAllByOwner(user._id, revokedBy);
+    await loginHistoryDAO.deleteByUser(user._id);
+    await refreshTokenService.revokeAllForUser(user._id, reason);
+
+    return userDAO.anonymize(user._id, {
+      first_name: 'Usuario',
+      last_name: 'Eliminado',
+      email: `deleted-${user._id}@deleted.invalid`,
+      // Contraseña aleatoria que nadie conoce
+      password: await bcrypt.hash(randomBytes(32).toString('hex'), 10),
+    });
+  }
+
+  async _findProductRecipient(id, user) {
+    const recipient = await userDAO.findById(id);
+
+    if (!recipient || recipient.deletedAt || !recipient.isActive) {
+      throw new Error('El nuevo propietario no existe o está inactivo');
+    }
+    if (recipient._id.equals(user._id)) {
+      throw new Error('El nuevo propietario debe ser otro usuario');
+    }
+    if (!roleService.hasPermission(recipient.role, 'create:products')) {
+      throw new Error('El nuevo propietario no puede publicar productos');
+    }
+
+    return recipient;
+  }
+}
+
+export default new UserAccountService();
@@ -0,0 +1,222 @@
+import { logger } from './logger.util.js';
+import { passwordResetService } from './passwordReset.util.js';
+
+/**
+ * 📧 Servicio de emails de cuenta (verificación, notificaciones)
+ * Reutiliza el transporte de nodemailer del servicio de recuperación de contraseñas
+ */
+class EmailService {
+  constructor() {
+    this.transporter = passwordResetService.transporter;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * ✉️ Enviar email de verificación de cuenta
+   */
+  async sendVerificationEmail(userEmail, verificationToken, userName) {
+    const verifyUrl = `${this.frontendUrl}/verify-email?token=${verificationToken}`;
+
+    try {
+      await this._send(
+        userEmail,
+        '✉️ Verifica tu email - Ecommerce Backend',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #667eea;">✉️ Verifica tu email</h2>
+            <p>Hola ${userName},</p>
+            <p>Gracias por registrarte. Confirma tu dirección de email para poder realizar compras.</p>
+            <p style="text-align: center;">
+              <a href="${verifyUrl}" style="display: inline-block; padding: 15px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">✅ Verificar email</a>
+            </p>
+            <p>Este enlace expira en <strong>24 horas</strong>.</p>
+            <p>Si el botón no funciona, copia y pega esta URL en tu navegador:</p>
+            <p style="word-break: break-all; color: #667eea;">${verifyUrl}</p>
+            <hr>
+            <p style="color: #666; font-size: 12px;">Si no creaste esta cuenta, ignora este email.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Email de verificación enviado a: ${userEmail}`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Error enviando email de verificación:', error);
+      throw new Error('Error enviando email de verificación');
+    }
+  }
+
+  /**
+   * 📨 Enviar confirmación de cambio de email a la nueva dirección
+   */
+  async sendEmailChangeConfirmation(newEmail, changeToken, userName) {
+    const confirmUrl = `${this.frontendUrl}/confirm-email-change?token=${changeToken}`;
+
+    try {
+      await this._send(
+        newEmail,
+        '📨 Confirma tu nuevo email - Ecommerce Backend',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #667eea;">📨 Confirma tu nuevo email</h2>
+            <p>Hola ${userName},</p>
+            <p>Solicitaste usar esta dirección como email de tu cuenta. El cambio se aplicará cuando lo confirmes.</p>
+            <p style="text-align: center;">
+              <a href="${confirmUrl}" style="display: inline-block; padding: 15px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">✅ Confirmar nuevo email</a>
+            </p>
+            <p>Este enlace expira en <strong>1 hora</strong>.</p>
+            <p>Si el botón no funciona, copia y pega esta URL en tu navegador:</p>
+            <p style="word-break: break-all; color: #667eea;">${confirmUrl}</p>
+            <hr>
+            <p style="color: #666; font-size: 12px;">Si no solicitaste este cambio, ignora este email.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Confirmación de cambio de email enviada a: ${newEmail}`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Error enviando confirmación de cambio de email:', error);
+      throw new Error('Error enviando confirmación de cambio de email');
+    }
+  }
+
+  /**
+   * ⚠️ Avisar a la dirección actual que se solicitó un cambio de email
+   */
+  async sendEmailChangeNotice(currentEmail, userName, newEmail) {
+    try {
+      await this._send(
+        currentEmail,
+        '⚠️ Solicitud de cambio de email',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #ffc107;">⚠️ Solicitud de cambio de email</h2>
+            <p>Hola ${userName},</p>
+            <p>Se solicitó cambiar el email de tu cuenta a <strong>${newEmail}</strong> el <strong>${new Date().toLocaleString()}</strong>.</p>
+            <p>El cambio solo se aplicará si se confirma desde la nueva dirección.</p>
+            <p>Si no realizaste esta solicitud, cambia tu contraseña y contacta inmediatamente a nuestro soporte.</p>
+            <hr>
+            <p style="color: #666; font-size: 12px;">Este email fue enviado automáticamente.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Aviso de cambio de email enviado a: ${currentEmail}`);
+    } catch (error) {
+      logger.error('❌ Error enviando aviso de cambio de email:', error);
+      // No lanzamos error aquí para no interrumpir el proceso principal
+    }
+  }
+
+  /**
+   * 🚨 Avisar de un login sospechoso con enlace "no fui yo" que cierra todas las sesiones
+   */
+  async sendSuspiciousLoginAlert(userEmail, userName, { ip, userAgent, reasons, token }) {
+    const secureUrl = `${this.frontendUrl}/secure-account?token=${token}`;
+    const reasonTexts = new Map([
+      ['new-device', 'Inicio de sesión desde un dispositivo nuevo'],
+      ['after-failures', 'Inicio de sesión después de varios intentos fallidos'],
+    ]);
+
+    try {
+      await this._send(
+        userEmail,
+        '🚨 Nuevo inicio de sesión en tu cuenta',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #dc3545;">🚨 Nuevo inicio de sesión</h2>
+            <p>Hola ${userName},</p>
+            <p>Detectamos un inicio de sesión en tu cuenta el <strong>${new Date().toLocaleString()}</strong>:</p>
+            <ul>
+              ${reasons.map((reason) => `<li>${reasonTexts.get(reason) || reason}</li>`).join('')}
+              <li>Dispositivo: ${userAgent}</li>
+              <li>IP: ${ip}</li>
+            </ul>
+            <p>Si fuiste tú, puedes ignorar este email.</p>
+            <p style="text-align: center;">
+              <a href="${secureUrl}" style="display: inline-block; padding: 15px 30px; background: #dc3545; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">🔒 No fui yo: cerrar todas las sesiones</a>
+            </p>
+            <p>Después, cambia tu contraseña desde "olvidé mi contraseña".</p>
+            <hr>
+            <p style="color: #666; font-size: 12px;">Este email fue enviado automáticamente.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Aviso de login sospechoso enviado a: ${userEmail}`);
+    } catch (error) {
+      logger.error('❌ Error enviando aviso de login sospechoso:', error);
+      // No lanzamos error aquí para no interrumpir el proceso principal
+    }
+  }
+
+  /**
+   * 🗑️ Confirmar la solicitud de eliminación de la cuenta y la fecha en que se ejecutará
+   */
+  async sendErasureScheduledNotice(userEmail, userName, scheduledFor) {
+    try {
+      await this._send(
+        userEmail,
+        '🗑️ Eliminación de tu cuenta programada',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #dc3545;">🗑️ Eliminación de cuenta programada</h2>
+            <p>Hola ${userName},</p>
+            <p>Recibimos tu solicitud para eliminar tu cuenta. Tus datos personales se borrarán el <strong>${scheduledFor.toLocaleString()}</strong>.</p>
+            <p>Hasta esa fecha puedes iniciar sesión y cancelar la solicitud desde tu perfil.</p>
+            <p>Conservaremos únicamente los datos contables de tus compras (código y montos de los tickets), sin tu email.</p>
+            <hr>
+            <p style="color: #666; font-size: 12px;">Si no realizaste esta solicitud, cambia tu contraseña y cancélala inmediatamente.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Aviso de eliminación de cuenta enviado a: ${userEmail}`);
+    } catch (error) {
+      logger.error('❌ Error enviando aviso de eliminación de cuenta:', error);
+      // No lanzamos error aquí para no interrumpir el proceso principal
+    }
+  }
+
+  /**
+   * 💎 Notificar la resolución de una solicitud premium
+   */
+  async sendPremiumRequestDecision(userEmail, userName, { approved, reason }) {
+    const body = approved
+      ? `<h2 style="color: #28a745;">🎉 ¡Tu solicitud premium fue aprobada!</h2>
+         <p>Hola ${userName},</p>
+         <p>Ya puedes publicar y gestionar tus propios productos. Vuelve a iniciar sesión para activar tus nuevos permisos.</p>`
+      : `<h2 style="color: #dc3545;">Tu solicitud premium fue rechazada</h2>
+         <p>Hola ${userName},</p>
+         <p><strong>Motivo:</strong> ${reason}</p>
+         <p>Puedes corregir los datos y enviar una nueva solicitud.</p>`;
+
+    try {
+      await this._send(
+        userEmail,
+        approved ? '🎉 Solicitud premium aprobada' : 'Solicitud premium rechazada',
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            ${body}
+            <hr>
+            <p style="color: #666; font-size: 12px;">Este email fue enviado automáticamente.</p>
+          </div>
+        `
+      );
+      logger.success(`📧 Resolución de solicitud premium enviada a: ${userEmail}`);
+    } catch (error) {
+      logger.error('❌ Error enviando resolución de solicitud premium:', error);
+      // No lanzamos error aquí para no interrumpir el proceso principal
+    }
+  }
+
+  /**
+   * 📤 Enviar email con el remitente de la aplicación
+   */
+  _send(to, subject, html) {
+    return this.transporter.sendMail({
+      from: `"${process.env.APP_NAME || 'Ecommerce Backend'}" <${process.env.SMTP_USER}>`,
+      to,
+      subject,
+      html,
+    });
+  }
+}
+
+export const emailService = new EmailService();
@@ -2,6 +2,7 @@ import { randomUUID } from 'crypto';
 
 import jwt from 'jsonwebtoken';
 
+import { jwtKeyStore } from './jwtKeys.util.js';
 import { logger } from './logger.util.js';
 
 // Sistema JWT con Access y Refresh Tokens
@@ -12,20 +13,29 @@ class JWTService {
     this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key';
     this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRY || '15m';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '7d';
+    this._loadActionTokenSettings();
+    this._warnOnDefaultSecret();
   }
 
   // Generar Access Token (corta duración)
-  generateAccessToken(user) {
+  generateAccessToken(user, sessionId, claims = {}, expiresIn = this.accessTokenExpiry) {
     try {
       const payload = {
         id: user._id,
         email: user.email,
         role: user.role,
+        tv: user.tokenVersion || 0, // Versión de tokens para revocación inmediata
+        sid: sessionId, // Sesión (dispositivo) a la que pertenece el token
+        ...claims,
         type: 'access',
       };
 
-      const token = jwt.sign(payload, this.accessTokenSecret, {
-        expiresIn: this.accessTokenExpiry,
+      // Con RS256/ES256 se firma con la clave privada activa y se publica su kid
+      const signingKey = jwtKeyStore.getSigningKey();
+      const token = jwt.sign(payload, signingKey?.key || this.accessTokenSecret, {
+        algorithm: jwtKeyStore.algorithm,
+        ...(signingKey && { keyid: signingKey.kid }),
+        expiresIn,
         issuer: 'ecommerce-backend',
         audience: 'ecommerce-users',
       });
@@ -38,6 +48,13 @@ class JWTService {
     }
   }
 
+  // Generar Access Token de suplantación: el sujeto es el usuario y `act` el admin que actúa
+  // Sin sesión ni refresh token: al expirar hay que volver a solicitarlo
+  generateImpersonationToken(user, actor) {
+    const act = { id: actor._id, email: actor.email, tv: actor.tokenVersion || 0 };
+    return this.generateAccessToken(user, undefined, { act }, this.impersonationExpiry);
+  }
+
   // Generar Refresh Token (larga duración)
   generateRefreshToken(user) {
     try {
@@ -63,9 +80,9 @@ class JWTService {
   }
 
   // Generar par de tokens (access + refresh)
-  generateTokenPair(user) {
+  generateTokenPair(user, sessionId) {
     return {
-      accessToken: this.generateAccessToken(user),
+      accessToken: this.generateAccessToken(user, sessionId),
       refreshToken: this.generateRefreshToken(user),
     };
   }
@@ -73,7 +90,9 @@ class JWTService {
   // Verificar Access Token
   verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, this.accessTokenSecret, {
+      const { key, algorithm } = this._getAccessVerificationKey(token);
+      const decoded = jwt.verify(token, key, {
+        algorithms: [algorithm],
         issuer: 'ecommerce-backend',
         audience: 'ecommerce-users',
       });
@@ -97,6 +116,7 @@ class JWTService {
   verifyRefreshToken(token) {
     try {
       const decoded = jwt.verify(token, this.refreshTokenSecret, {
+        algorithms: ['HS256'],
         issuer: 'ecommerce-backend',
         audience: 'ecommerce-users',
       });
@@ -116,6 +136,71 @@ class JWTService {
     }
   }
 
+  // Generar token de verificación de email
+  generateEmailVerificationToken(user) {
+    return this._signActionToken(
+      { id: user._id, email: user.email },
+      'email-verification',
+      this.emailVerificationExpiry
+    );
+  }
+
+  // Verificar token de verificación de email
+  verifyEmailVerificationToken(token) {
+    return this._verifyActionToken(token, 'email-verification');
+  }
+
+  // Generar token de cambio de email (ligado al email actual y al nuevo)
+  generateEmailChangeToken(user, newEmail) {
+    return this._signActionToken(
+      { id: user._id, email: user.email, newEmail },
+      'email-change',
+      this.emailChangeExpiry
+    );
+  }
+
+  // Verificar token de cambio de email
+  verifyEmailChangeToken(token) {
+    return this._verifyActionToken(token, 'email-change');
+  }
+
+  // Generar token "MFA pendiente": primer factor verificado (con su método), falta el segundo
+  generateMfaPendingToken(user, method = 'password') {
+    return this._signActionToken({ id: user._id, method }, 'mfa-pending', this.mfaPendingExpiry);
+  }
+
+  // Verificar token "MFA pendiente"
+  verifyMfaPendingToken(token) {
+    return this._verifyActionToken(token, 'mfa-pending');
+  }
+
+  // Extraer token del header Authorization ("Bearer <token>")
+  extractTokenFromHeader(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+    return authHeader.slice('Bearer '.length).trim() || null;
+  }
+
+  // Documento JWKS con las claves públicas para verificar access tokens
+  getJwks() {
+    return jwtKeyStore.getJwks();
+  }
+
+  // Generar token "no fui yo" del aviso de login sospechoso (ligado a la versión de tokens)
+  generateLoginAlertToken(user) {
+    return this._signActionToken(
+      { id: user._id, tv: user.tokenVersion || 0 },
+      'login-alert',
+      this.loginAlertExpiry
+    );
+  }
+
+  // Verificar token "no fui yo"
+  verifyLoginAlertToken(token) {
+    return this._verifyActionToken(token, 'login-alert');
+  }
+
   // Decodificar token sin verificar (útil para debug)
   decodeToken(token) {
     try {
@@ -142,6 +227,86 @@ class JWTService {
       return true;
     }
   }
+
+  // Tokens de acción (verificación de email, etc.) con su propio secreto y duraciones
+  _loadActionTokenSettings() {
+    this.actionTokenSecret = process.env.JWT_ACTION_SECRET || 'your-super-secret-action-key';
+    this.emailVerificationExpiry = process.env.EMAIL_VERIFICATION_EXPIRY || '24h';
+    this.mfaPendingExpiry = process.env.MFA_PENDING_EXPIRY || '5m';
+    this.emailChangeExpiry = process.env.EMAIL_CHANGE_EXPIRY || '1h';
+    this.impersonationExpiry = process.env.IMPERSONATION_EXPIRY || '15m';
+    this.loginAlertExpiry = process.env.LOGIN_ALERT_EXPIRY || '7d';
+  }
+
+  // Impedir que producción firme tokens de acción (verificación y cambio de email, segundo factor,
+  // avisos de login) con el secreto por defecto, que es público (al iniciar la aplicación)
+  assertProductionSecrets() {
+    if (process.env.NODE_ENV === 'production' && !process.env.JWT_ACTION_SECRET) {
+      throw new Error('JWT_ACTION_SECRET es obligatorio en producción');
+    }
+  }
+
+  // Avisar si producción firma access tokens HS256 con el secreto por defecto
+  _warnOnDefaultSecret() {
+    if (
+      process.env.NODE_ENV === 'production' &&
+      !jwtKeyStore.isAsymmetric() &&
+      !process.env.JWT_ACCESS_SECRET
+    ) {
+      logger.warning('⚠️ JWT_ACCESS_SECRET no configurado: se usa el secreto por defecto');
+    }
+  }
+
+  // Clave para verificar un access token: la pública de su kid (RS256/ES256) o el secreto (HS256)
+  _getAccessVerificationKey(token) {
+    if (!jwtKeyStore.isAsymmetric()) {
+      return { key: this.accessTokenSecret, algorithm: 'HS256' };
+    }
+
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+    const verificationKey = jwtKeyStore.getVerificationKey(kid);
+    if (!verificationKey) {
+      throw new Error('Token de acceso inválido');
+    }
+    return { key: verificationKey.publicKey, algorithm: verificationKey.algorithm };
+  }
+
+  // Métodos privados para tokens de acción de un solo propósito
+  _signActionToken(payload, type, expiresIn) {
+    try {
+      return jwt.sign({ ...payload, type }, this.actionTokenSecret, {
+        expiresIn,
+        issuer: 'ecommerce-backend',
+        audience: 'ecommerce-users',
+      });
+    } catch (error) {
+      logger.error(`Error generando token ${type}:`, error);
+      throw new Error('Error generando token');
+    }
+  }
+
+  _verifyActionToken(token, type) {
+    try {
+      const decoded = jwt.verify(token, this.actionTokenSecret, {
+        algorithms: ['HS256'],
+        issuer: 'ecommerce-backend',
+        audience: 'ecommerce-users',
+      });
+
+      if (decoded.type !== type) {
+        throw new Error(`Token inválido: no es un token ${type}`);
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token expirado');
+      } else if (error.name === 'JsonWebTokenError') {
+        throw new Error('Token inválido');
+      }
+      throw error;
+    }
+  }
 }
 
 export const jwtService = new JWTService();
@@ -0,0 +1,117 @@
+import { createPrivateKey, createPublicKey } from 'crypto';
+import fs from 'fs';
+import { basename, extname, join } from 'path';
+
+import { logger } from './logger.util.js';
+
+// Tipo de clave que exige cada algoritmo asimétrico soportado
+const KEY_TYPES = new Map([
+  ['RS256', 'rsa'],
+  ['ES256', 'ec'],
+]);
+const SUPPORTED_ALGORITHMS = ['HS256', ...KEY_TYPES.keys()];
+
+/**
+ * 🗝️ Almacén de claves para firmar access tokens con RS256/ES256
+ * - Clave privada activa: JWT_PRIVATE_KEY_PATH (su `kid` es JWT_KEY_ID o el nombre del archivo)
+ * - Claves públicas de verificación: JWT_PUBLIC_KEYS_DIR con archivos `<kid>.pem`
+ *   (mantener ahí las claves anteriores durante una rotación)
+ * Con HS256 (por defecto) no carga claves y el JWKS queda vacío
+ */
+class JWTKeyStore {
+  constructor() {
+    this.algorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+    this.signingKey = null;
+    this.verificationKeys = new Map(); // kid -> { publicKey, algorithm }
+
+    if (!SUPPORTED_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`JWT_ALGORITHM no soportado: ${this.algorithm}`);
+    }
+
+    if (this.isAsymmetric()) {
+      this._loadKeys();
+    }
+  }
+
+  // Verificar si los access tokens se firman con clave asimétrica
+  isAsymmetric() {
+    return this.algorithm !== 'HS256';
+  }
+
+  // Clave privada activa con su kid
+  getSigningKey() {
+    return this.signingKey;
+  }
+
+  // Clave pública para verificar un token según el kid de su header
+  getVerificationKey(kid) {
+    return (kid && this.verificationKeys.get(kid)) || null;
+  }
+
+  // Documento JWKS con las claves públicas vigentes
+  getJwks() {
+    const keys = [...this.verificationKeys].map(([kid, { publicKey, algorithm }]) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: algorithm,
+      use: 'sig',
+    }));
+    return { keys };
+  }
+
+  /**
+   * 🔧 Métodos privados
+   */
+  _loadKeys() {
+    const privateKeyPath = process.env.JWT_PRIVATE_KEY_PATH;
+    if (!privateKeyPath) {
+      throw new Error(`JWT_PRIVATE_KEY_PATH es obligatorio con JWT_ALGORITHM=${this.algorithm}`);
+    }
+
+    const privateKey = createPrivateKey(fs.readFileSync(privateKeyPath));
+    this._assertKeyType(privateKey, this.algorithm, privateKeyPath);
+
+    const kid = process.env.JWT_KEY_ID || basename(privateKeyPath, extname(privateKeyPath));
+    this.signingKey = { key: privateKey, kid, algorithm: this.algorithm };
+
+    this._loadPublicKeys(process.env.JWT_PUBLIC_KEYS_DIR);
+    this.verificationKeys.set(kid, {
+      publicKey: createPublicKey(privateKey),
+      algorithm: this.algorithm,
+    });
+
+    logger.info(
+      `🗝️ Access tokens firmados con ${this.algorithm} (kid: ${kid}, claves de verificación: ${this.verificationKeys.size})`
+    );
+  }
+
+  _loadPublicKeys(directory) {
+    if (!directory) {
+      return;
+    }
+
+    for (const file of fs.readdirSync(directory).filter((name) => name.endsWith('.pem'))) {
+      const filePath = join(directory, file);
+      const publicKey = createPublicKey(fs.readFileSync(filePath));
+      const algorithm = this._algorithmForKey(publicKey);
+      this._assertKeyType(publicKey, algorithm, filePath);
+      this.verificationKeys.set(basename(file, '.pem'), { publicKey, algorithm });
+    }
+  }
+
+  _algorithmForKey(key) {
+    return [...KEY_TYPES].find(([, type]) => type === key.asymmetricKeyType)?.[0];
+  }
+
+  _assertKeyType(key, algorithm, source) {
+    const valid =
+      KEY_TYPES.get(algorithm) === key.asymmetricKeyType &&
+      (algorithm !== 'ES256' || key.asymmetricKeyDetails?.namedCurve === 'prime256v1');
+
+    if (!valid) {
+      throw new Error(`La clave ${source} no es compatible con ${algorithm || 'RS256/ES256'}`);
+    }
+  }
+}
+
+export const jwtKeyStore = new JWTKeyStore();
@@ -20,17 +20,25 @@ class PasswordResetService {
         pass: process.env.SMTP_PASS,
       },
     });
+    this.magicLinkExpiryMinutes = parseInt(process.env.MAGIC_LINK_EXPIRY_MINUTES, 10) || 15;
   }
 
   /**
    * 🔑 Generar token de recuperación con expiración de 1 hora
    */
-  generateResetToken() {
+  generateResetToken(ttlMs = 60 * 60 * 1000) {
     const token = randomBytes(32).toString('hex');
-    const expires = new Date(Date.now() + 60 * 60 * 1000); // 1 hora
+    const expires = new Date(Date.now() + ttlMs);
     return { token, expires };
   }
 
+  /**
+   * ✨ Generar token de enlace mágico (MAGIC_LINK_EXPIRY_MINUTES, 15 por defecto)
+   */
+  generateMagicLinkToken() {
+    return this.generateResetToken(this.magicLinkExpiryMinutes * 60 * 1000);
+  }
+
   /**
    * 📨 Enviar email de recuperación con botón
    */
@@ -54,17 +62,88 @@ class PasswordResetService {
     }
   }
 
+  /**
+   * ✨ Enviar enlace mágico para iniciar sesión sin contraseña
+   */
+  async sendMagicLinkEmail(userEmail, magicToken, userName) {
+    try {
+      const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link?token=${magicToken}`;
+
+      const mailOptions = {
+        from: `"${process.env.APP_NAME || 'Ecommerce Backend'}" <${process.env.SMTP_USER}>`,
+        to: userEmail,
+        subject: '✨ Tu enlace de acceso - Ecommerce Backend',
+        html: this._generateActionEmailHTML({
+          title: '✨ Enlace de acceso',
+          userName,
+          paragraphs: [
+            'Recibimos una solicitud para iniciar sesión en tu cuenta sin contraseña.',
+            'Haz clic en el siguiente botón para entrar:',
+          ],
+          buttonLabel: '🔓 Iniciar sesión',
+          url: loginUrl,
+          token: magicToken,
+          tokenLabel: 'Token de acceso',
+          warnings: [
+            `Este enlace expira en <strong>${this.magicLinkExpiryMinutes} minutos</strong>`,
+            'Solo puede usarse una vez',
+            'Si no solicitaste este acceso, ignora este email',
+          ],
+        }),
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      logger.success(`📧 Enlace mágico enviado a: ${userEmail}`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Error enviando enlace mágico:', error);
+      throw new Error('Error enviando enlace de acceso');
+    }
+  }
+
   /**
    * 🎨 Generar HTML para email de recuperación
    */
   _generateResetEmailHTML(userName, resetUrl, token) {
+    return this._generateActionEmailHTML({
+      title: '🔐 Recuperación de Contraseña',
+      userName,
+      paragraphs: [
+        'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+        'Haz clic en el siguiente botón para crear una nueva contraseña:',
+      ],
+      buttonLabel: '🔑 Restablecer Contraseña',
+      url: resetUrl,
+      token,
+      tokenLabel: 'Token de recuperación',
+      warnings: [
+        'Este enlace expira en <strong>1 hora</strong>',
+        'No podrás usar tu contraseña anterior',
+        'Si no solicitaste este cambio, ignora este email',
+      ],
+    });
+  }
+
+  /**
+   * 🎨 Plantilla HTML para emails con un botón de acción y token de un solo uso
+   */
+  _generateActionEmailHTML({
+    title,
+    userName,
+    paragraphs,
+    buttonLabel,
+    url,
+    token,
+    tokenLabel,
+    warnings,
+  }) {
     return `
     <!DOCTYPE html>
     <html lang="es">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Recuperación de Contraseña</title>
+        <title>${title}</title>
         <style>
             body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
             .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -80,33 +159,29 @@ class PasswordResetService {
     <body>
         <div class="container">
             <div class="header">
-                <h1>🔐 Recuperación de Contraseña</h1>
+                <h1>${title}</h1>
                 <p>Ecommerce Backend</p>
             </div>
             <div class="content">
                 <h2>Hola ${userName},</h2>
-                <p>Recibimos una solicitud para restablecer la contraseña de tu cuenta.</p>
-                
-                <p>Haz clic en el siguiente botón para crear una nueva contraseña:</p>
+                ${paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join('\n                ')}
                 
                 <div style="text-align: center;">
-                    <a href="${resetUrl}" class="button">🔑 Restablecer Contraseña</a>
+                    <a href="${url}" class="button">${buttonLabel}</a>
                 </div>
                 
                 <div class="warning">
                     <strong>⚠️ Importante:</strong>
                     <ul>
-                        <li>Este enlace expira en <strong>1 hora</strong></li>
-                        <li>No podrás usar tu contraseña anterior</li>
-                        <li>Si no solicitaste este cambio, ignora este email</li>
+                        ${warnings.map((warning) => `<li>${warning}</li>`).join('\n                        ')}
                     </ul>
                 </div>
                 
-                <p><strong>Token de recuperación:</strong></p>
+                <p><strong>${tokenLabel}:</strong></p>
                 <div class="token-info">${token}</div>
                 
                 <p>Si el botón no funciona, copia y pega esta URL en tu navegador:</p>
-                <p style="word-break: break-all; color: #667eea;">${resetUrl}</p>
+                <p style="word-break: break-all; color: #667eea;">${url}</p>
                 
                 <p>Por tu seguridad, este enlace se desactivará automáticamente después de ser usado o al expirar.</p>
             </div>
@@ -120,14 +195,24 @@ class PasswordResetService {
   }
 
   /**
-   * ✅ Validar que la nueva contraseña sea diferente a la anterior
+   * ✅ Validar que la nueva contraseña sea diferente a la actual y a las del historial
    */
-  async validateNewPassword(newPassword, currentHashedPassword) {
+  async validateNewPassword(newPassword, currentHashedPassword, passwordHistory = []) {
     try {
       const isSamePassword = await bcrypt.compare(newPassword, currentHashedPassword);
       if (isSamePassword) {
         throw new Error('La nueva contraseña debe ser diferente a la anterior');
       }
+
+      // Comparar también contra el historial de contraseñas anteriores
+      const matches = await Promise.all(
+        passwordHistory.map((previousHash) => bcrypt.compare(newPassword, previousHash))
+      );
+      if (matches.includes(true)) {
+        throw new Error(
+          `La nueva contraseña debe ser diferente a las últimas ${passwordHistory.length + 1} contraseñas`
+        );
+      }
       return true;
     } catch (error) {
       if (error.message.includes('diferente')) {
@@ -0,0 +1,49 @@
+import rateLimitDAO from '../dao/rateLimit.dao.js';
+
+// Código de MongoDB para clave duplicada (dos upserts simultáneos del mismo cliente)
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * 🗃️ Store de express-rate-limit respaldado en MongoDB
+ * Los contadores sobreviven a reinicios y se comparten entre todas las instancias
+ */
+export class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  // express-rate-limit entrega las opciones del limitador al crearlo
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const counter = await this._increment(this.prefix + key);
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    await rateLimitDAO.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await rateLimitDAO.reset(this.prefix + key);
+  }
+
+  /**
+   * 🔧 Métodos privados
+   */
+  async _increment(key) {
+    try {
+      return await rateLimitDAO.increment(key, this.windowMs);
+    } catch (error) {
+      // Otra petición creó el contador al mismo tiempo: reintentar sobre el existente
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return rateLimitDAO.increment(key, this.windowMs);
+      }
+      throw error;
+    }
+  }
+}
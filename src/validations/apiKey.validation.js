@@ -0,0 +1,34 @@
+import Joi from 'joi';
+
+import { API_KEY_SCOPES } from '../models/ApiKey.model.js';
+
+import { optional, required } from './common.validation.js';
+
+// Validaciones de API keys para integraciones
+
+// Lista de scopes (al menos uno, sin repetir)
+const scopes = Joi.array()
+  .items(Joi.string().valid(...API_KEY_SCOPES))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Scope inválido. Valores permitidos: ${API_KEY_SCOPES.join(', ')}`,
+    'array.min': 'Debes indicar al menos un scope',
+    'array.unique': 'Los scopes no pueden repetirse',
+  });
+
+export const createApiKeyValidation = Joi.object({
+  name: required(Joi.string().min(3).max(100).trim(), 'El nombre').messages({
+    'string.min': 'El nombre debe tener al menos 3 caracteres',
+    'string.max': 'El nombre no puede tener más de 100 caracteres',
+  }),
+  scopes: required(scopes, 'Los scopes'),
+  expiresInDays: optional(Joi.number().integer().min(1).max(365)).messages({
+    'number.min': 'La vigencia mínima es de 1 día',
+    'number.max': 'La vigencia máxima es de 365 días',
+  }),
+});
+
+export const updateApiKeyScopesValidation = Joi.object({
+  scopes: required(scopes, 'Los scopes'),
+});
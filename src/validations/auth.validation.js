@@ -45,3 +45,50 @@ export const resetPasswordValidation = Joi.object({
   newPassword: required(commonValidations.password, 'La nueva contraseña'),
   confirmPassword: confirmation('newPassword', 'confirmación de contraseña'),
 });
+
+export const verifyEmailValidation = Joi.object({
+  token: required(Joi.string().min(10), 'El token de verificación').messages({
+    'string.min': 'Token inválido',
+  }),
+});
+
+export const resendVerificationValidation = Joi.object({
+  email: required(commonValidations.email, 'El email'),
+});
+
+// Código 2FA: TOTP de 6 dígitos o código de respaldo (xxxx-xxxx)
+const twoFactorCode = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[0-9a-fA-F]{4}-?[0-9a-fA-F]{4})$/)
+  .messages({
+    'string.pattern.base': 'El código debe tener 6 dígitos o ser un código de respaldo válido',
+  });
+
+export const twoFactorCodeValidation = Joi.object({
+  code: required(twoFactorCode, 'El código'),
+});
+
+export const loginTwoFactorValidation = Joi.object({
+  mfaToken: required(Joi.string().min(10), 'El token de verificación').messages({
+    'string.min': 'Token inválido',
+  }),
+  code: required(twoFactorCode, 'El código'),
+});
+
+// Login sin contraseña con enlace mágico
+export const magicLinkValidation = Joi.object({
+  email: required(commonValidations.email, 'El email'),
+});
+
+export const verifyMagicLinkValidation = Joi.object({
+  token: required(Joi.string().min(10), 'El token de acceso').messages({
+    'string.min': 'Token inválido',
+  }),
+});
+
+// Enlace "no fui yo" del aviso de login sospechoso
+export const secureAccountValidation = Joi.object({
+  token: required(Joi.string().min(10), 'El token del aviso').messages({
+    'string.min': 'Token inválido',
+  }),
+});
@@ -0,0 +1,42 @@
+import Joi from 'joi';
+
+import { optional, required } from './common.validation.js';
+
+// Validaciones de categorías
+
+// Slug en minúsculas con guiones (ej: ropa-de-invierno); también identifica a la categoría padre
+export const categorySlug = Joi.string()
+  .lowercase()
+  .trim()
+  .pattern(/^[a-z0-9][a-z0-9-]{0,49}$/)
+  .messages({
+    'string.pattern.base':
+      'El slug debe empezar con una letra o número y tener hasta 50 caracteres (minúsculas, números y guiones)',
+  });
+
+const categoryName = Joi.string().min(2).max(50).trim().messages({
+  'string.min': 'El nombre debe tener al menos 2 caracteres',
+  'string.max': 'El nombre no puede tener más de 50 caracteres',
+});
+
+const categoryDescription = Joi.string().max(200).trim().allow('').messages({
+  'string.max': 'La descripción no puede tener más de 200 caracteres',
+});
+
+export const createCategoryValidation = Joi.object({
+  slug: required(categorySlug, 'El slug de la categoría'),
+  name: required(categoryName, 'El nombre de la categoría'),
+  description: optional(categoryDescription),
+  parent: optional(categorySlug.allow(null)),
+});
+
+// El slug no cambia (los productos lo referencian); parent null mueve la categoría a la raíz
+export const updateCategoryValidation = Joi.object({
+  name: optional(categoryName),
+  description: optional(categoryDescription),
+  parent: optional(categorySlug.allow(null)),
+})
+  .min(1)
+  .messages({
+    'object.min': 'Debes enviar al menos un campo para actualizar',
+  });
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 
+import { categorySlug } from './category.validation.js';
 import {
   commonValidations,
   description,
@@ -9,27 +10,7 @@ import {
 } from './common.validation.js';
 
 // Validaciones de productos con Clean Code
-// Usa las categorías del modelo Product y componentes reutilizables
-
-// Categorías válidas extraídas del modelo Product
-export const PRODUCT_CATEGORIES = [
-  'electronics',
-  'clothing',
-  'books',
-  'home',
-  'sports',
-  'beauty',
-  'toys',
-  'automotive',
-  'other',
-];
-
-// Validación de categoría usando el enum del modelo
-const categoryValidation = Joi.string()
-  .valid(...PRODUCT_CATEGORIES)
-  .messages({
-    'any.only': `La categoría debe ser una de: ${PRODUCT_CATEGORIES.join(', ')}`,
-  });
+// Usa componentes reutilizables; la categoría es un slug que el controlador verifica contra la colección
 
 // Validación de código de producto (integrada directamente)
 const productCodeValidation = Joi.string()
@@ -43,6 +24,78 @@ const productCodeValidation = Joi.string()
     'string.max': 'El código no puede tener más de 20 caracteres',
   });
 
+// Variantes: ejes de opciones (talle, color...) y combinaciones con SKU, precio y stock propios
+const optionAxisValidation = Joi.object({
+  name: Joi.string().trim().lowercase().max(30).required().messages({
+    'any.required': 'Cada opción necesita un nombre (ej: talle, color)',
+  }),
+  values: Joi.array()
+    .items(Joi.string().trim().max(30))
+    .min(1)
+    .max(50)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Cada opción necesita al menos un valor',
+      'array.unique': 'Los valores de una opción no pueden repetirse',
+    }),
+});
+
+const variantValidation = Joi.object({
+  // ID de una variante existente para conservarla al actualizar (los carritos la referencian)
+  id: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': 'El ID de la variante debe ser un ObjectId válido' }),
+  sku: required(productCodeValidation, 'El SKU de la variante'),
+  options: required(Joi.object().pattern(Joi.string(), Joi.string().trim()), 'Las opciones'),
+  price: commonValidations.price.allow(null),
+  stock: required(commonValidations.stock, 'El stock de la variante'),
+});
+
+const variantsValidation = Joi.array().items(variantValidation).max(100).unique('sku').messages({
+  'array.max': 'Un producto no puede tener más de 100 variantes',
+  'array.unique': 'Los SKU de las variantes no pueden repetirse',
+});
+
+// Cada variante debe elegir exactamente un valor válido por eje, sin combinaciones repetidas
+const validateVariantMatrix = (product, helpers) => {
+  if (!product.variants) {
+    return product;
+  }
+
+  const axes = new Map((product.options || []).map((axis) => [axis.name, axis.values]));
+  const combinations = new Set();
+
+  for (const variant of product.variants) {
+    const entries = Object.entries(variant.options);
+    const matchesAxes =
+      entries.length === axes.size &&
+      entries.every(([name, value]) => axes.get(name)?.includes(value));
+
+    if (!matchesAxes) {
+      return helpers.message(
+        `La variante ${variant.sku} debe tener un valor válido para cada opción: ${[...axes.keys()].join(', ')}`
+      );
+    }
+
+    const combination = JSON.stringify(entries.sort(([a], [b]) => a.localeCompare(b)));
+    if (combinations.has(combination)) {
+      return helpers.message(`La variante ${variant.sku} repite una combinación de opciones`);
+    }
+    combinations.add(combination);
+  }
+
+  return product;
+};
+
+// Con variantes el stock del producto se calcula a partir de ellas
+const stockValidation = (schema) =>
+  Joi.when('variants', {
+    is: Joi.array().min(1).required(),
+    then: Joi.any().strip(),
+    otherwise: schema,
+  });
+
 export const createProductValidation = Joi.object({
   title: required(Joi.string().min(3).max(100).trim(), 'El título').messages({
     'string.min': 'El título debe tener al menos 3 caracteres',
@@ -59,12 +112,19 @@ export const createProductValidation = Joi.object({
     'boolean.base': 'El estado debe ser verdadero o falso',
   }),
 
-  stock: required(commonValidations.stock, 'El stock'),
+  stock: stockValidation(required(commonValidations.stock, 'El stock')),
 
-  category: required(categoryValidation, 'La categoría'),
+  category: required(categorySlug, 'La categoría'),
 
   thumbnails: optional(thumbnailArray(5)),
-});
+
+  options: optional(Joi.array().items(optionAxisValidation).max(3).unique('name')),
+
+  variants: optional(variantsValidation),
+})
+  .and('options', 'variants')
+  .custom(validateVariantMatrix)
+  .messages({ 'object.and': 'Las opciones y las variantes deben enviarse juntas' });
 
 export const updateProductValidation = Joi.object({
   title: optional(Joi.string().min(3).max(100).trim()).messages({
@@ -80,17 +140,97 @@ export const updateProductValidation = Joi.object({
     'boolean.base': 'El estado debe ser verdadero o falso',
   }),
 
-  stock: optional(commonValidations.stock),
+  stock: stockValidation(optional(commonValidations.stock)),
 
-  category: optional(categoryValidation),
+  category: optional(categorySlug),
 
   thumbnails: optional(thumbnailArray(5)),
+
+  // Opciones y variantes se reemplazan juntas (enviar [] en ambas para quitarlas)
+  options: optional(Joi.array().items(optionAxisValidation).max(3).unique('name')),
+
+  variants: optional(variantsValidation),
 })
+  .and('options', 'variants')
+  .custom(validateVariantMatrix)
   .min(1)
   .messages({
     'object.min': 'Debe proporcionar al menos un campo para actualizar',
+    'object.and': 'Las opciones y las variantes deben enviarse juntas',
   });
 
+// Búsqueda facetada del catálogo (query string de GET /api/products)
+export const productSearchValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10).messages({
+    'number.max': 'El límite máximo es 100 productos por página',
+  }),
+  search: Joi.string().trim().max(100),
+  // Una o varias categorías separadas por coma (cada una incluye sus subcategorías)
+  category: Joi.string()
+    .lowercase()
+    .max(500)
+    .custom((value) =>
+      value
+        .split(',')
+        .map((slug) => slug.trim())
+        .filter(Boolean)
+    ),
+  minPrice: Joi.number().min(0).messages({ 'number.min': 'El precio no puede ser negativo' }),
+  maxPrice: Joi.number()
+    .min(0)
+    .messages({ 'number.min': 'El precio no puede ser negativo' })
+    .when('minPrice', {
+      is: Joi.exist(),
+      then: Joi.number()
+        .min(Joi.ref('minPrice'))
+        .messages({ 'number.min': 'El precio máximo no puede ser menor al mínimo' }),
+    }),
+  inStock: Joi.boolean(),
+  owner: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': 'El vendedor debe ser un ObjectId válido' }),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date()
+    .iso()
+    .when('createdFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('createdFrom')) })
+    .messages({ 'date.min': 'La fecha final no puede ser anterior a la inicial' }),
+  // Sin sort: por relevancia si hay texto de búsqueda, si no por fecha de alta
+  sort: Joi.string().when('search', {
+    is: Joi.exist(),
+    then: Joi.valid('relevance', 'createdAt', 'price', 'title', 'stock').messages({
+      'any.only': 'Solo se puede ordenar por relevance, createdAt, price, title o stock',
+    }),
+    otherwise: Joi.valid('createdAt', 'price', 'title', 'stock').messages({
+      'any.only':
+        'Solo se puede ordenar por createdAt, price, title o stock (relevance requiere un texto de búsqueda)',
+    }),
+  }),
+  order: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({ 'any.only': 'El orden debe ser asc o desc' }),
+});
+
+// Autocompletado del buscador (query string de GET /api/products/suggest)
+export const productSuggestValidation = Joi.object({
+  q: Joi.string().trim().min(1).max(50).required().messages({
+    'any.required': 'El texto a completar (q) es obligatorio',
+    'string.empty': 'El texto a completar (q) es obligatorio',
+    'string.max': 'El texto a completar no puede tener más de 50 caracteres',
+  }),
+  limit: Joi.number().integer().min(1).max(20).default(8).messages({
+    'number.max': 'El límite máximo es 20 sugerencias',
+  }),
+});
+
+// Listado de búsquedas sin resultados (query string de GET /api/products/search-misses)
+export const searchMissesValidation = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.max': 'El límite máximo es 100 búsquedas',
+  }),
+});
+
 // Validaciones para carritos
 // Validación para agregar producto al carrito
 export const addToCartValidation = Joi.object({
@@ -101,6 +241,12 @@ export const addToCartValidation = Joi.object({
       'string.pattern.base': 'El ID del producto debe ser un ObjectId válido',
       'any.required': 'El ID del producto es requerido',
     }),
+  // Obligatorio si el producto tiene variantes
+  variantId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'El ID de la variante debe ser un ObjectId válido',
+    }),
   quantity: Joi.number().integer().min(1).max(100).default(1).messages({
     'number.base': 'La cantidad debe ser un número',
     'number.integer': 'La cantidad debe ser un número entero',
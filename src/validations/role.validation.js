@@ -0,0 +1,59 @@
+import Joi from 'joi';
+
+import { PERMISSIONS } from '../models/Role.model.js';
+
+import { optional, required } from './common.validation.js';
+
+// Validaciones de roles personalizados
+
+// Lista de permisos del catálogo (al menos uno, sin repetir)
+const permissions = Joi.array()
+  .items(Joi.string().valid(...PERMISSIONS))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': 'Permiso inválido. Consulta GET /api/roles para ver los disponibles',
+    'array.min': 'Debes indicar al menos un permiso',
+    'array.unique': 'Los permisos no pueden repetirse',
+  });
+
+const roleDescription = Joi.string().max(200).trim().allow('').messages({
+  'string.max': 'La descripción no puede tener más de 200 caracteres',
+});
+
+export const createRoleValidation = Joi.object({
+  name: required(
+    Joi.string()
+      .lowercase()
+      .trim()
+      .pattern(/^[a-z][a-z0-9-]{1,29}$/),
+    'El nombre del rol'
+  ).messages({
+    'string.pattern.base':
+      'El nombre debe empezar con una letra y tener entre 2 y 30 caracteres (letras, números y guiones)',
+  }),
+  description: optional(roleDescription),
+  permissions: required(permissions, 'Los permisos'),
+});
+
+export const updateRoleValidation = Joi.object({
+  description: optional(roleDescription),
+  permissions: optional(permissions),
+})
+  .min(1)
+  .messages({
+    'object.min': 'Debes enviar al menos un campo para actualizar',
+  });
+
+// Límite de solicitudes por ventana del limitador general (null vuelve al límite por defecto)
+export const rateLimitValidation = Joi.object({
+  requestsPerWindow: required(
+    Joi.number().integer().min(1).max(100000).allow(null),
+    'El límite de solicitudes'
+  ).messages({
+    'number.base': 'El límite de solicitudes debe ser un número',
+    'number.integer': 'El límite de solicitudes debe ser un número entero',
+    'number.min': 'El límite de solicitudes debe ser al menos 1',
+    'number.max': 'El límite de solicitudes no puede superar 100000',
+  }),
+});
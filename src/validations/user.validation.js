@@ -0,0 +1,93 @@
+import Joi from 'joi';
+
+import { commonValidations, description, optional, required } from './common.validation.js';
+
+// Validaciones de gestión de usuarios
+
+// Actualización del perfil propio (solo datos personales, al menos un campo)
+export const updateProfileValidation = Joi.object({
+  first_name: optional(commonValidations.name),
+  last_name: optional(commonValidations.name),
+  age: optional(commonValidations.age),
+})
+  .min(1)
+  .messages({
+    'object.min': 'Debes enviar al menos un campo para actualizar',
+  });
+
+// Solicitud de cambio de email (requiere la contraseña actual)
+export const emailChangeValidation = Joi.object({
+  newEmail: required(commonValidations.email, 'El nuevo email'),
+  currentPassword: required(Joi.string(), 'La contraseña actual'),
+});
+
+// Solicitud de eliminación de la cuenta propia (contraseña actual salvo cuentas de proveedor externo)
+export const accountErasureValidation = Joi.object({
+  currentPassword: optional(Joi.string()),
+});
+
+// Confirmación del cambio de email con el token recibido en el nuevo email
+export const confirmEmailChangeValidation = Joi.object({
+  token: required(Joi.string().min(10), 'El token de confirmación').messages({
+    'string.min': 'Token inválido',
+  }),
+});
+
+// Solicitud de upgrade a premium (vendedor) con datos del negocio
+export const premiumRequestValidation = Joi.object({
+  businessName: required(Joi.string().min(2).max(100).trim(), 'El nombre del negocio').messages({
+    'string.min': 'El nombre del negocio debe tener al menos 2 caracteres',
+    'string.max': 'El nombre del negocio no puede tener más de 100 caracteres',
+  }),
+  taxId: required(
+    Joi.string()
+      .pattern(/^[A-Za-z0-9-]{5,20}$/)
+      .trim(),
+    'La identificación fiscal'
+  ).messages({
+    'string.pattern.base':
+      'La identificación fiscal debe tener entre 5 y 20 caracteres (letras, números y guiones)',
+  }),
+  businessDescription: required(description(10, 1000), 'La descripción del negocio'),
+  website: optional(Joi.string().uri()).messages({
+    'string.uri': 'El sitio web debe ser una URL válida',
+  }),
+  phone: optional(
+    Joi.string()
+      .pattern(/^\+?[0-9\s-]{6,20}$/)
+      .trim()
+  ).messages({
+    'string.pattern.base': 'El teléfono debe ser un número válido',
+  }),
+});
+
+// Rechazo de solicitud premium (motivo obligatorio)
+export const rejectPremiumRequestValidation = Joi.object({
+  reason: required(description(5, 500), 'El motivo del rechazo'),
+});
+
+// Suplantación de usuario por soporte (motivo obligatorio para la auditoría)
+export const impersonationValidation = Joi.object({
+  reason: required(description(5, 300), 'El motivo de la suplantación'),
+});
+
+// Desactivación de cuenta (motivo opcional para la auditoría)
+export const deactivateUserValidation = Joi.object({
+  reason: optional(description(5, 300)),
+});
+
+// Suspensión de cuenta: motivo obligatorio y vencimiento opcional (sin fecha es permanente)
+export const banUserValidation = Joi.object({
+  reason: required(description(5, 300), 'El motivo de la suspensión'),
+  expiresAt: optional(Joi.date().greater('now')).messages({
+    'date.base': 'El vencimiento debe ser una fecha válida',
+    'date.greater': 'El vencimiento debe ser una fecha futura',
+  }),
+});
+
+// Baja de usuario: sus productos pasan a otro vendedor o se despublican
+export const deleteUserValidation = Joi.object({
+  transferProductsTo: optional(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).messages({
+    'string.pattern.base': 'El ID del nuevo propietario debe ser un ObjectId válido',
+  }),
+});
@@ -0,0 +1,40 @@
+/**
+ * 🗝️ Claves de firma para testing: una clave RS256 activa y una ES256 anterior (rotación)
+ * Se escriben en un directorio temporal con el formato que espera JWT_PUBLIC_KEYS_DIR
+ */
+
+import { generateKeyPairSync } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+const pem = { type: 'pkcs8', format: 'pem' };
+
+export const createRotatedSigningKeys = () => {
+  const directory = fs.mkdtempSync(join(os.tmpdir(), 'jwt-keys-'));
+  const publicDirectory = join(directory, 'public');
+  fs.mkdirSync(publicDirectory);
+
+  const current = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const previous = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  const privateKeyPath = join(directory, 'test-current.pem');
+  fs.writeFileSync(privateKeyPath, current.privateKey.export(pem));
+  fs.writeFileSync(
+    join(publicDirectory, 'test-previous.pem'),
+    previous.publicKey.export({ type: 'spki', format: 'pem' })
+  );
+
+  return {
+    currentKid: 'test-current',
+    previousKid: 'test-previous',
+    // Clave anterior: firma tokens "emitidos antes de la rotación"
+    previousPrivateKey: previous.privateKey,
+    env: {
+      JWT_ALGORITHM: 'RS256',
+      JWT_PRIVATE_KEY_PATH: privateKeyPath,
+      JWT_PUBLIC_KEYS_DIR: publicDirectory,
+    },
+    remove: () => fs.rmSync(directory, { recursive: true, force: true }),
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * 🌐 Proveedor OpenID Connect local para testing (sin servicios externos)
+ * Implementa descubrimiento, authorize (aprueba automáticamente) y token con un ID token HS256
+ */
+
+import { randomBytes } from 'crypto';
+import { URL } from 'url';
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+export const startMockOidcProvider = ({ port, clientId, clientSecret }) => {
+  const issuer = `http://localhost:${port}`;
+  const codes = new Map();
+  let currentUser = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['HS256'],
+    });
+  });
+
+  // El "usuario" ya inició sesión en el proveedor: se emite el código directamente
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce } = req.query;
+    if (client_id !== clientId || !currentUser) {
+      return res.status(400).send('Solicitud de autorización inválida');
+    }
+
+    const code = randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri: redirect_uri, nonce, claims: currentUser });
+
+    const callback = new URL(redirect_uri);
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', state);
+    res.redirect(callback.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, client_id, client_secret, redirect_uri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (client_id !== clientId || client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || grant.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, clientSecret, {
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+
+    res.json({
+      access_token: randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  const server = app.listen(port);
+
+  return {
+    issuer,
+    // Claims del usuario que "inicia sesión" en el proveedor (sub, email, email_verified, etc.)
+    setUser: (claims) => {
+      currentUser = claims;
+    },
+    close: () => server.close(),
+  };
+};
@@ -6,11 +6,24 @@
  */
 
 import { spawn } from 'child_process';
+import { createPublicKey } from 'crypto';
 
 import axios from 'axios';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+import { totpService } from '../src/utils/totp.util.js';
+import { createRotatedSigningKeys } from './jwtKeys.fixture.js';
+import { startMockOidcProvider } from './oidcProvider.mock.js';
+
+dotenv.config();
 
 const BASE_URL = 'http://localhost:8080';
+const OIDC_CLIENT = { port: 4010, clientId: 'ecommerce-test', clientSecret: 'oidc-test-secret' };
 let serverProcess = null;
+let oidcProvider = null;
+let signingKeys = null;
 
 // Configurar axios para testing
 const api = axios.create({
@@ -25,6 +38,7 @@ class ProfessionalTestSuite {
     this.failed = 0;
     this.total = 0;
     this.tokens = {};
+    this.refreshTokens = {};
     this.users = {};
     this.testData = {};
     this.startTime = Date.now();
@@ -85,11 +99,32 @@ class ProfessionalTestSuite {
    * 🚀 Iniciar servidor de testing
    */
   async startTestServer() {
+    // Proveedor OpenID Connect local para probar el login externo
+    oidcProvider = startMockOidcProvider(OIDC_CLIENT);
+    // Access tokens RS256 con una clave ES256 anterior todavía publicada (rotación)
+    signingKeys = createRotatedSigningKeys();
+
     return new Promise((resolve, reject) => {
       serverProcess = spawn('node', ['src/app.js'], {
         cwd: process.cwd(),
         stdio: 'pipe',
-        env: { ...process.env, NODE_ENV: 'test' },
+        env: {
+          ...process.env,
+          NODE_ENV: 'test',
+          OIDC_ISSUER: oidcProvider.issuer,
+          OIDC_CLIENT_ID: OIDC_CLIENT.clientId,
+          OIDC_CLIENT_SECRET: OIDC_CLIENT.clientSecret,
+          ...signingKeys.env,
+          // Los contadores de rate limiting persisten en MongoDB entre ejecuciones de la suite
+          RATE_LIMIT_MAX_REQUESTS: '1000',
+          LOGIN_RATE_LIMIT_MAX: '100',
+          REGISTER_RATE_LIMIT_MAX: '100',
+          MAGIC_LINK_RATE_LIMIT_MAX: '100',
+          MAGIC_LINK_EMAIL_RATE_LIMIT_MAX: '3',
+          // Demora progresiva corta para medirla sin alargar la suite
+          LOGIN_DELAY_BASE_MS: '200',
+          LOGIN_DELAY_MAX_MS: '1000',
+        },
       });
 
       let serverReady = false;
@@ -142,6 +177,16 @@ class ProfessionalTestSuite {
       this.assert(response.status === 200, 'Swagger JSON disponible');
       this.assert(response.data.openapi || response.data.swagger, 'Especificación válida');
     });
+
+    await this.test('JWKS publicado para verificar access tokens', async () => {
+      const response = await api.get('/.well-known/jwks.json');
+      this.assert(response.status === 200, 'JWKS disponible');
+      this.assert(Array.isArray(response.data.keys), 'Lista de claves');
+      this.assert(
+        response.data.keys.every((key) => key.kid && key.alg && !key.d),
+        'Solo claves públicas con kid y alg'
+      );
+    });
   }
 
   /**
@@ -185,10 +230,15 @@ class ProfessionalTestSuite {
         this.assert(response.data.user.email === userData.email, 'Email correcto');
         this.assert(!response.data.user.password, 'Sin contraseña en DTO');
         this.assert(Array.isArray(response.data.user.permissions), 'Permisos incluidos');
+        this.assert(response.data.user.emailVerified === false, 'Email pendiente de verificar');
+
+        // El registro siempre crea rol 'user', sin importar el email
+        this.assert(response.data.user.role === 'user', 'Rol user asignado');
 
-        // Verificar rol correcto
-        const expectedRole = role === 'normal' ? 'user' : role;
-        this.assert(response.data.user.role === expectedRole, `Rol ${expectedRole} asignado`);
+        // No hay endpoint para crear el primer admin: se promueve directo en la base de datos
+        if (role === 'admin') {
+          await this.promoteToAdmin(userData.email);
+        }
       });
 
       await this.test(`Login de usuario ${role}`, async () => {
@@ -203,9 +253,12 @@ class ProfessionalTestSuite {
         this.assert(!response.data.user.password, 'Sin contraseña en respuesta');
 
         this.tokens[role] = response.data.tokens.accessToken;
+        this.refreshTokens[role] = response.data.tokens.refreshToken;
       });
     }
 
+    await this.runPremiumRequestTests();
+
     // Pruebas de errores
     await this.test('Registro con email duplicado falla', async () => {
       const response = await api.post('/auth/register', this.users.normal);
@@ -222,6 +275,125 @@ class ProfessionalTestSuite {
       this.assert(response.data.success === false, 'Success false');
     });
 
+    await this.test('Intentos fallidos demoran cada vez más y bloquean la cuenta', async () => {
+      const lockedUser = { ...this.users.normal, email: `locked-${Date.now()}@test.com` };
+      const register = await api.post('/auth/register', lockedUser);
+      this.testData.lockedUser = { ...lockedUser, id: register.data.user.id };
+
+      const failedLogin = async () => {
+        const startedAt = Date.now();
+        const response = await api.post('/auth/login', {
+          email: lockedUser.email,
+          password: 'PasswordIncorrecto1!',
+        });
+        return { response, elapsed: Date.now() - startedAt };
+      };
+
+      // Demora: 200ms, 400ms, 800ms, 1000ms (tope) y el quinto intento bloquea
+      const first = await failedLogin();
+      await failedLogin();
+      const third = await failedLogin();
+      this.assert(first.response.status === 401, 'Intento fallido retorna 401');
+      this.assert(first.elapsed >= 200, 'El primer intento fallido se demora');
+      this.assert(third.elapsed >= 800, 'La demora se duplica con cada intento');
+      await failedLogin();
+
+      const locked = await failedLogin();
+      this.assert(locked.response.status === 423, 'Quinto intento bloquea la cuenta (423)');
+      this.assert(locked.response.data.error === 'ACCOUNT_LOCKED', 'Código ACCOUNT_LOCKED');
+      this.assert(
+        parseInt(locked.response.headers['retry-after']) > 0,
+        'Header Retry-After con los segundos restantes'
+      );
+
+      // Con la cuenta bloqueada ni la contraseña correcta permite entrar, y no hay demora
+      const startedAt = Date.now();
+      const blocked = await api.post('/auth/login', {
+        email: lockedUser.email,
+        password: lockedUser.password,
+      });
+      this.assert(blocked.status === 423, 'Cuenta bloqueada rechaza la contraseña correcta');
+      this.assert(Date.now() - startedAt < 1000, 'Cuenta bloqueada responde sin demora');
+    });
+
+    await this.test('Admin desbloquea la cuenta bloqueada', async () => {
+      const { id, email, password } = this.testData.lockedUser;
+
+      const forbidden = await api.patch(`/api/users/${id}/unlock`, null, {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      this.assert(forbidden.status === 403, 'Usuario normal no puede desbloquear cuentas');
+
+      const unlock = await api.patch(`/api/users/${id}/unlock`, null, {
+        headers: { Authorization: `Bearer ${this.tokens.admin}` },
+      });
+      this.assert(unlock.status === 200, 'Admin desbloquea la cuenta');
+
+      const login = await api.post('/auth/login', { email, password });
+      this.assert(login.status === 200, 'Login exitoso tras el desbloqueo');
+    });
+
+    await this.test('Enlace mágico no revela cuentas y rechaza tokens inválidos', async () => {
+      const email = `no-existe-${Date.now()}@example.com`;
+      const unknown = await api.post('/auth/magic-link', { email });
+      this.assert(unknown.status === 200, 'Misma respuesta para emails inexistentes');
+
+      const invalid = await api.post('/auth/magic-link/verify', { token: 'enlace-invalido-123' });
+      this.assert(invalid.status === 401, 'Token inválido rechazado');
+      this.assert(!invalid.data.tokens, 'No se emiten tokens');
+    });
+
+    await this.test('Enlace mágico limita las solicitudes a un mismo email', async () => {
+      const email = `flood-${Date.now()}@example.com`;
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const response = await api.post('/auth/magic-link', { email });
+        this.assert(response.status === 200, `Solicitud ${attempt + 1} aceptada`);
+      }
+
+      const limited = await api.post('/auth/magic-link', { email: email.toUpperCase() });
+      this.assert(limited.status === 429, 'Cuarta solicitud al mismo email rechazada (429)');
+    });
+
+    if (oidcProvider) {
+      await this.test('Login OpenID Connect crea la cuenta con carrito y emite JWT', async () => {
+        const email = `oidc.${Date.now()}@example.com`;
+        oidcProvider.setUser({
+          sub: `idp-${Date.now()}`,
+          email,
+          email_verified: true,
+          given_name: 'Ana',
+          family_name: 'Proveedor',
+        });
+
+        const noRedirect = { maxRedirects: 0 };
+        const start = await api.get('/auth/oidc', noRedirect);
+        this.assert(start.status === 302, 'Redirige al proveedor');
+
+        const authorize = await axios.get(start.headers.location, {
+          ...noRedirect,
+          validateStatus: () => true,
+        });
+        const cookie = start.headers['set-cookie'].map((value) => value.split(';')[0]).join('; ');
+        const callback = await api.get(authorize.headers.location, {
+          ...noRedirect,
+          headers: { Cookie: cookie },
+        });
+        this.assert(callback.status === 200, `Status 200, recibido: ${callback.status}`);
+        this.assert(callback.data.user.email === email, 'Cuenta creada por email verificado');
+
+        const cart = await api.get('/api/carts', {
+          headers: { Authorization: `Bearer ${callback.data.tokens.accessToken}` },
+        });
+        this.assert(cart.status === 200, 'Carrito creado como en el registro');
+      });
+    }
+
+    await this.test('Verificación de email con token inválido falla', async () => {
+      const response = await api.post('/auth/verify-email', { token: 'token-invalido-123' });
+      this.assert(response.status === 400, 'Status 400');
+      this.assert(response.data.success === false, 'Success false');
+    });
+
     await this.test('Ruta /current con token válido', async () => {
       const response = await api.get('/auth/current', {
         headers: { Authorization: `Bearer ${this.tokens.normal}` },
@@ -232,6 +404,418 @@ class ProfessionalTestSuite {
       this.assert(response.data.user.fullName, 'Nombre completo calculado');
       this.assert(response.data.user.permissions, 'Permisos incluidos');
     });
+
+    if (signingKeys) {
+      await this.test(
+        'Access tokens asimétricos verificables con el JWKS durante una rotación',
+        async () => {
+          const { currentKid, previousKid, previousPrivateKey } = signingKeys;
+          const jwks = await api.get('/.well-known/jwks.json');
+          const jwkByKid = new Map(jwks.data.keys.map((key) => [key.kid, key]));
+          this.assert(jwks.data.keys.length === 2, 'JWKS con la clave activa y la anterior');
+          this.assert(jwkByKid.get(currentKid)?.alg === 'RS256', 'Clave activa RS256');
+          this.assert(jwkByKid.get(previousKid)?.alg === 'ES256', 'Clave anterior ES256');
+
+          const verifyWithJwks = (token) => {
+            const { header } = jwt.decode(token, { complete: true });
+            const jwk = jwkByKid.get(header.kid);
+            return jwt.verify(token, createPublicKey({ key: jwk, format: 'jwk' }), {
+              algorithms: [jwk.alg],
+            });
+          };
+
+          const { header, payload } = jwt.decode(this.tokens.normal, { complete: true });
+          this.assert(
+            header.alg === 'RS256' && header.kid === currentKid,
+            'Firmado con el kid activo'
+          );
+          this.assert(verifyWithJwks(this.tokens.normal).id === payload.id, 'Verifica con el JWKS');
+
+          // Token emitido antes de la rotación: firmado con la clave anterior y su kid
+          const previousToken = jwt.sign(payload, previousPrivateKey, {
+            algorithm: 'ES256',
+            keyid: previousKid,
+          });
+          this.assert(verifyWithJwks(previousToken).id === payload.id, 'Clave anterior en el JWKS');
+          const accepted = await api.get('/auth/current', {
+            headers: { Authorization: `Bearer ${previousToken}` },
+          });
+          this.assert(accepted.status === 200, 'Token de la clave anterior sigue valiendo');
+
+          // El kid elige la clave: con el kid activo la firma ES256 no verifica
+          const wrongKid = jwt.sign(payload, previousPrivateKey, {
+            algorithm: 'ES256',
+            keyid: currentKid,
+          });
+          const rejected = await api.get('/auth/current', {
+            headers: { Authorization: `Bearer ${wrongKid}` },
+          });
+          this.assert(rejected.status === 401, 'Firma que no corresponde al kid rechazada');
+
+          const unknownKid = jwt.sign(payload, previousPrivateKey, {
+            algorithm: 'ES256',
+            keyid: 'desconocida',
+          });
+          const unknown = await api.get('/auth/current', {
+            headers: { Authorization: `Bearer ${unknownKid}` },
+          });
+          this.assert(unknown.status === 401, 'Kid desconocido rechazado');
+        }
+      );
+    }
+
+    await this.test('Enrolamiento 2FA entrega URI otpauth y rechaza código inválido', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+
+      const setup = await api.post('/auth/2fa/setup', {}, { headers });
+      this.assert(setup.status === 200, 'Status 200 en setup');
+      this.assert(setup.data.otpauthUrl.startsWith('otpauth://totp/'), 'URI otpauth generada');
+
+      const enable = await api.post('/auth/2fa/enable', { code: '000000' }, { headers });
+      this.assert(enable.status === 400, 'Código inválido rechazado');
+    });
+
+    await this.test(
+      'Códigos 2FA incorrectos al gestionar el 2FA cuentan para el bloqueo',
+      async () => {
+        const mfaUser = { ...this.users.normal, email: `mfa-lock-${Date.now()}@test.com` };
+        await api.post('/auth/register', mfaUser);
+        const login = await api.post('/auth/login', {
+          email: mfaUser.email,
+          password: mfaUser.password,
+        });
+        const headers = { Authorization: `Bearer ${login.data.tokens.accessToken}` };
+
+        const setup = await api.post('/auth/2fa/setup', {}, { headers });
+        const currentCode = () =>
+          totpService.generate(setup.data.secret, Math.floor(Date.now() / 1000 / 30));
+        const enable = await api.post('/auth/2fa/enable', { code: currentCode() }, { headers });
+        this.assert(enable.status === 200, '2FA activado con código válido');
+
+        const wrong = await api.post('/auth/2fa/disable', { code: '0000-0000' }, { headers });
+        this.assert(wrong.status === 400, 'Código incorrecto rechazado al desactivar');
+        for (let attempt = 0; attempt < 3; attempt++) {
+          await api.post('/auth/2fa/backup-codes', { code: '0000-0000' }, { headers });
+        }
+
+        const locked = await api.post('/auth/2fa/backup-codes', { code: '0000-0000' }, { headers });
+        this.assert(locked.status === 423, 'Quinto código incorrecto bloquea la cuenta (423)');
+        this.assert(locked.data.error === 'ACCOUNT_LOCKED', 'Código ACCOUNT_LOCKED');
+
+        const blocked = await api.post('/auth/2fa/disable', { code: currentCode() }, { headers });
+        this.assert(blocked.status === 423, 'Cuenta bloqueada rechaza incluso un código válido');
+      }
+    );
+
+    await this.test('Refresh token rota y no puede reutilizarse', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+      const oldRefreshToken = this.refreshTokens.normal;
+
+      const rotated = await api.post(
+        '/auth/refresh-token',
+        { refreshToken: oldRefreshToken },
+        { headers }
+      );
+      this.assert(rotated.status === 200, 'Status 200 al rotar');
+      this.assert(rotated.data.tokens.refreshToken !== oldRefreshToken, 'Nuevo refresh token');
+
+      const reused = await api.post(
+        '/auth/refresh-token',
+        { refreshToken: oldRefreshToken },
+        { headers }
+      );
+      this.assert(reused.status === 401, 'Status 401 al reutilizar token rotado');
+
+      // La reutilización revoca toda la familia, incluido el token recién emitido
+      const revoked = await api.post(
+        '/auth/refresh-token',
+        { refreshToken: rotated.data.tokens.refreshToken },
+        { headers }
+      );
+      this.assert(revoked.status === 401, 'Familia revocada tras reutilización');
+    });
+
+    await this.test('Logout invalida el access token inmediatamente', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+
+      // Otro dispositivo del mismo usuario
+      const otherDevice = await api.post('/auth/login', {
+        email: this.users.normal.email,
+        password: this.users.normal.password,
+      });
+      const otherHeaders = { Authorization: `Bearer ${otherDevice.data.tokens.accessToken}` };
+
+      const logout = await api.post('/auth/logout', {}, { headers });
+      this.assert(logout.status === 200, 'Status 200 en logout');
+
+      const current = await api.get('/auth/current', { headers });
+      this.assert(current.status === 401, 'Access token revocado tras logout');
+
+      const other = await api.get('/auth/current', { headers: otherHeaders });
+      this.assert(other.status === 200, 'Los otros dispositivos siguen conectados');
+
+      // Volver a iniciar sesión para las pruebas siguientes
+      const login = await api.post('/auth/login', {
+        email: this.users.normal.email,
+        password: this.users.normal.password,
+      });
+      this.assert(login.status === 200, 'Nuevo login exitoso');
+      this.tokens.normal = login.data.tokens.accessToken;
+      this.refreshTokens.normal = login.data.tokens.refreshToken;
+    });
+
+    await this.test('Cambio de contraseña exige la actual e invalida tokens previos', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+      const newPassword = 'NuevoPassword456!';
+
+      const wrong = await api.put(
+        '/auth/password',
+        { currentPassword: 'Incorrecta123!', newPassword, confirmPassword: newPassword },
+        { headers }
+      );
+      this.assert(wrong.status === 400, 'Contraseña actual incorrecta rechazada');
+
+      // Sesión por cookie abierta antes del cambio (ej: el navegador de otro dispositivo)
+      const cookieLogin = await api.post('/auth/login', {
+        email: this.users.normal.email,
+        password: this.users.normal.password,
+      });
+      const cookie = cookieLogin.headers['set-cookie'].map((value) => value.split(';')[0]);
+      const cookieHeaders = { Cookie: cookie.join('; ') };
+      const beforeChange = await api.get('/auth/current', { headers: cookieHeaders });
+      this.assert(beforeChange.status === 200, 'Cookie de sesión válida antes del cambio');
+
+      const changed = await api.put(
+        '/auth/password',
+        {
+          currentPassword: this.users.normal.password,
+          newPassword,
+          confirmPassword: newPassword,
+        },
+        { headers }
+      );
+      this.assert(changed.status === 200, 'Status 200 al cambiar contraseña');
+
+      const current = await api.get('/auth/current', { headers });
+      this.assert(current.status === 401, 'Access token anterior revocado');
+
+      const oldCookie = await api.get('/auth/current', { headers: cookieHeaders });
+      this.assert(oldCookie.status === 401, 'Cookie de sesión anterior revocada');
+
+      this.users.normal.password = newPassword;
+      this.tokens.normal = changed.data.tokens.accessToken;
+      this.refreshTokens.normal = changed.data.tokens.refreshToken;
+    });
+
+    await this.test('No se puede reutilizar una contraseña anterior', async () => {
+      const response = await api.put(
+        '/auth/password',
+        {
+          currentPassword: this.users.normal.password,
+          newPassword: 'TestPassword123!',
+          confirmPassword: 'TestPassword123!',
+        },
+        { headers: { Authorization: `Bearer ${this.tokens.normal}` } }
+      );
+      this.assert(response.status === 400, 'Contraseña del historial rechazada');
+    });
+
+    await this.test('Historial de login registra intentos fallidos y exitosos', async () => {
+      const response = await api.get('/auth/login-history', {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      this.assert(response.status === 200, 'Status 200');
+      this.assert(
+        response.data.history.some((entry) => entry.success),
+        'Incluye logins exitosos'
+      );
+      this.assert(
+        response.data.history.some((entry) => entry.failureReason === 'invalid-credentials'),
+        'Incluye el login con contraseña incorrecta'
+      );
+
+      const invalid = await api.post('/auth/login-alert/secure', { token: 'token-invalido-123' });
+      this.assert(invalid.status === 400, 'Enlace "no fui yo" inválido rechazado');
+    });
+
+    await this.test('Usuario actualiza su propio perfil', async () => {
+      const response = await api.patch(
+        '/api/users/current',
+        { first_name: 'Juana', age: 31, role: 'admin' },
+        { headers: { Authorization: `Bearer ${this.tokens.normal}` } }
+      );
+      this.assert(response.status === 200, 'Status 200');
+      this.assert(response.data.user.firstName === 'Juana', 'Nombre actualizado');
+      this.assert(response.data.user.age === 31, 'Edad actualizada');
+      this.assert(response.data.user.role === 'user', 'El rol no se puede modificar');
+    });
+
+    await this.test(
+      'Usuario exporta sus datos y programa la eliminación de su cuenta',
+      async () => {
+        const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+
+        const exported = await api.get('/api/users/current/export', { headers });
+        this.assert(exported.status === 200, 'Status 200');
+        this.assert(exported.data.profile.email === this.users.normal.email, 'Perfil incluido');
+        this.assert(!exported.data.profile.password, 'Sin contraseña en la exportación');
+        this.assert(Array.isArray(exported.data.tickets), 'Tickets incluidos');
+        this.assert(Array.isArray(exported.data.loginHistory), 'Historial de logins incluido');
+
+        const wrong = await api.delete('/api/users/current', {
+          headers,
+          data: { currentPassword: 'Incorrecta123!' },
+        });
+        this.assert(wrong.status === 400, 'Contraseña incorrecta rechazada');
+
+        const scheduled = await api.delete('/api/users/current', {
+          headers,
+          data: { currentPassword: this.users.normal.password },
+        });
+        this.assert(scheduled.status === 202, 'Eliminación programada');
+        this.assert(scheduled.data.scheduledFor, 'Fecha de eliminación informada');
+
+        const cancelled = await api.delete('/api/users/current/erasure', { headers });
+        this.assert(cancelled.status === 200, 'Eliminación cancelada');
+      }
+    );
+
+    await this.test('Cerrar sesión en otros dispositivos revoca sus tokens', async () => {
+      const oldHeaders = { Authorization: `Bearer ${this.tokens.normal}` };
+
+      const login = await api.post('/auth/login', {
+        email: this.users.normal.email,
+        password: this.users.normal.password,
+      });
+      const headers = { Authorization: `Bearer ${login.data.tokens.accessToken}` };
+
+      const sessions = await api.get('/auth/sessions', { headers });
+      this.assert(sessions.status === 200, 'Status 200 al listar sesiones');
+      this.assert(sessions.data.sessions.length >= 2, 'Ambos dispositivos listados');
+      this.assert(
+        sessions.data.sessions.filter((session) => session.current).length === 1,
+        'Sesión actual marcada'
+      );
+
+      const revoked = await api.delete('/auth/sessions', { headers });
+      this.assert(revoked.status === 200, 'Status 200 al cerrar otras sesiones');
+
+      const oldDevice = await api.get('/auth/current', { headers: oldHeaders });
+      this.assert(oldDevice.status === 401, 'Token del otro dispositivo rechazado');
+
+      const currentDevice = await api.get('/auth/current', { headers });
+      this.assert(currentDevice.status === 200, 'Dispositivo actual sigue activo');
+
+      this.tokens.normal = login.data.tokens.accessToken;
+      this.refreshTokens.normal = login.data.tokens.refreshToken;
+    });
+  }
+
+  /**
+   * 💎 Flujo de upgrade a premium (solicitud + aprobación del admin)
+   */
+  async runPremiumRequestTests() {
+    const premiumHeaders = () => ({ Authorization: `Bearer ${this.tokens.premium}` });
+    const adminHeaders = { Authorization: `Bearer ${this.tokens.admin}` };
+
+    await this.test('Usuario solicita upgrade a premium', async () => {
+      const response = await api.post(
+        '/api/users/premium-request',
+        {
+          businessName: 'Tienda Test',
+          taxId: '20-12345678-9',
+          businessDescription: 'Venta de productos electrónicos para testing',
+        },
+        { headers: premiumHeaders() }
+      );
+      this.assert(response.status === 201, `Status 201, recibido: ${response.status}`);
+      this.assert(response.data.request.status === 'pending', 'Solicitud pendiente');
+
+      this.testData.premiumRequestId = response.data.request.id;
+    });
+
+    await this.test('Usuario normal NO puede aprobar solicitudes', async () => {
+      const response = await api.patch(
+        `/api/users/premium-requests/${this.testData.premiumRequestId}/approve`,
+        {},
+        { headers: { Authorization: `Bearer ${this.tokens.normal}` } }
+      );
+      this.assert(response.status === 403, 'Status 403 Forbidden');
+    });
+
+    await this.test('Admin aprueba la solicitud premium', async () => {
+      const list = await api.get('/api/users/premium-requests?status=pending', {
+        headers: adminHeaders,
+      });
+      this.assert(list.status === 200, 'Status 200 al listar');
+      this.assert(
+        list.data.requests.some((request) => request.id === this.testData.premiumRequestId),
+        'Solicitud en la lista de pendientes'
+      );
+
+      const response = await api.patch(
+        `/api/users/premium-requests/${this.testData.premiumRequestId}/approve`,
+        {},
+        { headers: adminHeaders }
+      );
+      this.assert(response.status === 200, 'Status 200');
+      this.assert(response.data.request.status === 'approved', 'Solicitud aprobada');
+    });
+
+    await this.test('Usuario aprobado inicia sesión como premium', async () => {
+      const response = await api.post('/auth/login', {
+        email: this.users.premium.email,
+        password: this.users.premium.password,
+      });
+      this.assert(response.status === 200, 'Status 200');
+      this.assert(response.data.user.role === 'premium', 'Rol premium asignado');
+
+      this.tokens.premium = response.data.tokens.accessToken;
+      this.refreshTokens.premium = response.data.tokens.refreshToken;
+    });
+
+    await this.test('Solicitud de un usuario que cambió de rol no se aprueba', async () => {
+      const staleUser = { ...this.users.normal, email: `stale-premium-${Date.now()}@test.com` };
+      await api.post('/auth/register', staleUser);
+      const login = await api.post('/auth/login', {
+        email: staleUser.email,
+        password: staleUser.password,
+      });
+      const request = await api.post(
+        '/api/users/premium-request',
+        {
+          businessName: 'Tienda Vieja',
+          taxId: '20-87654321-9',
+          businessDescription: 'Solicitud que queda vieja al cambiar el rol',
+        },
+        { headers: { Authorization: `Bearer ${login.data.tokens.accessToken}` } }
+      );
+
+      // Mientras la solicitud espera, el usuario pasa a ser admin
+      await this.promoteToAdmin(staleUser.email);
+
+      const response = await api.patch(
+        `/api/users/premium-requests/${request.data.request.id}/approve`,
+        {},
+        { headers: adminHeaders }
+      );
+      this.assert(response.status === 409, `Status 409, recibido: ${response.status}`);
+
+      const relogin = await api.post('/auth/login', {
+        email: staleUser.email,
+        password: staleUser.password,
+      });
+      this.assert(relogin.data.user.role === 'admin', 'El rol admin no se pisa con premium');
+    });
+  }
+
+  /**
+   * 🔑 Promover un usuario a admin directamente en MongoDB
+   */
+  async promoteToAdmin(email) {
+    await mongoose.connect(process.env.MONGO_URI);
+    await mongoose.connection.collection('users').updateOne({ email }, { $set: { role: 'admin' } });
+    await mongoose.disconnect();
   }
 
   /**
@@ -327,6 +911,288 @@ class ProfessionalTestSuite {
       this.assert(response.status === 403, 'Status 403 Forbidden esperado'); // ✅ CORRECTO
       this.assert(response.data.success === false, 'Success false esperado'); // ✅ CORRECTO
     });
+
+    await this.test('Admin gestiona roles personalizados con permisos', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.admin}` };
+      const name = `inventario-${Date.now().toString().slice(-6)}`;
+
+      const denied = await api.get('/api/roles', {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      this.assert(denied.status === 403, 'Usuario sin manage:roles rechazado');
+
+      const created = await api.post(
+        '/api/roles',
+        { name, permissions: ['read:products', 'update:all-products'] },
+        { headers }
+      );
+      this.assert(created.status === 201, 'Status 201 al crear rol');
+
+      const system = await api.patch(
+        '/api/roles/admin',
+        { permissions: ['read:products'] },
+        {
+          headers,
+        }
+      );
+      this.assert(system.status === 404, 'Roles del sistema son de solo lectura');
+
+      const deleted = await api.delete(`/api/roles/${name}`, { headers });
+      this.assert(deleted.status === 200, 'Rol personalizado eliminado');
+    });
+
+    await this.test('Rol de soporte edita perfiles pero no puede cambiar roles', async () => {
+      const adminHeaders = { Authorization: `Bearer ${this.tokens.admin}` };
+      const role = `soporte-${Date.now().toString().slice(-6)}`;
+      await api.post(
+        '/api/roles',
+        { name: role, permissions: ['read:all-profiles', 'update:all-profiles'] },
+        { headers: adminHeaders }
+      );
+
+      const supportUser = { ...this.users.normal, email: `support-${Date.now()}@test.com` };
+      const registered = await api.post('/auth/register', supportUser);
+      const supportId = registered.data.user.id;
+      const assigned = await api.put(
+        `/api/users/${supportId}`,
+        { role },
+        { headers: adminHeaders }
+      );
+      this.assert(assigned.status === 200, 'Admin asigna el rol de soporte');
+
+      const login = await api.post('/auth/login', {
+        email: supportUser.email,
+        password: supportUser.password,
+      });
+      const supportHeaders = { Authorization: `Bearer ${login.data.tokens.accessToken}` };
+
+      const self = await api.put(
+        `/api/users/${supportId}`,
+        { role: 'admin' },
+        { headers: supportHeaders }
+      );
+      this.assert(self.status === 403, 'Soporte no puede hacerse admin');
+
+      const current = await api.get('/api/users/current', {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      const normalId = current.data.user.id;
+      const promote = await api.put(
+        `/api/users/${normalId}`,
+        { role: 'admin' },
+        { headers: supportHeaders }
+      );
+      this.assert(promote.status === 403, 'Soporte no puede asignar roles');
+
+      const profile = await api.put(
+        `/api/users/${normalId}`,
+        { first_name: 'Usuario' },
+        { headers: supportHeaders }
+      );
+      this.assert(profile.status === 200, 'Soporte sí puede editar perfiles');
+
+      const operator = await api.put(
+        `/api/users/${normalId}`,
+        { $set: { tokenVersion: 0 }, 'twoFactor.enabled': false },
+        { headers: supportHeaders }
+      );
+      this.assert(operator.status === 400, 'Operadores y rutas con punto rechazados');
+
+      const adminCurrent = await api.get('/api/users/current', {
+        headers: { Authorization: `Bearer ${this.tokens.admin}` },
+      });
+      const adminProfile = await api.put(
+        `/api/users/${adminCurrent.data.user.id}`,
+        { first_name: 'Soporte' },
+        { headers: supportHeaders }
+      );
+      this.assert(adminProfile.status === 403, 'Soporte no puede editar a un administrador');
+    });
+
+    await this.test('Rol con manage:roles no puede otorgarse permisos que no tiene', async () => {
+      const adminHeaders = { Authorization: `Bearer ${this.tokens.admin}` };
+      const role = `roles-${Date.now().toString().slice(-6)}`;
+      await api.post(
+        '/api/roles',
+        { name: role, permissions: ['manage:roles'] },
+        { headers: adminHeaders }
+      );
+
+      const managerUser = { ...this.users.normal, email: `roles-${Date.now()}@test.com` };
+      const registered = await api.post('/auth/register', managerUser);
+      await api.put(`/api/users/${registered.data.user.id}`, { role }, { headers: adminHeaders });
+
+      const login = await api.post('/auth/login', {
+        email: managerUser.email,
+        password: managerUser.password,
+      });
+      const headers = { Authorization: `Bearer ${login.data.tokens.accessToken}` };
+
+      const escalate = await api.patch(
+        `/api/roles/${role}`,
+        { permissions: ['manage:roles', 'manage:system'] },
+        { headers }
+      );
+      this.assert(escalate.status === 403, 'No puede agregarse manage:system a su propio rol');
+
+      const created = await api.post(
+        '/api/roles',
+        { name: `${role}-x`, permissions: ['manage:system'] },
+        { headers }
+      );
+      this.assert(created.status === 403, 'No puede crear un rol con permisos que no tiene');
+
+      const allowed = await api.patch(
+        `/api/roles/${role}`,
+        { description: 'Gestión de roles' },
+        { headers }
+      );
+      this.assert(allowed.status === 200, 'Puede editar la descripción del rol');
+    });
+
+    await this.test('Admin gestiona el árbol de categorías', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.admin}` };
+      const slug = `remeras-${Date.now().toString().slice(-6)}`;
+
+      const denied = await api.post(
+        '/api/categories',
+        { slug, name: 'Remeras' },
+        { headers: { Authorization: `Bearer ${this.tokens.normal}` } }
+      );
+      this.assert(denied.status === 403, 'Usuario sin manage:categories rechazado');
+
+      const created = await api.post(
+        '/api/categories',
+        { slug, name: 'Remeras', parent: 'clothing' },
+        { headers }
+      );
+      this.assert(created.status === 201, 'Status 201 al crear subcategoría');
+      this.assert(created.data.category.parent === 'clothing', 'Padre asignado');
+
+      const product = await api.post(
+        '/api/products',
+        {
+          title: 'Remera de subcategoría',
+          description: 'Producto en una subcategoría nueva',
+          price: 15,
+          stock: 5,
+          category: slug,
+          code: `CAT-${Date.now().toString().slice(-8)}`,
+        },
+        { headers }
+      );
+      this.assert(product.status === 201, 'Producto creado en la subcategoría');
+
+      const unknown = await api.post(
+        '/api/products',
+        {
+          title: 'Producto sin categoría',
+          description: 'La categoría no existe',
+          price: 15,
+          stock: 5,
+          category: 'categoria-inexistente',
+        },
+        { headers }
+      );
+      this.assert(unknown.status === 400, 'Categoría inexistente rechazada');
+
+      const listed = await api.get('/api/products', { params: { category: 'clothing' } });
+      this.assert(
+        listed.data.products.some((item) => item.id === product.data.product.id),
+        'El filtro por categoría incluye subcategorías'
+      );
+
+      const inUse = await api.delete(`/api/categories/${slug}`, { headers });
+      this.assert(inUse.status === 400, 'No se elimina una categoría con productos');
+    });
+
+    await this.test('Admin configura el límite de solicitudes de un rol', async () => {
+      const headers = { Authorization: `Bearer ${this.tokens.admin}` };
+
+      const updated = await api.put(
+        '/api/roles/premium/rate-limit',
+        { requestsPerWindow: 1500 },
+        { headers }
+      );
+      this.assert(updated.status === 200, 'Roles del sistema aceptan límite propio');
+      this.assert(updated.data.role.requestsPerWindow === 1500, 'Límite actualizado');
+
+      const response = await api.get('/api/products', {
+        headers: { Authorization: `Bearer ${this.tokens.premium}` },
+      });
+      this.assert(response.headers['ratelimit-limit'] === '1500', 'Aplica el límite del rol');
+
+      const invalid = await api.put(
+        '/api/roles/premium/rate-limit',
+        { requestsPerWindow: 0 },
+        { headers }
+      );
+      this.assert(invalid.status === 400, 'Límite inválido rechazado');
+    });
+
+    await this.test('Admin suplanta a un usuario sin acciones sensibles', async () => {
+      const current = await api.get('/auth/current', {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      const url = `/api/users/${current.data.user.id}/impersonate`;
+
+      const denied = await api.post(
+        url,
+        { reason: 'Ticket de soporte' },
+        { headers: { Authorization: `Bearer ${this.tokens.premium}` } }
+      );
+      this.assert(denied.status === 403, 'Sin impersonate:users rechazado');
+
+      const started = await api.post(
+        url,
+        { reason: 'Ticket de soporte' },
+        { headers: { Authorization: `Bearer ${this.tokens.admin}` } }
+      );
+      this.assert(started.status === 200, 'Suplantación iniciada');
+
+      const headers = { Authorization: `Bearer ${started.data.accessToken}` };
+      const asUser = await api.get('/auth/current', { headers });
+      this.assert(asUser.data.user.email === current.data.user.email, 'Ve la API como el usuario');
+      this.assert(asUser.data.impersonatedBy, 'Indica quién suplanta');
+
+      const password = await api.put(
+        '/auth/password',
+        { currentPassword: 'x', newPassword: 'NuevaPass123!', confirmPassword: 'NuevaPass123!' },
+        { headers }
+      );
+      this.assert(password.status === 403, 'Cambio de contraseña bloqueado');
+    });
+
+    await this.test(
+      'Admin suspende y da de baja a un usuario sin borrar el documento',
+      async () => {
+        const headers = { Authorization: `Bearer ${this.tokens.admin}` };
+        const credentials = { email: `baja-${Date.now()}@test.com`, password: 'BajaPassword123!' };
+        const registered = await api.post('/auth/register', {
+          ...credentials,
+          first_name: 'Usuario',
+          last_name: 'Baja',
+          age: 40,
+        });
+        const url = `/api/users/${registered.data.user.id}`;
+
+        const banned = await api.post(`${url}/ban`, { reason: 'Fraude en compras' }, { headers });
+        this.assert(banned.status === 200 && banned.data.user.ban, 'Cuenta suspendida');
+
+        const login = await api.post('/auth/login', credentials);
+        this.assert(login.status === 403, 'Login rechazado');
+        this.assert(login.data.error === 'ACCOUNT_BANNED', 'Indica la suspensión');
+
+        const deleted = await api.delete(url, { headers });
+        this.assert(deleted.status === 200, 'Baja lógica exitosa');
+        this.assert(deleted.data.products.action === 'unpublished', 'Productos despublicados');
+
+        const anonymized = await api.get(url, { headers });
+        this.assert(anonymized.status === 200, 'El documento se conserva');
+        this.assert(anonymized.data.user.email !== credentials.email, 'Email anonimizado');
+        this.assert(anonymized.data.user.deletedAt, 'Fecha de baja registrada');
+      }
+    );
   }
 
   /**
@@ -344,6 +1210,65 @@ class ProfessionalTestSuite {
       this.assert(response.data.pagination, 'Paginación incluida');
     });
 
+    await this.test('Búsqueda facetada filtra y devuelve conteos', async () => {
+      const response = await api.get('/api/products', {
+        params: { category: 'electronics,clothing', minPrice: 100, maxPrice: 600, inStock: true },
+      });
+      this.assert(response.status === 200, 'Status 200');
+      this.assert(
+        response.data.products.every(
+          (product) => product.price >= 100 && product.price <= 600 && product.availableStock > 0
+        ),
+        'Solo productos en rango de precio y con stock'
+      );
+
+      const { facets } = response.data;
+      this.assert(Array.isArray(facets.categories), 'Conteos por categoría');
+      this.assert(facets.priceRanges.length > 0, 'Conteos por rango de precio');
+      this.assert(typeof facets.availability.inStock === 'number', 'Conteos de disponibilidad');
+
+      const invalid = await api.get('/api/products', { params: { minPrice: 50, maxPrice: 10 } });
+      this.assert(invalid.status === 400, 'Rango de precio inválido rechazado');
+    });
+
+    await this.test('Autocompletado y búsqueda tolerante a errores de tipeo', async () => {
+      const suggest = await api.get('/api/products/suggest', { params: { q: 'produ' } });
+      this.assert(suggest.status === 200, 'Status 200');
+      this.assert(
+        suggest.data.suggestions.products.some((product) => product.title.startsWith('Producto')),
+        'Sugiere productos por prefijo del título'
+      );
+      const categories = await api.get('/api/products/suggest', { params: { q: 'electr' } });
+      this.assert(
+        categories.data.suggestions.categories.some((category) => category.slug === 'electronics'),
+        'Sugiere categorías'
+      );
+
+      const typo = await api.get('/api/products', { params: { search: 'premum' } });
+      this.assert(typo.data.fuzzy === true, 'Búsqueda tolerante al no haber coincidencias exactas');
+      this.assert(
+        typo.data.products.some((product) => product.title === 'Producto Premium Test'),
+        'Encuentra el producto pese al error de tipeo'
+      );
+
+      const query = `zzqx${Date.now()}`;
+      const miss = await api.get('/api/products', { params: { search: query } });
+      this.assert(miss.data.pagination.total === 0, 'Búsqueda sin resultados');
+      const misses = await api.get('/api/products/search-misses', {
+        headers: { Authorization: `Bearer ${this.tokens.admin}` },
+        params: { limit: 100 },
+      });
+      this.assert(
+        misses.data.searchMisses.some((searchMiss) => searchMiss.query === query),
+        'La búsqueda sin resultados queda registrada'
+      );
+
+      const forbidden = await api.get('/api/products/search-misses', {
+        headers: { Authorization: `Bearer ${this.tokens.normal}` },
+      });
+      this.assert(forbidden.status === 403, 'Clientes no ven las búsquedas sin resultados');
+    });
+
     if (this.testData.premiumProductId) {
       await this.test('Ver producto específico', async () => {
         const response = await api.get(`/api/products/${this.testData.premiumProductId}`);
@@ -404,6 +1329,49 @@ class ProfessionalTestSuite {
         }
       });
     }
+
+    await this.test('Producto con variantes en el carrito', async () => {
+      const suffix = Date.now().toString().slice(-6);
+      const created = await api.post(
+        '/api/products',
+        {
+          title: 'Remera con variantes',
+          description: 'Remera de prueba en dos talles',
+          price: 20,
+          category: 'clothing',
+          code: `VAR-${suffix}`,
+          options: [{ name: 'talle', values: ['S', 'M'] }],
+          variants: [
+            { sku: `VAR-S-${suffix}`, options: { talle: 'S' }, stock: 2 },
+            { sku: `VAR-M-${suffix}`, options: { talle: 'M' }, stock: 3, price: 25 },
+          ],
+        },
+        { headers: { Authorization: `Bearer ${this.tokens.admin}` } }
+      );
+      this.assert(created.status === 201, `Status 201, recibido: ${created.status}`);
+      this.assert(created.data.product.availableStock === 5, 'Stock agregado de las variantes');
+
+      const { id: productId, variants } = created.data.product;
+      const headers = { Authorization: `Bearer ${this.tokens.normal}` };
+
+      const withoutVariant = await api.post('/api/carts/product', { productId }, { headers });
+      this.assert(withoutVariant.status === 400, 'Exige elegir una variante');
+
+      const added = await api.post(
+        '/api/carts/product',
+        { productId, variantId: variants[1].id, quantity: 2 },
+        { headers }
+      );
+      this.assert(added.status === 200, 'Variante agregada');
+      const line = added.data.cart.products.find((item) => item.variant?.id === variants[1].id);
+      this.assert(line?.subtotal === 50, 'Subtotal con el precio de la variante');
+
+      const removed = await api.delete(`/api/carts/product/${productId}`, {
+        headers,
+        params: { variantId: variants[1].id },
+      });
+      this.assert(removed.status === 200, 'Línea de la variante eliminada');
+    });
   }
 
   /**
@@ -432,6 +1400,68 @@ class ProfessionalTestSuite {
       this.assert(response.status === 404, 'Status 404');
       this.assert(response.data.success === false, 'Success false');
     });
+
+    await this.test('Token CSRF ligado a la sesión', async () => {
+      const first = await api.get('/auth/csrf-token');
+      this.assert(first.status === 200, 'Status 200');
+      this.assert(/^[a-f0-9]{64}$/.test(first.data.csrfToken), 'Token CSRF generado');
+
+      const cookie = first.headers['set-cookie'].map((value) => value.split(';')[0]).join('; ');
+      const second = await api.get('/auth/csrf-token', { headers: { Cookie: cookie } });
+      this.assert(second.data.csrfToken === first.data.csrfToken, 'Mismo token en la misma sesión');
+    });
+
+    await this.test('Petición con cookie de sesión exige token CSRF', async () => {
+      const login = await api.post('/auth/login', {
+        email: this.users.normal.email,
+        password: this.users.normal.password,
+      });
+      const cookie = login.headers['set-cookie'].map((value) => value.split(';')[0]).join('; ');
+      const update = (headers) =>
+        api.patch(
+          '/api/users/current',
+          { first_name: 'Sesion' },
+          { headers: { Cookie: cookie, ...headers } }
+        );
+
+      const missing = await update({});
+      this.assert(missing.status === 403, `Sin token CSRF: 403, recibido: ${missing.status}`);
+      this.assert(missing.data.code === 'CSRF_TOKEN_INVALID', 'Código CSRF_TOKEN_INVALID');
+
+      const wrong = await update({ 'X-CSRF-Token': 'a'.repeat(64) });
+      this.assert(wrong.status === 403, 'Token CSRF incorrecto: 403');
+      this.assert(wrong.data.code === 'CSRF_TOKEN_INVALID', 'Código CSRF_TOKEN_INVALID');
+
+      const { data } = await api.get('/auth/csrf-token', { headers: { Cookie: cookie } });
+      const valid = await update({ 'X-CSRF-Token': data.csrfToken });
+      this.assert(valid.status === 200, 'Con el token de la sesión la petición se acepta');
+    });
+
+    await this.test('API key respeta scopes y deja de funcionar al revocarla', async () => {
+      const created = await api.post(
+        '/api/api-keys',
+        { name: 'ERP de prueba', scopes: ['users:read'] },
+        { headers: { Authorization: `Bearer ${this.tokens.admin}` } }
+      );
+      this.assert(created.status === 201, 'Status 201 al crear API key');
+      this.assert(created.data.key.startsWith('ek_'), 'Valor de la key entregado');
+
+      const keyHeaders = { 'X-API-Key': created.data.key };
+
+      const users = await api.get('/api/users', { headers: keyHeaders });
+      this.assert(users.status === 200, 'Scope users:read permite listar usuarios');
+
+      const product = await api.post('/api/products', {}, { headers: keyHeaders });
+      this.assert(product.status === 403, 'Sin scope products:write no puede crear productos');
+
+      const revoked = await api.delete(`/api/api-keys/${created.data.apiKey.id}`, {
+        headers: { Authorization: `Bearer ${this.tokens.admin}` },
+      });
+      this.assert(revoked.status === 200, 'Status 200 al revocar');
+
+      const afterRevoke = await api.get('/api/users', { headers: keyHeaders });
+      this.assert(afterRevoke.status === 401, 'API key revocada rechazada');
+    });
   }
 
   /**
@@ -500,6 +1530,14 @@ class ProfessionalTestSuite {
       serverProcess.kill('SIGTERM');
       serverProcess = null;
     }
+    if (oidcProvider) {
+      oidcProvider.close();
+      oidcProvider = null;
+    }
+    if (signingKeys) {
+      signingKeys.remove();
+      signingKeys = null;
+    }
   }
 
   /**